@@ -5,11 +5,13 @@
  * Initializes all controllers and components.
  */
 
-import { StorageManager } from '../js/services/StorageManager.js';
+import { StorageManager, STORAGE_KEYS } from '../js/services/StorageManager.js';
 import { Settings } from '../js/models/Settings.js';
 import { TaskController } from '../js/controllers/TaskController.js';
 import { TimerController } from '../js/controllers/TimerController.js';
 import { CalendarController } from '../js/controllers/CalendarController.js';
+import { ProjectController } from '../js/controllers/ProjectController.js';
+import { TemplateController } from '../js/controllers/TemplateController.js';
 import { NotificationService } from '../js/services/NotificationService.js';
 import { ReminderService } from '../js/services/ReminderService.js';
 import { TaskView } from '../js/views/TaskView.js';
@@ -25,13 +27,23 @@ import { ErrorHandler } from '../js/services/ErrorHandler.js';
  * Main App class
  */
 class App {
-    constructor() {
-        // Check if localStorage is available
+    /**
+     * Create the app
+     * @param {Error|null} storageError Error thrown while opening stored data, if any
+     */
+    constructor(storageError = null) {
+        // Check if browser storage is available
         if (!StorageManager.isAvailable()) {
             this.showStorageError();
             return;
         }
         
+        // Stored data exists but couldn't be opened; don't let edits go anywhere
+        if (storageError) {
+            this.showStorageLoadError(storageError);
+            return;
+        }
+        
         // Initialize error handler
         this.errorHandler = new ErrorHandler();
         
@@ -40,6 +52,11 @@ class App {
         
         // Initialize controllers
         this.taskController = new TaskController();
+        this.projectController = new ProjectController(this.taskController);
+        this.templateController = new TemplateController();
+        
+        // Purge tasks that have been in the trash too long
+        this.taskController.purgeExpiredTrash(this.settings.trashRetentionDays);
         this.notificationService = new NotificationService();
 
         // Initialize views
@@ -49,7 +66,7 @@ class App {
 
         // Initialize controllers that depend on views
         this.timerController = new TimerController(this.taskController, this.notificationService, this.timerView, this);
-        this.calendarController = new CalendarController(this.taskController);
+        this.calendarController = new CalendarController(this.taskController, this.projectController);
         this.reminderService = new ReminderService(this.taskController, this.notificationService);
         
         // Initialize additional services
@@ -61,6 +78,9 @@ class App {
         // Set up event listeners
         this.setupEventListeners();
         
+        // Pick up changes made in other tabs
+        StorageManager.onExternalChange(this.handleExternalDataChange.bind(this));
+        
         // Initialize UI
         this.initUI();
         
@@ -111,6 +131,45 @@ class App {
         }
     }
 
+    /**
+     * Reload data that another tab has changed
+     * @param {string} key Storage key that changed
+     */
+    handleExternalDataChange(key) {
+        if (key === STORAGE_KEYS.TASKS || key === STORAGE_KEYS.TRASH) {
+            if (key === STORAGE_KEYS.TASKS) {
+                this.taskController.loadTasks();
+            }
+            
+            // Undo history refers to the replaced tasks
+            this.taskController.history.clear();
+            
+            this.refreshTaskViews();
+        } else if (key === STORAGE_KEYS.SMART_LISTS) {
+            this.taskView.searchBar.renderSmartLists();
+        } else if (key === STORAGE_KEYS.TASK_ORDER) {
+            this.refreshTaskLists();
+        } else if (key === STORAGE_KEYS.PROJECTS) {
+            this.projectController.loadProjects();
+            this.settingsView.projectsPanel.render();
+            this.refreshTaskViews();
+        } else if (key === STORAGE_KEYS.TEMPLATES) {
+            this.templateController.loadTemplates();
+            this.settingsView.templatesPanel.render();
+        } else if (key === STORAGE_KEYS.ANALYTICS) {
+            // Sessions recorded in another tab; saving the old copy here would drop them
+            this.analyticsService.loadAnalytics();
+        } else if (key === STORAGE_KEYS.SETTINGS) {
+            this.settings = new Settings(StorageManager.getSettings());
+            this.settingsView.loadSettings();
+            this.themeManager.applyTheme(this.settings.theme);
+            
+            document.dispatchEvent(new CustomEvent('settings-updated', {
+                detail: this.settings.toObject()
+            }));
+        }
+    }
+
     initializeComponents() {
     // Make sure controllers are properly set up
     if (this.timerController && this.timerView) {
@@ -163,6 +222,19 @@ class App {
             this.taskView.refreshTaskLists(selectedTaskId);
         }
     }
+
+    /**
+     * Refresh everything that shows tasks after they changed outside the views
+     * (undo/redo or another tab)
+     */
+    refreshTaskViews() {
+        this.timerController.refreshActiveTask();
+        this.refreshTaskLists();
+        
+        if (this.calendarController) {
+            this.calendarController.refreshCalendar();
+        }
+    }
     
 
     /**
@@ -191,13 +263,32 @@ class App {
             <div class="container mt-5">
                 <div class="alert alert-danger">
                     <h4>Storage Error</h4>
-                    <p>This app requires localStorage to function properly, but it appears to be disabled or unavailable in your browser.</p>
-                    <p>Please enable cookies and localStorage, or try a different browser.</p>
+                    <p>This app requires browser storage (IndexedDB or localStorage) to function properly, but it appears to be disabled or unavailable in your browser.</p>
+                    <p>Please enable cookies and site data, or try a different browser.</p>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Show an error message when stored data could not be opened
+     * @param {Error} error Error thrown while opening storage
+     */
+    showStorageLoadError(error) {
+        document.body.innerHTML = `
+            <div class="container mt-5">
+                <div class="alert alert-danger">
+                    <h4>Your Data Could Not Be Opened</h4>
+                    <p>The app could not read its saved data, so editing is disabled to keep it from being overwritten.</p>
+                    <p>Close other tabs of the app and reload the page. If the problem persists, try restarting the browser.</p>
+                    <p class="small mb-0"></p>
+                </div>
+            </div>
+        `;
+        
+        document.querySelector('.alert .small').textContent = error.message || String(error);
+    }
+
     /**
      * Format a date string for display
      * @param {string} dateStr Date string in YYYY-MM-DD format
@@ -303,7 +394,18 @@ class App {
 
 }
 
-// Initialize the app when the DOM is fully loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.app = new App();
+// Initialize the app when the DOM is fully loaded and stored data has been loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    let storageError = null;
+    
+    if (StorageManager.isAvailable()) {
+        try {
+            await StorageManager.init();
+        } catch (error) {
+            console.error('Error initializing storage:', error);
+            storageError = error;
+        }
+    }
+    
+    window.app = new App(storageError);
 });
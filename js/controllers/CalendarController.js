@@ -5,7 +5,8 @@
  * Delegates rendering and event handling to specialized modules.
  */
 
-import { TaskStatus, SessionType } from '../models/Task.js';
+import { TaskStatus } from '../models/Task.js';
+import { getSessionLabel } from '../models/SessionPlan.js';
 import { StorageManager } from '../services/StorageManager.js';
 import { Settings } from '../models/Settings.js';
 import { CalendarViewRenderer } from './calendar/CalendarViewRenderer.js';
@@ -18,9 +19,11 @@ export class CalendarController {
     /**
      * Create a new CalendarController
      * @param {TaskController} taskController Reference to the TaskController
+     * @param {ProjectController} projectController Reference to the ProjectController (optional)
      */
-    constructor(taskController) {
+    constructor(taskController, projectController = null) {
         this.taskController = taskController;
+        this.projectController = projectController;
         
         // Current view state
         this.currentDate = new Date();
@@ -249,16 +252,19 @@ export class CalendarController {
      * Format session time for display
      * @param {number} startHour Start hour (e.g., 9.5 for 9:30)
      * @param {number} duration Duration in hours
-     * @param {string} type Session type
+     * @param {Object} session Session object
      * @returns {string} Formatted time string
      */
-    formatSessionTime(startHour, duration, type) {
-        const startHourInt = Math.floor(startHour);
-        const startMinute = Math.round((startHour - startHourInt) * 60);
+    formatSessionTime(startHour, duration, session) {
+        // Work in whole minutes so sessions of any length never show e.g. 9:60
+        const startTotal = Math.round(startHour * 60);
+        const endTotal = startTotal + Math.round(duration * 60);
+        
+        const startHourInt = Math.floor(startTotal / 60) % 24;
+        const startMinute = startTotal % 60;
         
-        const endHour = startHour + duration;
-        const endHourInt = Math.floor(endHour);
-        const endMinute = Math.round((endHour - endHourInt) * 60);
+        const endHourInt = Math.floor(endTotal / 60) % 24;
+        const endMinute = endTotal % 60;
         
         const startPeriod = startHourInt >= 12 ? 'PM' : 'AM';
         const endPeriod = endHourInt >= 12 ? 'PM' : 'AM';
@@ -269,7 +275,7 @@ export class CalendarController {
         const startStr = `${startHour12}:${startMinute.toString().padStart(2, '0')} ${startPeriod}`;
         const endStr = `${endHour12}:${endMinute.toString().padStart(2, '0')} ${endPeriod}`;
         
-        const typeStr = type === SessionType.FOCUS ? 'Focus' : 'Break';
+        const typeStr = getSessionLabel(session);
         
         return `${startStr} - ${endStr} (${typeStr})`;
     }
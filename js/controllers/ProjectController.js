@@ -0,0 +1,198 @@
+/**
+ * ProjectController.js
+ *
+ * Controller for managing projects in the Pomodoro app.
+ * Handles creating, renaming, recoloring and deleting projects.
+ */
+
+import { StorageManager } from '../services/StorageManager.js';
+import { Project, PROJECT_COLORS } from '../models/Project.js';
+
+/**
+ * ProjectController class for managing projects
+ */
+export class ProjectController {
+    /**
+     * Create a new ProjectController
+     * @param {TaskController} taskController Reference to the TaskController
+     */
+    constructor(taskController) {
+        this.taskController = taskController;
+
+        // Local cache of projects
+        this._projects = [];
+
+        // Load projects from storage
+        this.loadProjects();
+    }
+
+    /**
+     * Load projects from storage
+     */
+    loadProjects() {
+        this._projects = StorageManager.getProjects().map(projectData => Project.fromObject(projectData));
+    }
+
+    /**
+     * Save projects to storage
+     * @private
+     */
+    _saveProjects() {
+        StorageManager.saveProjects(this._projects.map(project => project.toObject()));
+    }
+
+    /**
+     * Get all projects sorted by name
+     * @returns {Array} Array of Project objects
+     */
+    getAllProjects() {
+        return [...this._projects].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get project by ID
+     * @param {string} projectId Project ID
+     * @returns {Project|null} Project object or null if not found
+     */
+    getProjectById(projectId) {
+        return this._projects.find(project => project.id === projectId) || null;
+    }
+
+    /**
+     * Get the project of a task
+     * @param {Object} task Task object
+     * @returns {Project|null} Project object or null if the task has none
+     */
+    getTaskProject(task) {
+        return task.projectId ? this.getProjectById(task.projectId) : null;
+    }
+
+    /**
+     * Get the first color not used by a project yet
+     * @returns {string} Hex color
+     */
+    getNextColor() {
+        const usedColors = this._projects.map(project => project.color);
+        return PROJECT_COLORS.find(color => !usedColors.includes(color)) ||
+            PROJECT_COLORS[this._projects.length % PROJECT_COLORS.length];
+    }
+
+    /**
+     * Make sure a project name is usable
+     * @param {string} name Project name
+     * @param {string} projectId ID of the project being renamed, if any
+     * @throws {Error} If the name is empty or taken
+     * @private
+     */
+    _validateName(name, projectId = null) {
+        if (!name || !name.trim()) {
+            throw new Error('Project name is required.');
+        }
+
+        const taken = this._projects.some(project =>
+            project.id !== projectId && project.name.toLowerCase() === name.trim().toLowerCase()
+        );
+
+        if (taken) {
+            throw new Error(`A project named "${name.trim()}" already exists.`);
+        }
+    }
+
+    /**
+     * Create a new project
+     * @param {Object} projectData { name, color } - the color defaults to the next unused one
+     * @returns {Project} Created Project object
+     */
+    createProject(projectData) {
+        this._validateName(projectData.name);
+
+        const project = new Project({
+            ...projectData,
+            name: projectData.name.trim(),
+            color: projectData.color || this.getNextColor()
+        });
+
+        this._projects.push(project);
+        this._saveProjects();
+
+        return project;
+    }
+
+    /**
+     * Update an existing project
+     * @param {string} projectId Project ID
+     * @param {Object} projectData { name, color }
+     * @returns {Project|null} Updated Project object or null if not found
+     */
+    updateProject(projectId, projectData) {
+        const project = this.getProjectById(projectId);
+        if (!project) {
+            return null;
+        }
+
+        if (projectData.name !== undefined) {
+            this._validateName(projectData.name, projectId);
+            project.name = projectData.name.trim();
+        }
+
+        if (projectData.color) {
+            project.color = projectData.color;
+        }
+
+        this._saveProjects();
+        return project;
+    }
+
+    /**
+     * Delete a project. Its tasks are kept without a project.
+     * @param {string} projectId Project ID
+     * @returns {boolean} True if the project was deleted
+     */
+    deleteProject(projectId) {
+        const project = this.getProjectById(projectId);
+        if (!project) {
+            return false;
+        }
+
+        const index = this._projects.indexOf(project);
+        const projectTasks = this.taskController.getAllTasks().filter(task => task.projectId === projectId);
+
+        // One history entry, so undo brings back the project along with its tasks' projectId
+        this.taskController.recordHistory('Delete project', () => {
+            projectTasks.forEach(task => {
+                this.taskController.updateTask(task.id, { projectId: null }, { recordHistory: false });
+            });
+
+            this._removeProject(projectId);
+        }, {
+            destructive: true,
+            onUndo: () => this._restoreProject(project, index),
+            onRedo: () => this._removeProject(projectId)
+        });
+
+        return true;
+    }
+
+    /**
+     * Remove a project from the list
+     * @param {string} projectId Project ID
+     * @private
+     */
+    _removeProject(projectId) {
+        this._projects = this._projects.filter(p => p.id !== projectId);
+        this._saveProjects();
+    }
+
+    /**
+     * Put a deleted project back at its old position
+     * @param {Project} project Deleted project
+     * @param {number} index Position it had in the list
+     * @private
+     */
+    _restoreProject(project, index) {
+        if (this.getProjectById(project.id)) return;
+
+        this._projects.splice(Math.min(index, this._projects.length), 0, project);
+        this._saveProjects();
+    }
+}
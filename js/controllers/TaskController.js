@@ -7,6 +7,11 @@
 
 import { StorageManager } from '../services/StorageManager.js';
 import { Task, TaskStatus, TaskPriority, SessionType } from '../models/Task.js';
+import { HistoryManager } from '../services/HistoryManager.js';
+import { getSessionsSignature } from '../models/SessionEdits.js';
+import { getUnfinishedPrerequisites, findDependencyCycle } from '../models/TaskDependencies.js';
+import { getRescheduledDates } from '../models/TaskReschedule.js';
+import { createSession, SessionKind } from '../models/SessionPlan.js';
 
 /**
  * TaskController class for managing tasks
@@ -21,6 +26,9 @@ export class TaskController {
 
         // Add to TaskController.js
         this.pausedTaskStates = new Map(); // Store task ID -> time left mapping
+
+        // Undo/redo history of task operations
+        this.history = new HistoryManager();
     }
 
     /**
@@ -30,6 +38,11 @@ export class TaskController {
         const storedTasks = StorageManager.getTasks();
         this._tasks = storedTasks.map(taskData => Task.fromObject(taskData));
         
+        // Prerequisites may have been completed or deleted elsewhere
+        if (this._updateBlockedStatuses()) {
+            this._saveTasks();
+        }
+        
         // Check for missed tasks
         this.checkForMissedTasks();
     }
@@ -39,10 +52,81 @@ export class TaskController {
      * @private
      */
     _saveTasks() {
+        // Keep the blocked status in line with the prerequisites before every save
+        this._updateBlockedStatuses();
+        
         const taskObjects = this._tasks.map(task => task.toObject());
         StorageManager.saveTasks(taskObjects);
     }
 
+    /**
+     * Block tasks with unfinished prerequisites and unblock the others.
+     * Only tasks that haven't been started can be blocked.
+     * @returns {boolean} True if any status changed
+     * @private
+     */
+    _updateBlockedStatuses() {
+        let tasksUpdated = false;
+        
+        this._tasks.forEach(task => {
+            const isBlocked = getUnfinishedPrerequisites(task, this._tasks).length > 0;
+            
+            if (isBlocked && (task.status === TaskStatus.PENDING || task.status === TaskStatus.MISSED)) {
+                task.status = TaskStatus.BLOCKED;
+                tasksUpdated = true;
+            } else if (!isBlocked && task.status === TaskStatus.BLOCKED) {
+                task.status = TaskStatus.PENDING;
+                task.markAsMissed();
+                tasksUpdated = true;
+            }
+        });
+        
+        return tasksUpdated;
+    }
+
+    /**
+     * Get the prerequisites of a task that are not completed yet
+     * @param {string} taskId Task ID
+     * @returns {Array} Array of Task objects the task is waiting for
+     */
+    getBlockingTasks(taskId) {
+        const task = this.getTaskById(taskId);
+        return task ? getUnfinishedPrerequisites(task, this._tasks) : [];
+    }
+
+    /**
+     * Make sure new prerequisites of a task don't form a cycle
+     * @param {string} taskId Task ID
+     * @param {Array} blockedBy Prerequisite task IDs
+     * @throws {Error} If the task would end up waiting for itself
+     */
+    validateDependencies(taskId, blockedBy) {
+        const cycle = findDependencyCycle(this._tasks, taskId, blockedBy);
+        
+        if (cycle) {
+            const names = cycle.map(id => {
+                const task = this.getTaskById(id);
+                return task ? task.name : 'this task';
+            });
+            throw new Error(`These tasks would wait for each other: ${names.join(' → ')}`);
+        }
+    }
+
+    /**
+     * Ask before starting a task whose prerequisites are not completed
+     * @param {string} taskId Task ID
+     * @returns {boolean} True if the task may be started
+     */
+    confirmStartTask(taskId) {
+        const task = this.getTaskById(taskId);
+        if (!task || task.status !== TaskStatus.BLOCKED) {
+            return true;
+        }
+        
+        const names = this.getBlockingTasks(taskId).map(t => t.name).join(', ');
+        return confirm(`"${task.name}" is blocked by unfinished tasks: ${names}. Start it anyway?`);
+    }
+
     /**
      * Check for tasks that should be marked as missed
      */
@@ -69,6 +153,16 @@ export class TaskController {
         return [...this._tasks];
     }
 
+    /**
+     * Get every tag used by a task
+     * @returns {Array} Sorted array of unique tags
+     */
+    getAllTags() {
+        const tags = new Set();
+        this._tasks.forEach(task => task.tags.forEach(tag => tags.add(tag)));
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    }
+
     /**
      * Get tasks filtered by status
      * @param {string} status Task status to filter by
@@ -85,7 +179,12 @@ export class TaskController {
     getPendingTasks() {
         return this.getTasksByStatus(TaskStatus.PENDING)
             .concat(this.getTasksByStatus(TaskStatus.MISSED))
+            .concat(this.getTasksByStatus(TaskStatus.BLOCKED))
             .sort((a, b) => {
+                // Blocked tasks can't be worked on yet, so they go last
+                if (a.status === TaskStatus.BLOCKED && b.status !== TaskStatus.BLOCKED) return 1;
+                if (a.status !== TaskStatus.BLOCKED && b.status === TaskStatus.BLOCKED) return -1;
+                
                 // First sort by missed status (missed tasks first)
                 if (a.status === TaskStatus.MISSED && b.status !== TaskStatus.MISSED) return -1;
                 if (a.status !== TaskStatus.MISSED && b.status === TaskStatus.MISSED) return 1;
@@ -113,6 +212,14 @@ export class TaskController {
             });
     }
 
+    /**
+     * Get pending tasks that are not waiting for a prerequisite
+     * @returns {Array} Array of pending Task objects that can be started
+     */
+    getStartableTasks() {
+        return this.getPendingTasks().filter(task => task.status !== TaskStatus.BLOCKED);
+    }
+
     /**
      * Get active and partial tasks
      * @returns {Array} Array of active and partial Task objects
@@ -145,10 +252,17 @@ export class TaskController {
     /**
      * Create a new task
      * @param {Object} taskData Task data
+     * @param {Object} options { recordHistory } - set recordHistory to false for automatic changes
      * @returns {Task} Created Task object
      */
-    createTask(taskData) {
+    createTask(taskData, options = {}) {
+        if (options.recordHistory !== false) {
+            return this.recordHistory('Create task', () => this.createTask(taskData, { recordHistory: false }));
+        }
+        
         const task = new Task(taskData);
+        this.validateDependencies(task.id, task.blockedBy);
+        
         this._tasks.push(task);
         this._saveTasks();
         
@@ -164,9 +278,18 @@ export class TaskController {
      * Update an existing task
      * @param {string} taskId Task ID
      * @param {Object} taskData Updated task data
+     * @param {Object} options { recordHistory, historyLabel, destructive } - set recordHistory to false for automatic changes
      * @returns {Task|null} Updated Task object or null if not found
      */
-    updateTask(taskId, taskData) {
+    updateTask(taskId, taskData, options = {}) {
+    if (options.recordHistory !== false) {
+        return this.recordHistory(
+            options.historyLabel || 'Edit task',
+            () => this.updateTask(taskId, taskData, { recordHistory: false }),
+            { destructive: options.destructive }
+        );
+    }
+    
     const index = this._tasks.findIndex(task => task.id === taskId);
     
     if (index !== -1) {
@@ -174,6 +297,10 @@ export class TaskController {
         const originalTask = this._tasks[index];
         const isOngoing = originalTask.status === TaskStatus.ONGOING;
         
+        if (taskData.blockedBy) {
+            this.validateDependencies(taskId, taskData.blockedBy);
+        }
+        
         // Determine what has changed
         const changes = this._detectTaskChanges(originalTask, taskData);
         
@@ -186,8 +313,11 @@ export class TaskController {
         // Keep track of completed sessions before recalculating
         let completedSessions = originalTask.progress.completedSessions;
         
-        // Force session recalculation if duration or timer settings changed
-        if (changes.durationChanged || changes.timerSettingsChanged) {
+        // Manually edited sessions are kept as they are; otherwise force
+        // session recalculation if duration or timer settings changed
+        if (changes.sessionsEdited) {
+            delete updatedTaskData.progress;
+        } else if (changes.durationChanged || changes.timerSettingsChanged) {
             // Remove sessions to force recalculation
             delete updatedTaskData.sessions;
             
@@ -198,8 +328,11 @@ export class TaskController {
         // Create a new task to ensure data integrity
         const updatedTask = new Task(updatedTaskData);
         
-        // If the task is ongoing, handle special update cases
-        if (isOngoing) {
+        if (changes.sessionsEdited) {
+            updatedTask.progress.timeSpent = originalTask.progress.timeSpent;
+            updatedTask.updateSessionProgress();
+        } else if (isOngoing) {
+            // If the task is ongoing, handle special update cases
             this._handleOngoingTaskUpdate(originalTask, updatedTask, changes);
         }
         
@@ -226,20 +359,121 @@ export class TaskController {
 
 
     /**
-     * Delete a task
+     * Delete a task by moving it to the trash
      * @param {string} taskId Task ID
+     * @param {Object} options { recordHistory } - set recordHistory to false for automatic changes
      * @returns {boolean} True if task was deleted
      */
-    deleteTask(taskId) {
-        const initialLength = this._tasks.length;
-        this._tasks = this._tasks.filter(task => task.id !== taskId);
+    deleteTask(taskId, options = {}) {
+        if (options.recordHistory !== false) {
+            return this.recordHistory('Delete task', () => this.deleteTask(taskId, { recordHistory: false }), { destructive: true });
+        }
+        
+        const task = this.getTaskById(taskId);
+        if (!task) {
+            return false;
+        }
+        
+        this._tasks = this._tasks.filter(t => t.id !== taskId);
+        this._saveTasks();
+        
+        const trash = StorageManager.getTrash();
+        trash.push({ task: task.toObject(), deletedAt: new Date().toISOString() });
+        StorageManager.saveTrash(trash);
         
-        if (this._tasks.length !== initialLength) {
+        return true;
+    }
+
+    /**
+     * Get the tasks in the trash, most recently deleted first
+     * @returns {Array} Array of { task, deletedAt } with Task objects
+     */
+    getTrashedTasks() {
+        return StorageManager.getTrash()
+            .map(entry => ({ task: Task.fromObject(entry.task), deletedAt: entry.deletedAt }))
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    /**
+     * Move a task from the trash back to the task list
+     * @param {string} taskId Task ID
+     * @returns {Task|null} Restored Task object or null if not in the trash
+     */
+    restoreTask(taskId) {
+        return this.recordHistory('Restore task', () => {
+            const trash = StorageManager.getTrash();
+            const entry = trash.find(e => e.task.id === taskId);
+            
+            if (!entry) {
+                return null;
+            }
+            
+            const task = Task.fromObject(entry.task);
+            
+            // The timer stopped when the task was deleted
+            if (task.status === TaskStatus.ONGOING) {
+                task.status = TaskStatus.PARTIAL;
+            }
+            
+            this._tasks.push(task);
             this._saveTasks();
-            return true;
+            
+            StorageManager.saveTrash(trash.filter(e => e !== entry));
+            return task;
+        });
+    }
+
+    /**
+     * Permanently delete a task from the trash
+     * @param {string} taskId Task ID
+     * @returns {boolean} True if the task was purged
+     */
+    purgeTask(taskId) {
+        const trash = StorageManager.getTrash();
+        const remaining = trash.filter(entry => entry.task.id !== taskId);
+        
+        if (remaining.length === trash.length) {
+            return false;
+        }
+        
+        StorageManager.saveTrash(remaining);
+        return true;
+    }
+
+    /**
+     * Permanently delete every task in the trash
+     * @returns {number} Number of purged tasks
+     */
+    emptyTrash() {
+        const count = StorageManager.getTrash().length;
+        
+        if (count > 0) {
+            StorageManager.saveTrash([]);
+        }
+        
+        return count;
+    }
+
+    /**
+     * Permanently delete tasks that have been in the trash longer than the retention period
+     * @param {number} retentionDays Days to keep deleted tasks (0 or less keeps them forever)
+     * @returns {number} Number of purged tasks
+     */
+    purgeExpiredTrash(retentionDays) {
+        if (!retentionDays || retentionDays <= 0) {
+            return 0;
+        }
+        
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const trash = StorageManager.getTrash();
+        const remaining = trash.filter(entry => new Date(entry.deletedAt).getTime() >= cutoff);
+        
+        if (remaining.length !== trash.length) {
+            StorageManager.saveTrash(remaining);
+            console.log(`Purged ${trash.length - remaining.length} tasks from the trash`);
         }
         
-        return false;
+        return trash.length - remaining.length;
     }
 
     /**
@@ -251,6 +485,10 @@ export class TaskController {
         const task = this.getTaskById(taskId);
         
         if (task) {
+            if (!this.confirmStartTask(taskId)) {
+                return null;
+            }
+            
             // First, pause any ongoing tasks
             this._pauseAllOngoingTasks();
             
@@ -298,18 +536,65 @@ export class TaskController {
     /**
      * Complete the current session of a task
      * @param {string} taskId Task ID
+     * @param {number} overtime Minutes the session ran past its end
      * @returns {Task|null} Updated Task object or null if not found
      */
-    completeTaskSession(taskId) {
-        const task = this.getTaskById(taskId);
-        
-        if (task) {
-            task.completeCurrentSession();
-            this._saveTasks();
-            return task;
-        }
+    completeTaskSession(taskId, overtime = 0) {
+        return this.recordHistory('Complete session', () => {
+            const task = this.getTaskById(taskId);
+            
+            if (task) {
+                task.completeCurrentSession(overtime);
+                this._saveTasks();
+                return task;
+            }
+            
+            return null;
+        });
+    }
+
+    /**
+     * Add time worked on a task outside its sessions, e.g. in a quick focus session
+     * @param {string} taskId Task ID
+     * @param {number} minutes Minutes to add to the time spent
+     * @returns {Task|null} Updated Task object or null if not found
+     */
+    addTimeSpent(taskId, minutes) {
+        return this.recordHistory('Add time', () => {
+            const task = this.getTaskById(taskId);
+            
+            if (task) {
+                task.progress.timeSpent += minutes;
+                this._saveTasks();
+                return task;
+            }
+            
+            return null;
+        });
+    }
+
+    /**
+     * Save a quick focus session as a new, completed task
+     * @param {string} name Task name
+     * @param {number} minutes Minutes of focus
+     * @returns {Task} Created Task object
+     */
+    createTaskFromQuickSession(name, minutes) {
+        const session = { ...createSession(SessionKind.FOCUS, minutes), completed: true };
         
-        return null;
+        return this.createTask({
+            name,
+            status: TaskStatus.COMPLETED,
+            estimatedDuration: minutes / 60,
+            startDate: new Date().toISOString().split('T')[0],
+            sessions: [session],
+            progress: {
+                completedSessions: 1,
+                totalSessions: 1,
+                currentSession: 1,
+                timeSpent: minutes
+            }
+        });
     }
 
     /**
@@ -318,6 +603,16 @@ export class TaskController {
      * @returns {Task|null} Updated Task object or null if not found
      */
     completeTask(taskId) {
+        return this.recordHistory('Complete task', () => this._completeTask(taskId), { destructive: true });
+    }
+
+    /**
+     * Mark a task as completed without recording history
+     * @param {string} taskId Task ID
+     * @returns {Task|null} Updated Task object or null if not found
+     * @private
+     */
+    _completeTask(taskId) {
         const task = this.getTaskById(taskId);
         
         if (task) {
@@ -329,15 +624,91 @@ export class TaskController {
         return null;
     }
 
+    /**
+     * Check or uncheck a checklist item of a task
+     * @param {string} taskId Task ID
+     * @param {string} subtaskId Checklist item ID
+     * @returns {Task|null} Updated Task object or null if not found
+     */
+    toggleSubtask(taskId, subtaskId) {
+        return this.recordHistory('Check item', () => {
+            const task = this.getTaskById(taskId);
+            
+            if (task) {
+                task.toggleSubtask(subtaskId);
+                this._saveTasks();
+                return task;
+            }
+            
+            return null;
+        });
+    }
+
+    /**
+     * Save the log written at the end of a session
+     * @param {string} taskId Task ID
+     * @param {string} sessionId Session ID
+     * @param {string} log Markdown log text
+     * @returns {Task|null} Updated Task object or null if not found
+     */
+    setSessionLog(taskId, sessionId, log) {
+        return this.recordHistory('Write session log', () => {
+            const task = this.getTaskById(taskId);
+            
+            if (task) {
+                task.setSessionLog(sessionId, log);
+                this._saveTasks();
+                return task;
+            }
+            
+            return null;
+        });
+    }
+
+    /**
+     * Log an interruption of a session
+     * @param {string} taskId Task ID
+     * @param {string} sessionId Session ID
+     * @param {string} type One of InterruptionType
+     * @param {string} note Optional note
+     * @returns {Task|null} Updated Task object or null if not found
+     */
+    logInterruption(taskId, sessionId, type, note = '') {
+        return this.recordHistory('Log interruption', () => {
+            const task = this.getTaskById(taskId);
+            
+            if (task) {
+                task.logInterruption(sessionId, type, note);
+                this._saveTasks();
+                return task;
+            }
+            
+            return null;
+        });
+    }
+
     /**
      * Unmark a completed task (return to pending)
      * @param {string} taskId Task ID
      * @returns {Task|null} Updated Task object or null if not found
      */
     unmarkCompletedTask(taskId) {
+        return this.recordHistory('Unmark task', () => this._unmarkCompletedTask(taskId));
+    }
+
+    /**
+     * Unmark a completed task without recording history
+     * @param {string} taskId Task ID
+     * @returns {Task|null} Updated Task object or null if not found
+     * @private
+     */
+    _unmarkCompletedTask(taskId) {
         const task = this.getTaskById(taskId);
         
         if (task && task.status === TaskStatus.COMPLETED) {
+            // Sessions removed by storage compaction are needed again
+            task.restoreTrimmedSessions();
+            
             if (task.endedEarly) {
                 // This task was ended early via the "End Task" button
                 // Restore it to PARTIAL status (paused) with its progress preserved
@@ -371,6 +742,296 @@ export class TaskController {
         return null;
     }
 
+    /**
+     * Get the history label of a bulk action
+     * @param {string} action Action, e.g. "Delete"
+     * @param {number} count Number of tasks
+     * @returns {string} Label such as "Delete 3 tasks"
+     * @private
+     */
+    _bulkLabel(action, count) {
+        return `${action} ${count} task${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Move several tasks to other days as one undoable operation
+     * @param {Array} taskIds Task IDs
+     * @param {Object} change { shiftDays } or { date } - see getRescheduledDates()
+     * @returns {number} Number of tasks rescheduled
+     */
+    bulkReschedule(taskIds, change) {
+        return this.recordHistory(this._bulkLabel('Reschedule', taskIds.length), () => {
+            let count = 0;
+            
+            taskIds.forEach(taskId => {
+                const task = this.getTaskById(taskId);
+                const dates = task ? getRescheduledDates(task, change) : null;
+                if (!dates) return;
+                
+                const updatedTask = this.updateTask(taskId, dates, { recordHistory: false });
+                
+                // A missed task moved to a later time is pending again
+                if (updatedTask.status === TaskStatus.MISSED) {
+                    updatedTask.status = TaskStatus.PENDING;
+                    updatedTask.markAsMissed();
+                }
+                
+                count++;
+            });
+            
+            this._saveTasks();
+            return count;
+        });
+    }
+
+    /**
+     * Set the priority of several tasks as one undoable operation
+     * @param {Array} taskIds Task IDs
+     * @param {string} priority One of TaskPriority
+     * @returns {number} Number of tasks changed
+     */
+    bulkSetPriority(taskIds, priority) {
+        return this.recordHistory(this._bulkLabel('Change priority of', taskIds.length), () =>
+            taskIds.filter(taskId => this.updateTask(taskId, { priority }, { recordHistory: false })).length
+        );
+    }
+
+    /**
+     * Add a tag to several tasks as one undoable operation
+     * @param {Array} taskIds Task IDs
+     * @param {string} tag Tag to add
+     * @returns {number} Number of tasks changed
+     */
+    bulkAddTag(taskIds, tag) {
+        return this.recordHistory(this._bulkLabel('Tag', taskIds.length), () => {
+            let count = 0;
+            
+            taskIds.forEach(taskId => {
+                const task = this.getTaskById(taskId);
+                if (!task || task.tags.some(t => t.toLowerCase() === tag.toLowerCase())) return;
+                
+                this.updateTask(taskId, { tags: [...task.tags, tag] }, { recordHistory: false });
+                count++;
+            });
+            
+            return count;
+        });
+    }
+
+    /**
+     * Move several tasks to a project as one undoable operation
+     * @param {Array} taskIds Task IDs
+     * @param {string|null} projectId Project ID, or null for no project
+     * @returns {number} Number of tasks changed
+     */
+    bulkSetProject(taskIds, projectId) {
+        return this.recordHistory(this._bulkLabel('Move', taskIds.length), () =>
+            taskIds.filter(taskId => this.updateTask(taskId, { projectId }, { recordHistory: false })).length
+        );
+    }
+
+    /**
+     * Mark several tasks as completed as one undoable operation
+     * @param {Array} taskIds Task IDs
+     * @returns {number} Number of tasks completed
+     */
+    bulkComplete(taskIds) {
+        return this.recordHistory(this._bulkLabel('Complete', taskIds.length), () => {
+            const taskIdsToComplete = taskIds.filter(taskId => {
+                const task = this.getTaskById(taskId);
+                return task && task.status !== TaskStatus.COMPLETED;
+            });
+            
+            taskIdsToComplete.forEach(taskId => this._completeTask(taskId));
+            return taskIdsToComplete.length;
+        }, { destructive: true });
+    }
+
+    /**
+     * Move several tasks to the trash as one undoable operation
+     * @param {Array} taskIds Task IDs
+     * @returns {number} Number of tasks deleted
+     */
+    bulkDelete(taskIds) {
+        return this.recordHistory(this._bulkLabel('Delete', taskIds.length), () => {
+            return taskIds.filter(taskId => this.deleteTask(taskId, { recordHistory: false })).length;
+        }, { destructive: true });
+    }
+
+    /**
+     * Run a task operation and record it in the undo history.
+     * The tasks and the trash are snapshotted before and after the operation;
+     * undo and redo restore the snapshots of the entries that changed.
+     * @param {string} label Description shown to the user (e.g. "Delete task")
+     * @param {Function} operation Function that changes tasks
+     * @param {Object} options { destructive, onUndo, onRedo } - destructive commands offer an undo toast;
+     *                 onUndo and onRedo revert and reapply changes the operation made outside the tasks
+     * @returns {*} Return value of the operation
+     */
+    recordHistory(label, operation, options = {}) {
+        const tasksBefore = this._snapshotTasks();
+        const trashBefore = this._snapshotTrash();
+        const result = operation();
+        
+        const changedTasks = this._diffSnapshots(tasksBefore, this._snapshotTasks());
+        const changedTrash = this._diffSnapshots(trashBefore, this._snapshotTrash());
+        
+        if (changedTasks.size === 0 && changedTrash.size === 0) {
+            return result;
+        }
+        
+        this.history.record({
+            label,
+            destructive: !!options.destructive,
+            taskIds: [...new Set([...changedTasks.keys(), ...changedTrash.keys()])],
+            undo: () => {
+                if (options.onUndo) options.onUndo();
+                this._restoreSnapshot(changedTasks, changedTrash, 'before');
+            },
+            redo: () => {
+                if (options.onRedo) options.onRedo();
+                this._restoreSnapshot(changedTasks, changedTrash, 'after');
+            }
+        });
+        
+        return result;
+    }
+
+    /**
+     * Undo the last task operation
+     * @returns {string|null} Label of the undone operation or null if nothing was undone
+     */
+    undo() {
+        const command = this.history.peekUndo();
+        if (!command || !this._canChangeHistory(command)) {
+            return null;
+        }
+        
+        this.history.undo();
+        console.log(`Undo: ${command.label}`);
+        return command.label;
+    }
+
+    /**
+     * Redo the last undone task operation
+     * @returns {string|null} Label of the redone operation or null if nothing was redone
+     */
+    redo() {
+        const command = this.history.peekRedo();
+        if (!command || !this._canChangeHistory(command)) {
+            return null;
+        }
+        
+        this.history.redo();
+        console.log(`Redo: ${command.label}`);
+        return command.label;
+    }
+
+    /**
+     * Check that a history command does not touch the task the timer is running on
+     * @param {Object} command History command
+     * @returns {boolean} True if the command may be undone or redone
+     * @private
+     */
+    _canChangeHistory(command) {
+        const timerController = window.app && window.app.timerController;
+        const activeTask = timerController ? timerController.getActiveTask() : null;
+        
+        if (activeTask && !timerController.stateManager.isStopped() &&
+            command.taskIds.includes(activeTask.id)) {
+            alert(`Cannot undo or redo "${command.label}" while the timer is running on this task. Stop the timer first.`);
+            return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Serialize every task for history snapshots
+     * @returns {Map} Task ID -> JSON string
+     * @private
+     */
+    _snapshotTasks() {
+        return new Map(this._tasks.map(task => [task.id, JSON.stringify(task.toObject())]));
+    }
+
+    /**
+     * Serialize every trash entry for history snapshots
+     * @returns {Map} Task ID -> JSON string of the trash entry
+     * @private
+     */
+    _snapshotTrash() {
+        return new Map(StorageManager.getTrash().map(entry => [entry.task.id, JSON.stringify(entry)]));
+    }
+
+    /**
+     * Find the entries that differ between two snapshots
+     * @param {Map} before Snapshot taken before an operation
+     * @param {Map} after Snapshot taken after an operation
+     * @returns {Map} ID -> { before, after } JSON strings (null if the entry did not exist)
+     * @private
+     */
+    _diffSnapshots(before, after) {
+        const changed = new Map();
+        
+        new Set([...before.keys(), ...after.keys()]).forEach(id => {
+            const previous = before.get(id) || null;
+            const next = after.get(id) || null;
+            if (previous !== next) {
+                changed.set(id, { before: previous, after: next });
+            }
+        });
+        
+        return changed;
+    }
+
+    /**
+     * Put tasks and trash entries back to a recorded state
+     * @param {Map} changedTasks Task ID -> { before, after } JSON strings of tasks
+     * @param {Map} changedTrash Task ID -> { before, after } JSON strings of trash entries
+     * @param {string} side 'before' or 'after'
+     * @private
+     */
+    _restoreSnapshot(changedTasks, changedTrash, side) {
+        changedTasks.forEach((states, id) => {
+            const index = this._tasks.findIndex(task => task.id === id);
+            const json = states[side];
+            
+            if (!json) {
+                if (index !== -1) this._tasks.splice(index, 1);
+                return;
+            }
+            
+            const task = Task.fromObject(JSON.parse(json));
+            
+            // No timer is running on a restored task, so it can't stay ongoing
+            if (task.status === TaskStatus.ONGOING) {
+                task.status = TaskStatus.PARTIAL;
+            }
+            
+            if (index !== -1) {
+                this._tasks[index] = task;
+            } else {
+                this._tasks.push(task);
+            }
+        });
+        
+        this._saveTasks();
+        
+        if (changedTrash.size > 0) {
+            let trash = StorageManager.getTrash();
+            
+            changedTrash.forEach((states, id) => {
+                trash = trash.filter(entry => entry.task.id !== id);
+                if (states[side]) {
+                    trash.push(JSON.parse(states[side]));
+                }
+            });
+            
+            StorageManager.saveTrash(trash);
+        }
+    }
+
     /**
      * Get tasks scheduled for a specific date
      * @param {Date} date The date to get tasks for
@@ -424,7 +1085,7 @@ export class TaskController {
      * @returns {Task|null} Next highest priority task or null
      */
     getNextHighPriorityTask() {
-        const pendingTasks = this.getPendingTasks();
+        const pendingTasks = this.getStartableTasks();
         
         // First, get tasks that are past their start time
         const tasksToStart = pendingTasks.filter(task => 
@@ -469,8 +1130,8 @@ export class TaskController {
             [TaskPriority.LOW]: 3
         };
         
-        // Get pending tasks with higher priority
-        const higherPriorityTasks = this.getPendingTasks().filter(task => 
+        // Get pending tasks with higher priority that aren't waiting for a prerequisite
+        const higherPriorityTasks = this.getStartableTasks().filter(task => 
             priorityOrder[task.priority] < priorityOrder[currentTask.priority]
         );
         
@@ -488,6 +1149,7 @@ export class TaskController {
             nameChanged: false,
             durationChanged: false,
             timerSettingsChanged: false,
+            sessionsEdited: false,
             otherFieldsChanged: false
         };
         
@@ -513,6 +1175,18 @@ export class TaskController {
             }
         }
         
+        // Sessions added, removed, split or reordered in the session editor
+        if (taskData.sessions &&
+            getSessionsSignature(taskData.sessions) !== getSessionsSignature(originalTask.sessions)) {
+            changes.sessionsEdited = true;
+        }
+        
+        // A different session plan changes the sessions just like new timer settings
+        if (taskData.sessionPlan &&
+            JSON.stringify(taskData.sessionPlan) !== JSON.stringify(originalTask.sessionPlan.toObject())) {
+            changes.timerSettingsChanged = true;
+        }
+        
         // Check other fields for completeness
         const keysToIgnore = ['name', 'estimatedDuration', 'timerSettings', 'id', 'createdAt', 'status', 'sessions', 'progress'];
         for (const key in taskData) {
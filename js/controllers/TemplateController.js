@@ -0,0 +1,167 @@
+/**
+ * TemplateController.js
+ *
+ * Controller for managing task templates in the Pomodoro app.
+ * Handles saving, deleting, exporting and importing templates.
+ */
+
+import { StorageManager } from '../services/StorageManager.js';
+import { TaskTemplate } from '../models/TaskTemplate.js';
+
+// Marks a JSON file as a template export
+const TEMPLATE_EXPORT_TYPE = 'pomodoro-templates';
+const TEMPLATE_EXPORT_VERSION = 1;
+
+/**
+ * TemplateController class for managing task templates
+ */
+export class TemplateController {
+    /**
+     * Create a new TemplateController
+     */
+    constructor() {
+        // Local cache of templates
+        this._templates = [];
+
+        // Load templates from storage
+        this.loadTemplates();
+    }
+
+    /**
+     * Load templates from storage
+     */
+    loadTemplates() {
+        this._templates = StorageManager.getTemplates().map(templateData => TaskTemplate.fromObject(templateData));
+    }
+
+    /**
+     * Save templates to storage
+     * @private
+     */
+    _saveTemplates() {
+        StorageManager.saveTemplates(this._templates.map(template => template.toObject()));
+    }
+
+    /**
+     * Get all templates sorted by name
+     * @returns {Array} Array of TaskTemplate objects
+     */
+    getAllTemplates() {
+        return [...this._templates].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get template by ID
+     * @param {string} templateId Template ID
+     * @returns {TaskTemplate|null} TaskTemplate object or null if not found
+     */
+    getTemplateById(templateId) {
+        return this._templates.find(template => template.id === templateId) || null;
+    }
+
+    /**
+     * Get template by name, ignoring case
+     * @param {string} name Template name
+     * @returns {TaskTemplate|null} TaskTemplate object or null if not found
+     */
+    getTemplateByName(name) {
+        const lowerName = name.trim().toLowerCase();
+        return this._templates.find(template => template.name.toLowerCase() === lowerName) || null;
+    }
+
+    /**
+     * Save a task as a template. A template with the same name is replaced.
+     * @param {string} name Template name
+     * @param {Object} taskData Task object or task form data
+     * @returns {TaskTemplate} Saved TaskTemplate object
+     * @throws {Error} If the name is empty
+     */
+    saveTemplate(name, taskData) {
+        if (!name || !name.trim()) {
+            throw new Error('Template name is required.');
+        }
+
+        const template = TaskTemplate.fromTask(taskData, name.trim());
+
+        // Keep the ID of the template being replaced
+        const existing = this.getTemplateByName(name);
+        if (existing) {
+            template.id = existing.id;
+            this._templates = this._templates.filter(t => t.id !== existing.id);
+        }
+
+        this._templates.push(template);
+        this._saveTemplates();
+
+        return template;
+    }
+
+    /**
+     * Delete a template
+     * @param {string} templateId Template ID
+     * @returns {boolean} True if the template was deleted
+     */
+    deleteTemplate(templateId) {
+        if (!this.getTemplateById(templateId)) {
+            return false;
+        }
+
+        this._templates = this._templates.filter(template => template.id !== templateId);
+        this._saveTemplates();
+
+        return true;
+    }
+
+    /**
+     * Export all templates as JSON
+     * @returns {string} JSON string with the templates
+     */
+    exportTemplates() {
+        return JSON.stringify({
+            type: TEMPLATE_EXPORT_TYPE,
+            version: TEMPLATE_EXPORT_VERSION,
+            exportDate: new Date().toISOString(),
+            templates: this.getAllTemplates().map(template => template.toObject())
+        }, null, 2);
+    }
+
+    /**
+     * Import templates from JSON made by exportTemplates.
+     * A template with a known ID replaces the local one; a new template whose
+     * name is taken gets a number added to its name.
+     * @param {string} jsonData JSON string
+     * @returns {number} Number of templates imported
+     * @throws {Error} If the file is not a template export
+     */
+    importTemplates(jsonData) {
+        let data;
+        try {
+            data = JSON.parse(jsonData);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        if (!data || data.type !== TEMPLATE_EXPORT_TYPE || !Array.isArray(data.templates)) {
+            throw new Error('The file does not contain task templates.');
+        }
+
+        const imported = data.templates
+            .filter(templateData => templateData && typeof templateData.task === 'object' && templateData.task)
+            .map(templateData => TaskTemplate.fromObject(templateData));
+
+        imported.forEach(template => {
+            this._templates = this._templates.filter(t => t.id !== template.id);
+
+            const baseName = template.name;
+            let copy = 2;
+            while (this.getTemplateByName(template.name)) {
+                template.name = `${baseName} (${copy++})`;
+            }
+
+            this._templates.push(template);
+        });
+
+        this._saveTemplates();
+        return imported.length;
+    }
+}
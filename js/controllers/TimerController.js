@@ -5,12 +5,20 @@
  * Now uses specialized managers for different responsibilities.
  */
 
-import { TaskStatus, SessionType } from '../models/Task.js';
+import { TaskStatus, SessionType, createInterruption } from '../models/Task.js';
 import { TimerStateManager } from './timer/TimerStateManager.js';
 import { TimerWorkerManager } from './timer/TimerWorkerManager.js';
 import { SessionManager } from './timer/SessionManager.js';
 import { FocusModeManager } from './timer/FocusModeManager.js';
 import { TimerNotificationManager } from './timer/TimerNotificationManager.js';
+import { TimerSyncManager } from './timer/TimerSyncManager.js';
+import { TimerPersistenceManager } from './timer/TimerPersistenceManager.js';
+import { StorageManager } from '../services/StorageManager.js';
+import { IdleMonitor } from '../services/IdleMonitor.js';
+import { Settings } from '../models/Settings.js';
+
+// How long to wait for other tabs to report a running timer before resuming the saved one (ms)
+const RESTORE_DELAY = 500;
 
 /**
  * TimerController class for managing the Pomodoro timer
@@ -33,14 +41,27 @@ export class TimerController {
         this.stateManager = new TimerStateManager();
         this.sessionManager = new SessionManager(taskController);
         this.workerManager = new TimerWorkerManager(
-            this.updateTimerDisplay.bind(this),
-            this.handleTimerComplete.bind(this)
+            this.handleWorkerTick.bind(this),
+            this.handleWorkerComplete.bind(this)
         );
         this.notificationManager = new TimerNotificationManager(notificationService);
         this.focusModeManager = new FocusModeManager();
+        this.syncManager = new TimerSyncManager(this);
+        this.persistenceManager = new TimerPersistenceManager();
+        this.idleMonitor = new IdleMonitor(this.handleIdle.bind(this), this.handleUserReturn.bind(this));
+        
+        // Time the user was away during a running focus session: { since, taskId, sessionIndex, returnedAt }
+        this.idlePeriod = null;
+        
+        // Timestamp (ms) the focus session ended at while the clock counts overtime, null otherwise
+        this.overtimeStart = null;
+        
+        // Session running without a task: { type, duration, startedAt }, null otherwise
+        this.quickSession = null;
         
         // Set up worker state change handler
         this.workerManager.setStateChangeCallback(this.handleWorkerStateChange.bind(this));
+        this.workerManager.setOvertimeCallback(this.handleOvertimeTick.bind(this));
         
         // Initialize UI elements
         this.initUIElements();
@@ -51,11 +72,25 @@ export class TimerController {
         // Set up visibility change listener
         this.setupVisibilityChangeListener();
         
+        // Watch for the user stepping away in background mode
+        this.updateIdleMonitor();
+        document.addEventListener('settings-updated', () => this.updateIdleMonitor());
+        
         // Timer sound effects
         this.sounds = {
             focusEnd: new Audio('../assets/sounds/timer-end.mp3'),
             breakEnd: new Audio('../assets/sounds/break-start.mp3')
         };
+        
+        // Pick up a timer that was running when the page was closed
+        setTimeout(() => this.restoreSavedTimer(), RESTORE_DELAY);
+        
+        // Overtime is only counted up to the moment the page was last open
+        window.addEventListener('beforeunload', () => {
+            if (this.isInOvertime()) {
+                this.persistenceManager.markOvertimeSeen(true);
+            }
+        });
     }
 
     /**
@@ -102,7 +137,9 @@ export class TimerController {
         if (!this.timerView) {
             if (this.timerElements.startBtn) {
                 this.timerElements.startBtn.addEventListener('click', () => {
-                    if (this.stateManager.isStopped()) {
+                    if (this.isInOvertime()) {
+                        this.finishOvertime();
+                    } else if (this.stateManager.isStopped()) {
                         if (!this.getActiveTask()) {
                             alert('Please select a task first.');
                             return;
@@ -164,18 +201,191 @@ export class TimerController {
      */
     setupVisibilityChangeListener() {
         document.addEventListener('visibilitychange', () => {
-            const settings = this.app.settings;
+            // Read the stored settings, which are current even before app.settings is reloaded
+            const settings = new Settings(StorageManager.getSettings());
             
-            // Check if auto-pause is enabled in settings
-            if (settings.autoPauseOnInactiveTab !== false) {
-                if (document.hidden && this.stateManager.isRunning()) {
+            if (!settings.backgroundMode) {
+                if (document.hidden && this.isInOvertime()) {
+                    // Overtime can't be paused; leaving the tab finishes the session
+                    this.finishOvertime();
+                } else if (document.hidden && this.stateManager.isRunning()) {
                     // Auto-pause when tab is hidden
                     this.pauseTimer();
                 }
+            } else if (!document.hidden && this.idlePeriod && this.idlePeriod.returnedAt) {
+                // The user came back while the tab was hidden; ask now that they can see it
+                this.offerToDiscardIdleTime();
             }
         });
     }
 
+    /**
+     * Start or stop idle detection to match the settings.
+     * In background mode the timer keeps running while the tab is hidden, so
+     * only idle detection can tell that the user has stepped away.
+     */
+    updateIdleMonitor() {
+        const settings = new Settings(StorageManager.getSettings());
+        
+        if (settings.backgroundMode) {
+            this.idleMonitor.start(settings.idleTimeout);
+        } else {
+            this.idleMonitor.stop();
+            this.idlePeriod = null;
+        }
+    }
+
+    /**
+     * Remember when the user went idle during a running focus session
+     * @param {number} since Time (ms) the user went idle
+     */
+    handleIdle(since) {
+        const task = this.getActiveTask();
+        const session = this.sessionManager.getCurrentSession();
+        
+        // Time away from a break or a stopped timer doesn't matter
+        if (!this.stateManager.isRunning() || !task || !session || session.type !== SessionType.FOCUS) {
+            return;
+        }
+        
+        console.log('User idle since', new Date(since).toISOString());
+        this.idlePeriod = {
+            since,
+            taskId: task.id,
+            sessionIndex: task.progress.currentSession,
+            returnedAt: null
+        };
+    }
+
+    /**
+     * Handle the user coming back after being idle
+     */
+    handleUserReturn() {
+        if (!this.idlePeriod) return;
+        
+        this.idlePeriod.returnedAt = Date.now();
+        
+        // A hidden tab asks once it is shown again
+        if (!document.hidden) {
+            this.offerToDiscardIdleTime();
+        }
+    }
+
+    /**
+     * Ask whether the time the user was away should count toward the focus session
+     */
+    offerToDiscardIdleTime() {
+        const idlePeriod = this.idlePeriod;
+        this.idlePeriod = null;
+        
+        // The session ended or the timer was stopped in the meantime
+        const task = this.getActiveTask();
+        if (!idlePeriod || !task || task.id !== idlePeriod.taskId ||
+            task.progress.currentSession !== idlePeriod.sessionIndex || !this.stateManager.isRunning()) {
+            return;
+        }
+        
+        const idleSeconds = Math.round((idlePeriod.returnedAt - idlePeriod.since) / 1000);
+        const minutes = Math.max(1, Math.round(idleSeconds / 60));
+        
+        if (confirm(`You were away for about ${minutes} minute${minutes === 1 ? '' : 's'}. ` +
+            'Discard that time from this focus session?')) {
+            this.discardIdleTime(idleSeconds);
+        }
+    }
+
+    /**
+     * Give time back to the running session
+     * @param {number} seconds Seconds to add to the time left
+     */
+    discardIdleTime(seconds) {
+        const task = this.getActiveTask();
+        const session = this.sessionManager.getCurrentSession();
+        const timerState = StorageManager.getTimerState();
+        
+        if (!task || !session || !timerState) {
+            return;
+        }
+        
+        if (timerState.state === 'overtime') {
+            // Time away comes off the overtime, down to none at all
+            const since = Math.min(this.overtimeStart + seconds * 1000, Date.now());
+            
+            console.log(`Discarding ${seconds} idle seconds from the overtime`);
+            this.startOvertime(since);
+            return;
+        }
+        
+        if (timerState.state !== 'running') {
+            return;
+        }
+        
+        // Never more than the whole session
+        const totalDuration = session.duration * 60;
+        const endTime = Math.min(timerState.endTime + seconds * 1000, Date.now() + totalDuration * 1000);
+        const timeLeft = Math.ceil((endTime - Date.now()) / 1000);
+        
+        console.log(`Discarding ${seconds} idle seconds, ${timeLeft} seconds left`);
+        
+        this.workerManager.startTimer(timeLeft, endTime, totalDuration);
+        this.persistenceManager.saveRunning(task, session, endTime);
+    }
+
+    /**
+     * Check if an interruption can be logged now, i.e. during a running or paused focus session
+     * @returns {boolean} True if an interruption can be logged
+     */
+    canLogInterruption() {
+        if (this.stateManager.isStopped() || this.syncManager.isMirroring()) {
+            return false;
+        }
+        
+        const session = this.quickSession || this.sessionManager.getCurrentSession();
+        return !!session && session.type === SessionType.FOCUS;
+    }
+
+    /**
+     * Log an interruption of the current focus session. The timer keeps running.
+     * @param {string} type One of InterruptionType
+     * @param {string} note Optional note
+     * @returns {boolean} True if the interruption was logged
+     */
+    logInterruption(type, note = '') {
+        if (!this.canLogInterruption()) {
+            return false;
+        }
+        
+        if (this.quickSession) {
+            // A quick session only keeps its interruptions until it ends
+            this.quickSession.interruptions = [...(this.quickSession.interruptions || []), createInterruption(type, note)];
+        } else {
+            const task = this.getActiveTask();
+            const session = this.sessionManager.getCurrentSession();
+            
+            this.taskController.logInterruption(task.id, session.id, type, note);
+            
+            // Keep the active task in step with the stored one
+            this.sessionManager.setActiveTask(this.taskController.getTaskById(task.id));
+        }
+        
+        console.log(`Logged ${type} interruption`);
+        
+        if (this.app && this.app.analyticsService) {
+            this.app.analyticsService.recordInterruption(type);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Get the interruptions logged in the current session
+     * @returns {Array} Interruptions { type, note, at }
+     */
+    getSessionInterruptions() {
+        const session = this.quickSession || this.sessionManager.getCurrentSession();
+        return session && session.interruptions ? session.interruptions : [];
+    }
+
     /**
      * Handle worker state change
      * @param {string} stateType State change type from worker
@@ -199,6 +409,192 @@ export class TimerController {
         this.updateControlButtons();
     }
 
+    /**
+     * Handle the worker reaching zero: complete the session, or count overtime
+     * if that is turned on and it was a focus session
+     */
+    handleWorkerComplete() {
+        if (this.quickSession) {
+            this.handleQuickSessionComplete();
+            return;
+        }
+        
+        const task = this.getActiveTask();
+        const session = this.sessionManager.getCurrentSession();
+        
+        // Read the stored settings, which are current even before app.settings is reloaded
+        if (!task || !session || session.type !== SessionType.FOCUS || !StorageManager.getSettings().allowOvertime) {
+            this.handleTimerComplete();
+            return;
+        }
+        
+        this.sounds.focusEnd.play();
+        this.notificationManager.showOvertimeNotification(task, task.progress.completedSessions + 1);
+        
+        this.startOvertime(Date.now());
+    }
+
+    /**
+     * Count overtime on the current session
+     * @param {number} since Timestamp (ms) the session ended at
+     */
+    startOvertime(since) {
+        const task = this.getActiveTask();
+        const session = this.sessionManager.getCurrentSession();
+        if (!task || !session) return;
+        
+        this.overtimeStart = since;
+        this.workerManager.startOvertime(since);
+        this.persistenceManager.saveOvertime(task, session, since);
+        
+        this.updateTimerContainerClass(session.type);
+        this.updateControlButtons();
+    }
+
+    /**
+     * Check if the clock is counting overtime
+     * @returns {boolean} True while in overtime
+     */
+    isInOvertime() {
+        return this.overtimeStart !== null;
+    }
+
+    /**
+     * Handle an overtime tick from the timer worker
+     * @param {number} seconds Seconds past the end of the session
+     */
+    handleOvertimeTick(seconds) {
+        if (this.timerView) {
+            this.timerView.updateOvertimeDisplay(seconds);
+        }
+        
+        this.persistenceManager.markOvertimeSeen();
+    }
+
+    /**
+     * End a session that is in overtime and count the extra minutes
+     * @param {boolean} autoStart False to never auto-start the next session
+     */
+    finishOvertime(autoStart = true) {
+        if (!this.isInOvertime()) return;
+        
+        const overtime = Math.round((Date.now() - this.overtimeStart) / 60000);
+        
+        this.overtimeStart = null;
+        this.updateTimerContainerClass();
+        
+        this.handleTimerComplete(null, { overtime, autoStart });
+    }
+
+    /**
+     * Handle a tick from the timer worker
+     * @param {number} timeLeft Time left in seconds
+     * @param {number} progress Progress percentage (0-100)
+     */
+    handleWorkerTick(timeLeft, progress) {
+        this.updateTimerDisplay(timeLeft, progress);
+        
+        // Share the countdown with other tabs
+        this.syncManager.handleLocalTick(timeLeft, progress);
+    }
+
+    /**
+     * Take control of the timer before changing it.
+     * Fails while another tab is running the timer.
+     * @returns {boolean} True if this tab may control the timer
+     */
+    claimTimer() {
+        if (this.syncManager.claim()) {
+            return true;
+        }
+        
+        alert('The timer is running in another tab. Pause it there to take over here.');
+        return false;
+    }
+
+    /**
+     * Stop this tab's timer because another tab has taken it over
+     */
+    yieldToOtherTab() {
+        console.log('Timer taken over by another tab');
+        
+        this.workerManager.stopTimer();
+        this.overtimeStart = null;
+        this.quickSession = null;
+        this.stateManager.changeState('stopped');
+        
+        // Exit focus mode if active
+        if (this.focusModeManager.isFocusModeActive()) {
+            this.exitFocusMode();
+        }
+        
+        this.updateControlButtons();
+    }
+
+    /**
+     * Show the timer of the tab that owns it (read-only)
+     * @param {Object|null} remote Remote timer state, or null when it was released
+     */
+    mirrorRemoteState(remote) {
+        if (!remote) {
+            // The owner stopped or closed; this tab can use the timer again
+            this.stateManager.changeState('stopped');
+            this.refreshActiveTask();
+            this.updateControlButtons();
+            
+            // A tab closed with the timer running leaves it saved; carry on with it here
+            this.restoreSavedTimer();
+            return;
+        }
+        
+        const task = this.taskController.getTaskById(remote.taskId);
+        if (!task) return;
+        
+        const activeTask = this.getActiveTask();
+        if (!activeTask || activeTask.id !== task.id) {
+            this.sessionManager.setActiveTask(task);
+        }
+        
+        if (remote.state === 'paused') {
+            // Keep the paused time so this tab can resume from where the owner stopped
+            const pausedState = this.taskController.pausedTaskStates.get(task.id);
+            if (!pausedState || pausedState.timeLeft !== remote.timeLeft ||
+                pausedState.sessionIndex !== remote.sessionIndex) {
+                this.taskController.storePausedTaskState(task.id, remote.timeLeft, remote.sessionIndex);
+            }
+            this.stateManager.changeState('paused');
+        } else {
+            this.stateManager.changeState('stopped');
+        }
+        
+        this.updateTimerContainerClass(remote.sessionType, remote.state === 'paused');
+        this.updateTimerDisplay(remote.timeLeft, remote.progress);
+        this.updateTaskDisplay();
+        this.updateControlButtons();
+    }
+
+    /**
+     * Reload the active task after tasks were changed in another tab
+     */
+    refreshActiveTask() {
+        const task = this.getActiveTask();
+        if (!task) return;
+        
+        const freshTask = this.taskController.getTaskById(task.id);
+        
+        if (!freshTask) {
+            // The task was deleted in another tab
+            if (!this.stateManager.isStopped()) {
+                this.stopTimer();
+            }
+            this.sessionManager.setActiveTask(null);
+        } else {
+            this.sessionManager.setActiveTask(freshTask);
+        }
+        
+        this.updateTaskDisplay();
+    }
+
     /**
      * Set the active task for the timer
      * @param {Task} task Task object
@@ -216,11 +612,19 @@ export class TimerController {
             }
             
             // If the current task is running, pause it before switching
-            if (this.stateManager.isRunning()) {
+            if (this.stateManager.isRunning() && !this.isInOvertime()) {
                 await this.pauseTimer(); // Wait for pause to complete
             }
         }
         
+        // A session in overtime is finished rather than lost
+        this.finishOvertime(false);
+        
+        // So is a quick session, which may be kept on a task
+        if (this.quickSession) {
+            this.stopQuickSession();
+        }
+        
         // Stop the current timer
         this.stopTimer();
         
@@ -271,6 +675,137 @@ export class TimerController {
         return this.sessionManager.getActiveTask();
     }
 
+    /**
+     * Start a focus or break session that doesn't belong to a task
+     * @param {string} type Session type (SessionType.FOCUS or SessionType.BREAK)
+     * @param {Object} preset Timer preset { name, focusDuration, breakDuration }
+     */
+    startQuickSession(type, preset) {
+        if (this.stateManager.isRunning()) {
+            alert('Pause or end the running session first.');
+            return;
+        }
+        
+        if (!this.claimTimer()) {
+            return;
+        }
+        
+        // Put the task aside; a paused task keeps its time left for when it is selected again
+        this.sessionManager.setActiveTask(null);
+        
+        const duration = type === SessionType.FOCUS ? preset.focusDuration : preset.breakDuration;
+        const durationSeconds = duration * 60;
+        const endTime = Date.now() + durationSeconds * 1000;
+        
+        // Quick sessions aren't persisted, so they keep their own end time (timeLeft while paused)
+        this.quickSession = { type, duration, startedAt: Date.now(), endTime, timeLeft: null };
+        
+        console.log(`Starting quick ${type} session: ${duration} minutes`);
+        
+        this.updateTimerContainerClass(type);
+        this.workerManager.startTimer(durationSeconds, endTime, durationSeconds);
+        this.stateManager.changeState('running');
+        
+        this.updateTaskDisplay();
+        this.updateControlButtons();
+        
+        if (this.app && this.app.taskView) {
+            this.app.taskView.refreshTaskLists();
+        }
+    }
+
+    /**
+     * Resume a paused quick session
+     * @returns {boolean} True if resumed
+     */
+    resumeQuickSession() {
+        if (!this.claimTimer()) {
+            return false;
+        }
+        
+        this.workerManager.resumeTimer();
+        this.stateManager.changeState('running');
+        
+        this.quickSession.endTime = Date.now() + this.quickSession.timeLeft * 1000;
+        this.quickSession.timeLeft = null;
+        
+        this.updateTimerContainerClass(this.quickSession.type);
+        this.updateControlButtons();
+        return true;
+    }
+
+    /**
+     * Get the name a quick session is shown under
+     * @returns {string} Name of the quick session
+     */
+    getQuickSessionName() {
+        return this.quickSession && this.quickSession.type === SessionType.BREAK ? 'Quick Break' : 'Quick Focus';
+    }
+
+    /**
+     * Get the seconds left in the quick session
+     * @returns {number} Seconds left
+     */
+    getQuickSessionTimeLeft() {
+        const { endTime, timeLeft } = this.quickSession;
+        
+        if (timeLeft !== null) {
+            return timeLeft;
+        }
+        
+        return Math.max(0, Math.ceil((endTime - Date.now()) / 1000));
+    }
+
+    /**
+     * Handle a quick session running out
+     */
+    handleQuickSessionComplete() {
+        const quickSession = this.quickSession;
+        const isFocus = quickSession.type === SessionType.FOCUS;
+        
+        if (isFocus) {
+            this.sounds.focusEnd.play();
+        } else {
+            this.sounds.breakEnd.play();
+        }
+        
+        this.notificationManager.showQuickSessionEndNotification(quickSession);
+        
+        this.endQuickSession(quickSession.duration);
+    }
+
+    /**
+     * Stop a quick session before it runs out
+     */
+    stopQuickSession() {
+        if (!this.quickSession) return;
+        
+        const elapsed = this.quickSession.duration * 60 - this.getQuickSessionTimeLeft();
+        this.endQuickSession(Math.round(elapsed / 60));
+    }
+
+    /**
+     * End the quick session and offer to keep its focus time on a task
+     * @param {number} minutes Minutes the session ran
+     */
+    endQuickSession(minutes) {
+        const quickSession = this.quickSession;
+        
+        // The time counts toward the statistics whether or not it is kept on a task
+        if (minutes > 0 && this.app && this.app.analyticsService) {
+            this.app.analyticsService.recordSessionCompletion(null, { ...quickSession, duration: minutes },
+                quickSession.type === SessionType.FOCUS);
+        }
+        
+        this.stopTimer();
+        this.updateTimerContainerClass();
+        this.updateTaskDisplay();
+        
+        if (quickSession.type === SessionType.FOCUS && minutes > 0 && this.timerView) {
+            this.timerView.offerToSaveQuickSession(minutes);
+        }
+    }
+
     /**
      * Start the timer for the current session
      */
@@ -282,6 +817,16 @@ export class TimerController {
             return;
         }
         
+        // Starting a task before its prerequisites are done needs confirmation
+        if (!this.taskController.confirmStartTask(task.id)) {
+            return;
+        }
+        
+        // Only one tab may run the timer
+        if (!this.claimTimer()) {
+            return;
+        }
+        
         // Start the task in the session manager
         this.sessionManager.startTask();
         
@@ -306,7 +851,9 @@ export class TimerController {
         this.updateTimerContainerClass(session.type);
         
         // Start the worker timer with appropriate duration
-        this.workerManager.startTimer(durationSeconds);
+        const endTime = Date.now() + durationSeconds * 1000;
+        this.workerManager.startTimer(durationSeconds, endTime, session.duration * 60);
+        this.persistenceManager.saveRunning(task, session, endTime);
         
         // Update timer state
         this.stateManager.changeState('running');
@@ -329,7 +876,7 @@ export class TimerController {
                 task.progress.currentSession + 1
             );
         } else {
-            this.notificationManager.showBreakStartNotification(task);
+            this.notificationManager.showBreakStartNotification(task, session);
         }
     }
 
@@ -340,6 +887,11 @@ export class TimerController {
     pauseTimer() {
     console.log('TimerController.pauseTimer called, current state:', this.stateManager.getState());
     
+    if (this.isInOvertime()) {
+        console.log('Cannot pause: timer is counting overtime');
+        return Promise.resolve(false);
+    }
+    
     if (this.stateManager.isRunning()) {
         // Return a Promise that resolves when time left is saved
         return new Promise(resolve => {
@@ -354,8 +906,17 @@ export class TimerController {
                     
                     // Store the time left in the task controller
                     const timeLeft = e.data.timeLeft;
+                    if (this.quickSession) {
+                        this.quickSession.timeLeft = timeLeft;
+                    }
+                    
                     if (this.activeTask) {
                         this.taskController.storePausedTaskState(this.activeTask.id, timeLeft, this.activeTask.progress.currentSession);
+                        
+                        const pausedSession = this.sessionManager.getCurrentSession();
+                        if (pausedSession) {
+                            this.persistenceManager.savePaused(this.activeTask, pausedSession, timeLeft);
+                        }
                     }
                     
                     // Complete all the rest of pause operations
@@ -364,7 +925,7 @@ export class TimerController {
                     this.sessionManager.pauseTask();
                     
                     // Update UI
-                    const session = this.sessionManager.getCurrentSession();
+                    const session = this.sessionManager.getCurrentSession() || this.quickSession;
                     if (session) {
                         this.updateTimerContainerClass(session.type, true);
                     }
@@ -398,6 +959,10 @@ export class TimerController {
     resumeTimer() {
     console.log('TimerController.resumeTimer called, current state:', this.stateManager.getState());
     
+    if (this.stateManager.isPaused() && this.quickSession) {
+        return this.resumeQuickSession();
+    }
+    
     if (this.stateManager.isPaused()) {
         // Get the active task and its paused state
         const task = this.getActiveTask();
@@ -406,8 +971,14 @@ export class TimerController {
             return false;
         }
         
+        // Take over the timer if it was paused in another tab
+        if (!this.claimTimer()) {
+            return false;
+        }
+        
         // If there's a saved paused state, use it (should already be loaded in the UI)
         const pausedState = this.taskController.pausedTaskStates.get(task.id);
+        const currentSession = this.sessionManager.getCurrentSession();
         let durationSeconds;
         
         if (pausedState && pausedState.sessionIndex === task.progress.currentSession) {
@@ -416,13 +987,24 @@ export class TimerController {
             console.log(`Resuming with saved time: ${durationSeconds} seconds`);
             
             // Start the timer with this duration
-            this.workerManager.startTimer(durationSeconds);
+            const endTime = Date.now() + durationSeconds * 1000;
+            this.workerManager.startTimer(durationSeconds, endTime,
+                currentSession ? currentSession.duration * 60 : null);
+            
+            if (currentSession) {
+                this.persistenceManager.saveRunning(task, currentSession, endTime);
+            }
             
             // Clear the paused state since we're resuming it
             this.taskController.pausedTaskStates.delete(task.id);
         } else {
             // Fallback to regular resume if no paused state is found
             this.workerManager.resumeTimer();
+            
+            if (currentSession) {
+                this.persistenceManager.saveRunning(task, currentSession,
+                    Date.now() + this.syncManager.lastTick.timeLeft * 1000);
+            }
         }
         
         // Update timer state
@@ -459,12 +1041,28 @@ export class TimerController {
         // Stop the worker timer
         this.workerManager.stopTimer();
         
+        // Stop counting overtime
+        if (this.isInOvertime()) {
+            this.overtimeStart = null;
+            this.updateTimerContainerClass();
+        }
+        
         // Reset the timer display
         this.updateTimerDisplay(0, 100);
         
         // Update timer state
         this.stateManager.changeState('stopped');
         
+        // Nothing to resume after a reload (unless another tab runs the timer).
+        // Quick sessions aren't saved, so a task paused before one stays saved.
+        if (!this.syncManager.isMirroring() && !this.quickSession) {
+            this.persistenceManager.clear();
+        }
+        this.quickSession = null;
+        
+        // Let other tabs use the timer again
+        this.syncManager.release();
+        
         // Update control buttons
         this.updateControlButtons();
         
@@ -478,10 +1076,20 @@ export class TimerController {
      * End the current task
      */
     endTask() {
-        if (!this.getActiveTask()) {
+        if (!this.getActiveTask() || !this.claimTimer()) {
             return;
         }
         
+        // A session in overtime has run its full time; count it before ending the task
+        if (this.isInOvertime()) {
+            this.finishOvertime(false);
+            
+            // That was the last session, so the task is complete already
+            if (!this.sessionManager.getCurrentSession()) {
+                return;
+            }
+        }
+        
         // Get task ID before ending it
         const taskId = this.getActiveTask().id;
         
@@ -509,7 +1117,7 @@ export class TimerController {
         // IMPROVEMENT 2: Auto-select next task
         if (this.app && this.app.taskController) {
             // Get all pending/active tasks that could be selected next
-            const pendingTasks = this.app.taskController.getPendingTasks();
+            const pendingTasks = this.app.taskController.getStartableTasks();
             const activeAndPartialTasks = this.app.taskController.getActiveAndPartialTasks();
             const availableTasks = [...activeAndPartialTasks, ...pendingTasks];
             
@@ -529,8 +1137,11 @@ export class TimerController {
 
     /**
      * Handle timer completion
+     * @param {Date} endedAt When the session ended, if it ended while the page was closed
+     * @param {Object} options { overtime } minutes the session ran over, when finished from overtime,
+     *                         and { autoStart: false } to never auto-start the next session
      */
-    handleTimerComplete() {
+    handleTimerComplete(endedAt = null, { overtime = null, autoStart = true } = {}) {
         const task = this.getActiveTask();
         const session = this.sessionManager.getCurrentSession();
         
@@ -543,8 +1154,13 @@ export class TimerController {
         // Clear any paused state for this task since we're completing the session
         this.taskController.pausedTaskStates.delete(task.id);
         
-        // Play sound based on session type
-        if (session.type === SessionType.FOCUS) {
+        // Play sound based on session type (a session that ended while the page was closed has nobody to hear it,
+        // and one finished from overtime played it when the overtime started)
+        if (endedAt) {
+            console.log('Completing a session that ended at', endedAt.toISOString());
+        } else if (overtime !== null) {
+            console.log(`Completing a session with ${overtime} minutes of overtime`);
+        } else if (session.type === SessionType.FOCUS) {
             this.sounds.focusEnd.play();
         } else {
             this.sounds.breakEnd.play();
@@ -560,12 +1176,25 @@ export class TimerController {
             this.notificationManager.showBreakEndNotification(task);
         }
         
+        // Count the session on the day it ended
+        if (this.app && this.app.analyticsService) {
+            this.app.analyticsService.recordSessionCompletion(
+                task, session, session.type === SessionType.FOCUS, endedAt || new Date(), overtime || 0);
+        }
+        
         // Complete the current session
-        const nextSession = this.sessionManager.completeCurrentSession();
+        const nextSession = this.sessionManager.completeCurrentSession(overtime || 0);
         
         // IMPROVEMENT 4: Force refresh of the session counter display
         this.updateSessionCounter();
         
+        // Ask what was done in the focus session; the prompt doesn't hold up the break.
+        // Read the stored settings, which are current even before app.settings is reloaded
+        if (session.type === SessionType.FOCUS && this.timerView &&
+            StorageManager.getSettings().promptSessionLog !== false) {
+            this.timerView.showSessionLogPrompt(this.taskController.getTaskById(task.id), session);
+        }
+        
         // Refresh the task list to update progress
         if (this.app && this.app.taskView) {
             this.app.taskView.refreshTaskLists(task.id);
@@ -590,9 +1219,10 @@ export class TimerController {
         // Update timer container class for the new session
         this.updateTimerContainerClass();
         
-        // Check if auto-start next session is enabled
+        // Check if auto-start next session is enabled.
+        // The next session isn't started late for a session that ended while the page was closed.
         const settings = this.app.settings;
-        if (settings.autoStartNextSession) {
+        if (settings.autoStartNextSession && !endedAt && autoStart) {
             // Auto-start the next session
             this.startTimer();
         } else {
@@ -601,6 +1231,71 @@ export class TimerController {
         }
     }
 
+    /**
+     * Resume the timer saved in storage, or complete its session if it ended
+     * while the page was closed
+     */
+    restoreSavedTimer() {
+        // Another tab is running the timer already
+        if (this.syncManager.isMirroring() || !this.stateManager.isStopped()) {
+            return;
+        }
+        
+        const saved = this.persistenceManager.load(this.taskController);
+        if (!saved) return;
+        
+        const { timerState, task } = saved;
+        const timeLeft = this.persistenceManager.getTimeLeft(timerState);
+        
+        this.sessionManager.setActiveTask(task);
+        const session = this.sessionManager.getCurrentSession();
+        
+        if (timerState.state === 'paused') {
+            console.log(`Restoring paused timer: ${timeLeft} seconds left`);
+            
+            this.taskController.storePausedTaskState(task.id, timeLeft, timerState.sessionIndex);
+            this.stateManager.changeState('paused');
+            this.updateTimerContainerClass(session.type, true);
+            this.updateTimerDisplay(timeLeft, (timeLeft / timerState.totalDuration) * 100);
+        } else if (timerState.state === 'overtime') {
+            if (!this.syncManager.claim()) return;
+            
+            // Nobody was working while the page was closed, so the overtime ends
+            // when the page was last seen rather than counting on from there
+            const lastSeenAt = Math.max(timerState.lastSeenAt || timerState.endTime, timerState.endTime);
+            const overtime = Math.round((lastSeenAt - timerState.endTime) / 60000);
+            console.log(`Finishing saved overtime of ${overtime} minutes`);
+            
+            this.handleTimerComplete(new Date(lastSeenAt), { overtime, autoStart: false });
+        } else if (timeLeft > 0) {
+            if (!this.syncManager.claim()) return;
+            
+            console.log(`Resuming saved timer: ${timeLeft} seconds left`);
+            
+            // Keep the session's start time; only a task that isn't marked as running is started again
+            if (task.status !== TaskStatus.ONGOING) {
+                this.sessionManager.startTask();
+            }
+            
+            this.updateTimerContainerClass(session.type);
+            this.workerManager.startTimer(timeLeft, timerState.endTime, timerState.totalDuration);
+            this.stateManager.changeState('running');
+        } else {
+            // The session ran out while the page was closed. Only one tab completes it;
+            // a tab restored at the same time may have done so already.
+            if (!this.syncManager.claim() || !this.persistenceManager.load(this.taskController)) return;
+            
+            this.handleTimerComplete(new Date(timerState.endTime));
+        }
+        
+        this.updateTaskDisplay();
+        this.updateControlButtons();
+        
+        if (this.app && this.app.taskView) {
+            this.app.taskView.refreshTaskLists(task.id);
+        }
+    }
+
     /**
      * Update the timer display
      * @param {number} timeLeft Time left in seconds
@@ -702,6 +1397,11 @@ export class TimerController {
     updateTaskDisplay() {
         const task = this.getActiveTask();
         
+        if (this.quickSession && this.timerView) {
+            this.timerView.updateQuickSessionDisplay(this.quickSession);
+            return;
+        }
+        
         if (this.timerView) {
             // Use TimerView to update the task display
             let statusText = '';
@@ -717,6 +1417,11 @@ export class TimerController {
                         statusText = 'Ready To Start';
                         break;
                 }
+                
+                // The timer is being run by another tab
+                if (this.syncManager.isMirroring()) {
+                    statusText = this.syncManager.isReadOnly() ? 'Running in another tab' : 'Paused in another tab';
+                }
             }
             
             this.timerView.updateTaskDisplay(task, statusText);
@@ -767,6 +1472,19 @@ export class TimerController {
         // Update the active task
         this.sessionManager.setActiveTask(updatedTask);
         
+        // Another tab runs this timer; it picks up the change from storage
+        if (this.syncManager.isReadOnly()) {
+            this.updateTaskDisplay();
+            return;
+        }
+        
+        if (changes.sessionsEdited) {
+            // The session editor never changes the current session, so the timer keeps running
+            this.updateSessionCounter();
+            this.updateTaskDisplay();
+            return;
+        }
+        
         if (changes.nameChanged || changes.otherFieldsChanged) {
             // Just update the display
             this.updateTaskDisplay();
@@ -849,8 +1567,13 @@ export class TimerController {
     if (this.timerView) {
         // Use TimerView to update the control buttons
         const timerState = this.stateManager.getState();
-        const hasActiveTask = !!this.getActiveTask();
+        const hasActiveTask = !!this.getActiveTask() || !!this.quickSession;
         this.timerView.updateControlButtons(timerState, hasActiveTask);
+        
+        // Controls stay disabled while another tab runs the timer
+        if (this.syncManager.isReadOnly()) {
+            this.timerView.setReadOnly();
+        }
     } else if (this.timerElements.startBtn && this.timerElements.pauseBtn && this.timerElements.endBtn) {
         const timerState = this.stateManager.getState();
         const hasActiveTask = !!this.getActiveTask();
@@ -897,8 +1620,8 @@ export class TimerController {
             // Make sure we have the current task and session
             const task = this.getActiveTask();
             
-            // Only proceed if we have a task
-            if (!task) {
+            // Only proceed if we have a task (or a quick session)
+            if (!task && !this.quickSession) {
                 console.warn('No active task for focus mode');
                 alert('Please select a task before entering focus mode.');
                 return;
@@ -919,15 +1642,15 @@ export class TimerController {
         const task = this.getActiveTask();
         if (task) {
             task.useFocusMode = true;
-            this.taskController.updateTask(task.id, task);
+            this.taskController.updateTask(task.id, task, { recordHistory: false });
         }
         
-        // Get current session
-        const session = this.sessionManager.getCurrentSession();
+        // Get current session; a quick session is shown under its own name
+        const session = this.quickSession || this.sessionManager.getCurrentSession();
         
         // Make sure we're passing the correct elements object to the focus mode manager
         this.focusModeManager.enterFocusMode(
-            task,
+            this.quickSession ? { name: this.getQuickSessionName() } : task,
             session,
             this.focusModeElements // Make sure this is the correct object name
         );
@@ -6,6 +6,10 @@
  */
 
 import { SessionType } from '../../models/Task.js';
+import { getScheduleConflicts } from '../../models/TaskDependencies.js';
+
+// Minimum height in pixels of a daily view session that shows its time below the name
+const MIN_TWO_LINE_HEIGHT = 30;
 
 /**
  * CalendarViewRenderer class for handling calendar rendering
@@ -57,8 +61,8 @@ export class CalendarViewRenderer {
                     startHour = taskHour;
                 }
                 
-                // Check end time considering task duration
-                const taskEndHour = taskHour + Math.ceil(task.estimatedDuration);
+                // Check end time considering the planned sessions (breaks included)
+                const taskEndHour = Math.ceil(this.getTaskEndHour(task));
                 if (taskEndHour > endHour) {
                     endHour = taskEndHour;
                 }
@@ -96,6 +100,16 @@ export class CalendarViewRenderer {
         return hourMarker;
     }
 
+    /**
+     * Get the hour at which a task's last session ends
+     * @param {Object} task Task object with a start time
+     * @returns {number} End hour (e.g., 10.5 for 10:30)
+     */
+    getTaskEndHour(task) {
+        const [hours, minutes] = task.startTime.split(':').map(Number);
+        return hours + (minutes + task.getPlannedMinutes()) / 60;
+    }
+
     /**
      * Render tasks on the daily view
      * @param {Array} tasks Array of tasks
@@ -190,11 +204,25 @@ export class CalendarViewRenderer {
         sessionElement.style.width = 'calc(100% - 10px)';
         
         // Add content
+        const timeText = this.controller.formatSessionTime(startHour, duration, session);
         sessionElement.innerHTML = `
             <div class="task-event-name">${task.name}</div>
-            <div class="task-event-time">${this.controller.formatSessionTime(startHour, duration, session.type)}</div>
         `;
         
+        // Short sessions (e.g. a shortened last focus session) only fit the name
+        if (height >= MIN_TWO_LINE_HEIGHT) {
+            sessionElement.innerHTML += `<div class="task-event-time">${timeText}</div>`;
+        } else {
+            sessionElement.style.fontSize = '0.7rem';
+            sessionElement.style.overflow = 'hidden';
+        }
+        
+        // Add tooltip with the full time
+        sessionElement.title = `${task.name} (${timeText})`;
+        
+        this.applyProjectColor(sessionElement, task, session);
+        this.addDependencyMarker(sessionElement, task, session);
+        
         // Add data attributes
         sessionElement.dataset.taskId = task.id;
         sessionElement.dataset.sessionId = session.id;
@@ -207,6 +235,56 @@ export class CalendarViewRenderer {
         return sessionElement;
     }
 
+    /**
+     * Color a session by the project of its task.
+     * Focus sessions are filled with the color, breaks get a colored right edge
+     * so the priority edge on the left stays visible.
+     * @param {HTMLElement} sessionElement Session element
+     * @param {Object} task Task object
+     * @param {Object} session Session object
+     */
+    applyProjectColor(sessionElement, task, session) {
+        const projectController = this.controller.projectController;
+        const project = projectController ? projectController.getTaskProject(task) : null;
+        if (!project) {
+            return;
+        }
+        
+        if (session.type === SessionType.FOCUS) {
+            sessionElement.style.backgroundColor = project.color;
+        } else {
+            sessionElement.style.borderRight = `4px solid ${project.color}`;
+        }
+        
+        sessionElement.title += ` - ${project.name}`;
+    }
+
+    /**
+     * Mark the first session of a task that is scheduled before one of its prerequisites ends
+     * @param {HTMLElement} sessionElement Session element
+     * @param {Object} task Task object
+     * @param {Object} session Session object
+     */
+    addDependencyMarker(sessionElement, task, session) {
+        if (session !== task.sessions[0] || task.blockedBy.length === 0) {
+            return;
+        }
+        
+        const conflicts = getScheduleConflicts(task, this.controller.taskController.getAllTasks());
+        if (conflicts.length === 0) {
+            return;
+        }
+        
+        const names = conflicts.map(t => t.name).join(', ');
+        
+        const marker = document.createElement('span');
+        marker.className = 'dependency-warning';
+        marker.textContent = '⚠';
+        sessionElement.appendChild(marker);
+        
+        sessionElement.title += `\nScheduled before its prerequisite: ${names}`;
+    }
+
     /**
      * Render the weekly view
      */
@@ -272,8 +350,8 @@ export class CalendarViewRenderer {
                         startHour = taskHour;
                     }
                     
-                    // Check end time considering task duration
-                    const taskEndHour = taskHour + Math.ceil(task.estimatedDuration);
+                    // Check end time considering the planned sessions (breaks included)
+                    const taskEndHour = Math.ceil(this.getTaskEndHour(task));
                     if (taskEndHour > endHour) {
                         endHour = taskEndHour;
                     }
@@ -411,7 +489,10 @@ export class CalendarViewRenderer {
         `;
         
         // Add tooltip with more details
-        sessionElement.title = `${task.name} (${this.controller.formatSessionTime(startHour, duration, session.type)})`;
+        sessionElement.title = `${task.name} (${this.controller.formatSessionTime(startHour, duration, session)})`;
+        
+        this.applyProjectColor(sessionElement, task, session);
+        this.addDependencyMarker(sessionElement, task, session);
         
         // Add data attributes
         sessionElement.dataset.taskId = task.id;
@@ -47,15 +47,16 @@ export class SessionManager {
 
     /**
      * Complete the current session
+     * @param {number} overtime Minutes the session ran past its end
      * @returns {Object|null} Next session or null if task is completed
      */
-    completeCurrentSession() {
+    completeCurrentSession(overtime = 0) {
         if (!this.activeTask) {
             return null;
         }
 
         // Mark current session as completed
-        this.taskController.completeTaskSession(this.activeTask.id);
+        this.taskController.completeTaskSession(this.activeTask.id, overtime);
         
         // Get the updated task
         this.activeTask = this.taskController.getTaskById(this.activeTask.id);
@@ -79,7 +80,7 @@ export class SessionManager {
         
         // Update task status
         this.activeTask.start();
-        this.taskController.updateTask(this.activeTask.id, this.activeTask);
+        this.taskController.updateTask(this.activeTask.id, this.activeTask, { recordHistory: false });
         
         // Notify listeners
         this.notifyTaskStarted();
@@ -95,7 +96,7 @@ export class SessionManager {
         
         // Update task status
         this.activeTask.pause();
-        this.taskController.updateTask(this.activeTask.id, this.activeTask);
+        this.taskController.updateTask(this.activeTask.id, this.activeTask, { recordHistory: false });
         
         // Notify listeners
         this.notifyTaskPaused();
@@ -109,24 +110,27 @@ export class SessionManager {
             return;
         }
         
-        // Store the current progress instead of completing all remaining sessions
-        const taskToEnd = this.activeTask;
+        // The task is changed in place, so record history around the whole change
+        this.taskController.recordHistory('End task', () => {
+            // Store the current progress instead of completing all remaining sessions
+            const taskToEnd = this.activeTask;
         
-        // Set a flag to indicate that this task was ended early (not naturally completed)
-        taskToEnd.endedEarly = true;
+            // Set a flag to indicate that this task was ended early (not naturally completed)
+            taskToEnd.endedEarly = true;
         
-        // Record the current progress at the time of ending
-        taskToEnd.endProgress = {
-            completedSessions: taskToEnd.progress.completedSessions,
-            currentSession: taskToEnd.progress.currentSession,
-            timeSpent: taskToEnd.progress.timeSpent
-        };
+            // Record the current progress at the time of ending
+            taskToEnd.endProgress = {
+                completedSessions: taskToEnd.progress.completedSessions,
+                currentSession: taskToEnd.progress.currentSession,
+                timeSpent: taskToEnd.progress.timeSpent
+            };
         
-        // Update status to completed without completing all sessions
-        taskToEnd.status = TaskStatus.COMPLETED;
+            // Update status to completed without completing all sessions
+            taskToEnd.status = TaskStatus.COMPLETED;
         
-        // Save the task with its current progress
-        this.taskController.updateTask(taskToEnd.id, taskToEnd);
+            // Save the task with its current progress
+            this.taskController.updateTask(taskToEnd.id, taskToEnd, { recordHistory: false });
+        }, { destructive: true });
         
         // Reset the active task and current session
         const endedTask = this.activeTask;
@@ -41,15 +41,39 @@ export class TimerNotificationManager {
         return this.notificationService.showFocusEndNotification(task, sessionNumber);
     }
 
+    /**
+     * Show a notification that a quick session ended
+     * @param {Object} quickSession Quick session { type, duration }
+     * @returns {boolean} True if notification was shown
+     */
+    showQuickSessionEndNotification(quickSession) {
+        if (!this.notificationService) return false;
+        
+        return this.notificationService.showQuickSessionEndNotification(quickSession);
+    }
+
+    /**
+     * Show a notification that a focus session is in overtime
+     * @param {Object} task Task object
+     * @param {number} sessionNumber Number of the session running over
+     * @returns {boolean} True if notification was shown
+     */
+    showOvertimeNotification(task, sessionNumber) {
+        if (!this.notificationService) return false;
+        
+        return this.notificationService.showOvertimeNotification(task, sessionNumber);
+    }
+
     /**
      * Show a break start notification
      * @param {Object} task Task object
+     * @param {Object} session Break session that started
      * @returns {boolean} True if notification was shown
      */
-    showBreakStartNotification(task) {
+    showBreakStartNotification(task, session) {
         if (!this.notificationService) return false;
         
-        return this.notificationService.showBreakStartNotification(task);
+        return this.notificationService.showBreakStartNotification(task, session);
     }
 
     /**
@@ -0,0 +1,133 @@
+/**
+ * TimerPersistenceManager.js
+ * 
+ * Keeps the timer in storage so it survives a reload or a browser crash.
+ * A running timer is stored as the time it ends at rather than the time it
+ * has left, so the countdown can be picked up again exactly.
+ */
+
+import { StorageManager } from '../../services/StorageManager.js';
+
+// How often a saved overtime count is marked as still seen (ms)
+const OVERTIME_SEEN_INTERVAL = 30000;
+
+export class TimerPersistenceManager {
+    /**
+     * Save a running timer
+     * @param {Task} task Task the timer runs for
+     * @param {Object} session Current session
+     * @param {number} endTime Timestamp (ms) the session ends at
+     */
+    saveRunning(task, session, endTime) {
+        StorageManager.saveTimerState({
+            state: 'running',
+            taskId: task.id,
+            sessionIndex: task.progress.currentSession,
+            sessionType: session.type,
+            endTime: endTime,
+            totalDuration: session.duration * 60,
+            savedAt: Date.now()
+        });
+    }
+
+    /**
+     * Save a paused timer
+     * @param {Task} task Task the timer was paused on
+     * @param {Object} session Current session
+     * @param {number} timeLeft Seconds left in the session
+     */
+    savePaused(task, session, timeLeft) {
+        StorageManager.saveTimerState({
+            state: 'paused',
+            taskId: task.id,
+            sessionIndex: task.progress.currentSession,
+            sessionType: session.type,
+            timeLeft: timeLeft,
+            totalDuration: session.duration * 60,
+            savedAt: Date.now()
+        });
+    }
+
+    /**
+     * Save a timer counting overtime
+     * @param {Task} task Task the timer runs for
+     * @param {Object} session Current session
+     * @param {number} endTime Timestamp (ms) the session ended at, where the overtime count starts
+     */
+    saveOvertime(task, session, endTime) {
+        StorageManager.saveTimerState({
+            state: 'overtime',
+            taskId: task.id,
+            sessionIndex: task.progress.currentSession,
+            sessionType: session.type,
+            endTime: endTime,
+            totalDuration: session.duration * 60,
+            lastSeenAt: Date.now(),
+            savedAt: Date.now()
+        });
+    }
+
+    /**
+     * Note that the page is still open during overtime, so a restore after the
+     * page was closed only counts overtime up to this point
+     * @param {boolean} force Save even if the last note is recent
+     */
+    markOvertimeSeen(force = false) {
+        const timerState = StorageManager.getTimerState();
+        if (!timerState || timerState.state !== 'overtime') {
+            return;
+        }
+        
+        const now = Date.now();
+        if (!force && now - (timerState.lastSeenAt || 0) < OVERTIME_SEEN_INTERVAL) {
+            return;
+        }
+        
+        StorageManager.saveTimerState({ ...timerState, lastSeenAt: now });
+    }
+
+    /**
+     * Forget the saved timer
+     */
+    clear() {
+        if (StorageManager.getTimerState()) {
+            StorageManager.saveTimerState(null);
+        }
+    }
+
+    /**
+     * Get the saved timer, if it still belongs to the current session of its task
+     * @param {TaskController} taskController Reference to the TaskController
+     * @returns {Object|null} { timerState, task }, or null if there is nothing to restore
+     */
+    load(taskController) {
+        const timerState = StorageManager.getTimerState();
+        if (!timerState) {
+            return null;
+        }
+        
+        const task = taskController.getTaskById(timerState.taskId);
+        
+        // The task was finished, deleted or moved on in the meantime
+        if (!task || !task.getCurrentSession() || task.progress.currentSession !== timerState.sessionIndex) {
+            console.log('Saved timer no longer matches its task, discarding it');
+            this.clear();
+            return null;
+        }
+        
+        return { timerState, task };
+    }
+
+    /**
+     * Get the seconds left on a saved timer
+     * @param {Object} timerState Saved timer state
+     * @returns {number} Seconds left, 0 if the session already ended
+     */
+    getTimeLeft(timerState) {
+        if (timerState.state === 'paused') {
+            return timerState.timeLeft;
+        }
+        
+        return Math.max(0, Math.ceil((timerState.endTime - Date.now()) / 1000));
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * TimerSyncManager.js
+ *
+ * Coordinates the timer between tabs. The tab that starts the timer becomes
+ * its owner and broadcasts the countdown; other tabs mirror it read-only.
+ * Ownership is released when the timer stops, the tab closes, or the owner
+ * stops sending heartbeats.
+ */
+
+import { TabSyncService } from '../../services/TabSyncService.js';
+
+// How often the owner broadcasts its state (ms)
+const HEARTBEAT_INTERVAL = 1000;
+
+// How long without a heartbeat before the owner is considered gone (ms)
+const OWNER_TIMEOUT = 5000;
+
+export class TimerSyncManager {
+    /**
+     * Create a new TimerSyncManager
+     * @param {TimerController} timerController Reference to the TimerController
+     */
+    constructor(timerController) {
+        this.timerController = timerController;
+        this.tabId = TabSyncService.getTabId();
+        this.isOwner = false;
+
+        // Last state received from the owning tab
+        this.remoteState = null;
+
+        // Last countdown values of this tab's timer
+        this.lastTick = { timeLeft: 0, progress: 100 };
+
+        TabSyncService.on('timer-state', this.handleRemoteState.bind(this));
+        TabSyncService.on('timer-claim', this.handleRemoteClaim.bind(this));
+        TabSyncService.on('timer-released', this.handleRemoteRelease.bind(this));
+        TabSyncService.on('timer-query', () => {
+            if (this.isOwner) this.broadcastState();
+        });
+
+        // Heartbeat for the owner, timeout check for mirrors
+        this.heartbeat = setInterval(this.checkHeartbeat.bind(this), HEARTBEAT_INTERVAL);
+
+        // Hand the timer back when this tab closes
+        window.addEventListener('beforeunload', () => this.release());
+
+        // Ask whether another tab already runs the timer
+        TabSyncService.post('timer-query');
+    }
+
+    /**
+     * Check if another tab currently owns an active timer
+     * @returns {boolean} True if this tab is mirroring another tab's timer
+     */
+    isMirroring() {
+        return !this.isOwner && !!this.remoteState;
+    }
+
+    /**
+     * Check if this tab's timer controls must stay disabled.
+     * A paused timer may be taken over by any tab; a running one may not.
+     * @returns {boolean} True if the controls are read-only
+     */
+    isReadOnly() {
+        return this.isMirroring() && this.remoteState.state === 'running';
+    }
+
+    /**
+     * Make this tab the timer owner before it changes the timer
+     * @returns {boolean} True if this tab may control the timer
+     */
+    claim() {
+        if (this.isReadOnly()) {
+            return false;
+        }
+
+        if (!this.isOwner) {
+            this.isOwner = true;
+            this.remoteState = null;
+            TabSyncService.post('timer-claim', { ownerId: this.tabId });
+        }
+
+        return true;
+    }
+
+    /**
+     * Give up timer ownership (when the timer stops or the tab closes)
+     */
+    release() {
+        if (!this.isOwner) return;
+
+        this.isOwner = false;
+        TabSyncService.post('timer-released', { ownerId: this.tabId });
+    }
+
+    /**
+     * Record and broadcast a tick of this tab's timer
+     * @param {number} timeLeft Time left in seconds
+     * @param {number} progress Progress percentage (0-100)
+     */
+    handleLocalTick(timeLeft, progress) {
+        this.lastTick = { timeLeft, progress };
+
+        if (this.isOwner) {
+            this.broadcastState();
+        }
+    }
+
+    /**
+     * Send this tab's timer state to the other tabs
+     */
+    broadcastState() {
+        const task = this.timerController.getActiveTask();
+        const session = this.timerController.sessionManager.getCurrentSession();
+
+        TabSyncService.post('timer-state', {
+            ownerId: this.tabId,
+            state: this.timerController.timerState,
+            taskId: task ? task.id : null,
+            sessionIndex: task ? task.progress.currentSession : null,
+            sessionType: session ? session.type : null,
+            timeLeft: this.lastTick.timeLeft,
+            progress: this.lastTick.progress
+        });
+    }
+
+    /**
+     * Handle a state broadcast from the owning tab
+     * @param {Object} state Remote timer state
+     */
+    handleRemoteState(state) {
+        if (this.isOwner) {
+            // Two tabs claimed at the same time: the lower tab ID keeps the timer
+            if (state.ownerId < this.tabId) {
+                this.yieldOwnership();
+            } else {
+                this.broadcastState();
+                return;
+            }
+        }
+
+        if (!state.taskId || state.state === 'stopped') {
+            this.handleRemoteRelease();
+            return;
+        }
+
+        this.remoteState = { ...state, receivedAt: Date.now() };
+        this.timerController.mirrorRemoteState(this.remoteState);
+    }
+
+    /**
+     * Handle another tab taking over the timer
+     * @param {Object} payload Claim message with ownerId
+     */
+    handleRemoteClaim({ ownerId }) {
+        if (!this.isOwner) return;
+
+        // A paused timer is handed over; a running one only loses a tie-break
+        if (this.timerController.timerState !== 'running' || ownerId < this.tabId) {
+            this.yieldOwnership();
+        } else {
+            this.broadcastState();
+        }
+    }
+
+    /**
+     * Stop this tab's timer because another tab owns it now
+     */
+    yieldOwnership() {
+        this.isOwner = false;
+        this.timerController.yieldToOtherTab();
+    }
+
+    /**
+     * Handle the owning tab releasing the timer
+     */
+    handleRemoteRelease() {
+        if (!this.remoteState) return;
+
+        this.remoteState = null;
+        this.timerController.mirrorRemoteState(null);
+    }
+
+    /**
+     * Send the owner heartbeat, or drop a remote owner that went silent
+     */
+    checkHeartbeat() {
+        if (this.isOwner) {
+            if (this.timerController.timerState !== 'stopped') {
+                this.broadcastState();
+            }
+        } else if (this.remoteState && Date.now() - this.remoteState.receivedAt > OWNER_TIMEOUT) {
+            console.log('Timer owner tab stopped responding, releasing timer');
+            this.handleRemoteRelease();
+        }
+    }
+}
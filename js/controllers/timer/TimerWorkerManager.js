@@ -15,6 +15,7 @@ export class TimerWorkerManager {
         this.onTick = onTick;
         this.onComplete = onComplete;
         this.onStateChange = null;
+        this.onOvertimeTick = null;
         
         this.initWorker();
     }
@@ -43,6 +44,12 @@ export class TimerWorkerManager {
                     }
                     break;
                     
+                case 'overtime':
+                    if (this.onOvertimeTick) {
+                        this.onOvertimeTick(data.overtime);
+                    }
+                    break;
+                    
                 case 'paused':
                 case 'resumed':
                 case 'stopped':
@@ -67,14 +74,37 @@ export class TimerWorkerManager {
         this.onStateChange = callback;
     }
 
+    /**
+     * Set overtime tick callback
+     * @param {Function} callback Called with the seconds counted past the end of the session
+     */
+    setOvertimeCallback(callback) {
+        this.onOvertimeTick = callback;
+    }
+
     /**
      * Start the timer
      * @param {number} duration Duration in seconds
+     * @param {number} endTime Optional timestamp (ms) the countdown ends at
+     * @param {number} totalDuration Optional full length of the session in seconds
      */
-    startTimer(duration) {
+    startTimer(duration, endTime = null, totalDuration = null) {
         this.worker.postMessage({
             command: 'start',
-            duration: duration
+            duration: duration,
+            endTime: endTime,
+            totalDuration: totalDuration
+        });
+    }
+
+    /**
+     * Count up past the end of the session
+     * @param {number} since Timestamp (ms) the session ended at
+     */
+    startOvertime(since) {
+        this.worker.postMessage({
+            command: 'overtime',
+            since: since
         });
     }
 
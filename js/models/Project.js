@@ -0,0 +1,65 @@
+/**
+ * Project.js
+ *
+ * Defines the Project class which groups tasks under a name and a color.
+ */
+
+/**
+ * Generates a unique ID for a project
+ * @returns {string} Unique ID
+ */
+function generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Colors offered for new projects, in the order they are handed out
+ */
+export const PROJECT_COLORS = [
+    '#0d6efd', // Blue
+    '#6f42c1', // Purple
+    '#d63384', // Pink
+    '#fd7e14', // Orange
+    '#20c997', // Teal
+    '#198754', // Green
+    '#0dcaf0', // Cyan
+    '#6c757d'  // Gray
+];
+
+/**
+ * Project class representing a group of tasks
+ */
+export class Project {
+    /**
+     * Create a new Project
+     * @param {Object} projectData Project data
+     */
+    constructor(projectData = {}) {
+        this.id = projectData.id || generateUniqueId();
+        this.name = projectData.name || 'Untitled Project';
+        this.color = projectData.color || PROJECT_COLORS[0];
+        this.createdAt = projectData.createdAt || new Date().toISOString();
+    }
+
+    /**
+     * Convert the project to a plain object for storage
+     * @returns {Object} Plain object representation of the project
+     */
+    toObject() {
+        return {
+            id: this.id,
+            name: this.name,
+            color: this.color,
+            createdAt: this.createdAt
+        };
+    }
+
+    /**
+     * Create a Project instance from a plain object
+     * @param {Object} obj Plain object representing a project
+     * @returns {Project} Project instance
+     */
+    static fromObject(obj) {
+        return new Project(obj);
+    }
+}
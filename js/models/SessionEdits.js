@@ -0,0 +1,164 @@
+/**
+ * SessionEdits.js
+ *
+ * Manual edits of a task's session list: insert, split, merge and move.
+ * Every edit returns a new array and leaves the input untouched.
+ * Completed sessions and the session the timer is on are locked, so edits
+ * never change the progress already made on a task.
+ *
+ * Split and merged sessions keep the id of their first part, so checklist
+ * items can follow their focus session through edits (remapSubtaskSessions).
+ */
+
+import { TaskStatus, SessionType } from './Task.js';
+import { createSession, getSessionKind } from './SessionPlan.js';
+
+/**
+ * Get the number of leading sessions that can't be edited
+ * @param {Object} task Task object
+ * @returns {number} Sessions before this index are locked
+ */
+export function getLockedSessionCount(task) {
+    const sessions = task.sessions || [];
+
+    if (task.status === TaskStatus.COMPLETED) {
+        return sessions.length;
+    }
+
+    const firstOpen = sessions.findIndex(s => !s.completed);
+    let locked = firstOpen === -1 ? sessions.length : firstOpen;
+
+    // A running or paused session can't change under the timer
+    if (task.status === TaskStatus.ONGOING || task.status === TaskStatus.PARTIAL) {
+        locked = Math.max(locked, task.progress.currentSession + 1);
+    }
+
+    return Math.min(locked, sessions.length);
+}
+
+/**
+ * Insert a new session
+ * @param {Array} sessions Session list
+ * @param {number} index Position of the new session
+ * @param {string} kind One of SessionKind
+ * @param {number} duration Duration in minutes
+ * @returns {Array} Updated session list
+ */
+export function insertSession(sessions, index, kind, duration) {
+    const result = sessions.slice();
+    result.splice(index, 0, createSession(kind, duration));
+    return result;
+}
+
+/**
+ * Split a session into two halves of the same kind
+ * @param {Array} sessions Session list
+ * @param {number} index Session to split
+ * @returns {Array} Updated session list
+ * @throws {Error} If the session is too short to split
+ */
+export function splitSession(sessions, index) {
+    const session = sessions[index];
+
+    if (session.duration < 2) {
+        throw new Error('A session must be at least 2 minutes long to split it');
+    }
+
+    const kind = getSessionKind(session);
+    const firstHalf = Math.ceil(session.duration / 2);
+
+    const result = sessions.slice();
+    result.splice(index, 1,
+        { ...createSession(kind, firstHalf), id: session.id },
+        createSession(kind, session.duration - firstHalf));
+    return result;
+}
+
+/**
+ * Merge a session with the one after it
+ * @param {Array} sessions Session list
+ * @param {number} index First of the two sessions
+ * @returns {Array} Updated session list
+ * @throws {Error} If the sessions are not both focus or both breaks
+ */
+export function mergeSessions(sessions, index) {
+    const first = sessions[index];
+    const second = sessions[index + 1];
+
+    if (!canMergeSessions(sessions, index)) {
+        throw new Error('Only two focus sessions or two breaks can be merged');
+    }
+
+    const merged = { ...createSession(getSessionKind(first), first.duration + second.duration), id: first.id };
+
+    const result = sessions.slice();
+    result.splice(index, 2, merged);
+    return result;
+}
+
+/**
+ * Check if a session can be merged with the one after it
+ * @param {Array} sessions Session list
+ * @param {number} index First of the two sessions
+ * @returns {boolean} True if both exist and have the same type
+ */
+export function canMergeSessions(sessions, index) {
+    const first = sessions[index];
+    const second = sessions[index + 1];
+
+    return !!first && !!second && first.type === second.type;
+}
+
+/**
+ * Move a session to another position
+ * @param {Array} sessions Session list
+ * @param {number} fromIndex Current position
+ * @param {number} toIndex New position
+ * @returns {Array} Updated session list
+ */
+export function moveSession(sessions, fromIndex, toIndex) {
+    const result = sessions.slice();
+    const [session] = result.splice(fromIndex, 1);
+    result.splice(toIndex, 0, session);
+    return result;
+}
+
+/**
+ * Renumber the focus sessions checklist items are assigned to after an edit,
+ * so each item stays with its session. Items of a session that was merged
+ * into the one before it move with it.
+ * @param {Array} subtasks Checklist items with a 1-based focusSession or null
+ * @param {Array} oldSessions Session list before the edit
+ * @param {Array} newSessions Session list after the edit
+ * @returns {Array} Checklist items with updated focusSession numbers
+ */
+export function remapSubtaskSessions(subtasks, oldSessions, newSessions) {
+    const oldFocusIds = oldSessions.filter(s => s.type === SessionType.FOCUS).map(s => s.id);
+    const newFocusIds = newSessions.filter(s => s.type === SessionType.FOCUS).map(s => s.id);
+
+    return subtasks.map(subtask => {
+        if (!subtask.focusSession || subtask.focusSession > oldFocusIds.length) {
+            return subtask;
+        }
+
+        // Nearest session at or before the item's one that still exists
+        for (let i = subtask.focusSession - 1; i >= 0; i--) {
+            const newIndex = newFocusIds.indexOf(oldFocusIds[i]);
+            if (newIndex !== -1) {
+                return { ...subtask, focusSession: newIndex + 1 };
+            }
+        }
+
+        return { ...subtask, focusSession: null };
+    });
+}
+
+/**
+ * Get a signature of the session list that ignores completion state,
+ * used to tell manual edits apart from progress updates
+ * @param {Array} sessions Session list
+ * @returns {string} Signature
+ */
+export function getSessionsSignature(sessions) {
+    return (sessions || []).map(s => `${s.id}:${s.type}:${s.duration}`).join('|');
+}
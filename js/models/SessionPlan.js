@@ -0,0 +1,222 @@
+/**
+ * SessionPlan.js
+ *
+ * Defines the SessionPlan class which turns a task's estimate and timer
+ * settings into the ordered list of sessions the timer runs through.
+ * Besides focus and short breaks, a plan can add a long break every few
+ * pomodoros and optional warm-up and cool-down blocks.
+ */
+
+import { SessionType } from './Task.js';
+
+/**
+ * Generates a unique ID for a session
+ * @returns {string} Unique ID
+ */
+function generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Session kind enum (finer grained than SessionType)
+ */
+export const SessionKind = {
+    FOCUS: 'focus',
+    SHORT_BREAK: 'shortBreak',
+    LONG_BREAK: 'longBreak',
+    WARM_UP: 'warmUp',
+    COOL_DOWN: 'coolDown'
+};
+
+/**
+ * Rule for the estimate time left over after the last full focus session
+ */
+export const FinalSessionRule = {
+    ROUND_UP: 'roundUp',         // Add one more full focus session
+    ROUND_DOWN: 'roundDown',     // Drop the leftover time
+    PROPORTIONAL: 'proportional' // Shorten the last focus session to the leftover time
+};
+
+/**
+ * Default session plan for new tasks
+ */
+export const DEFAULT_SESSION_PLAN = {
+    longBreakDuration: 15,  // minutes
+    longBreakInterval: 4,   // focus sessions between long breaks (0 = never)
+    warmUpDuration: 0,      // minutes (0 = no warm-up)
+    coolDownDuration: 0,    // minutes (0 = no cool-down)
+    finalSessionRule: FinalSessionRule.ROUND_UP,
+    mergeThreshold: 10      // minutes; shorter leftovers join the previous focus session (proportional rule)
+};
+
+// Display names of the session kinds
+const SESSION_LABELS = {
+    [SessionKind.FOCUS]: 'Focus',
+    [SessionKind.SHORT_BREAK]: 'Break',
+    [SessionKind.LONG_BREAK]: 'Long Break',
+    [SessionKind.WARM_UP]: 'Warm-up',
+    [SessionKind.COOL_DOWN]: 'Cool-down'
+};
+
+/**
+ * Get the kind of a session
+ * @param {Object} session Session object
+ * @returns {string} One of SessionKind
+ */
+export function getSessionKind(session) {
+    // Sessions created before session plans only have a type
+    return session.kind || (session.type === SessionType.FOCUS ? SessionKind.FOCUS : SessionKind.SHORT_BREAK);
+}
+
+/**
+ * Get the display name of a session
+ * @param {Object} session Session object
+ * @returns {string} Label such as 'Focus' or 'Long Break'
+ */
+export function getSessionLabel(session) {
+    return SESSION_LABELS[getSessionKind(session)];
+}
+
+/**
+ * Create a session object
+ * @param {string} kind One of SessionKind
+ * @param {number} duration Duration in minutes
+ * @returns {Object} Session object
+ */
+export function createSession(kind, duration) {
+    return {
+        id: generateUniqueId(),
+        type: kind === SessionKind.FOCUS ? SessionType.FOCUS : SessionType.BREAK,
+        kind,
+        duration,
+        completed: false
+    };
+}
+
+/**
+ * SessionPlan class describing how a task is split into sessions
+ */
+export class SessionPlan {
+    /**
+     * Create a new SessionPlan
+     * @param {Object} planData Plan data
+     */
+    constructor(planData = {}) {
+        const data = { ...DEFAULT_SESSION_PLAN, ...planData };
+
+        this.longBreakDuration = Math.max(1, parseInt(data.longBreakDuration) || DEFAULT_SESSION_PLAN.longBreakDuration);
+        this.longBreakInterval = Math.max(0, parseInt(data.longBreakInterval) || 0);
+        this.warmUpDuration = Math.max(0, parseInt(data.warmUpDuration) || 0);
+        this.coolDownDuration = Math.max(0, parseInt(data.coolDownDuration) || 0);
+        this.finalSessionRule = Object.values(FinalSessionRule).includes(data.finalSessionRule) ?
+            data.finalSessionRule : DEFAULT_SESSION_PLAN.finalSessionRule;
+        this.mergeThreshold = Math.max(0, parseInt(data.mergeThreshold) || 0);
+    }
+
+    /**
+     * Build the sessions for a task
+     * @param {Object} options Build options
+     * @param {number} options.estimatedMinutes Estimated task time in minutes
+     * @param {number} options.focusDuration Focus session length in minutes
+     * @param {number} options.breakDuration Short break length in minutes
+     * @param {boolean} options.leadingBreak Start with a break (procrastination mode)
+     * @returns {Array} Array of session objects
+     */
+    buildSessions({ estimatedMinutes, focusDuration, breakDuration, leadingBreak = false }) {
+        const sessions = [];
+
+        const focusDurations = this.getFocusDurations(estimatedMinutes, focusDuration);
+
+        // If procrastination mode is enabled, start with a break
+        if (leadingBreak) {
+            sessions.push(createSession(SessionKind.SHORT_BREAK, breakDuration));
+        }
+
+        // The warm-up leads straight into the first focus session
+        if (this.warmUpDuration > 0) {
+            sessions.push(createSession(SessionKind.WARM_UP, this.warmUpDuration));
+        }
+
+        // Create focus and break sessions alternately
+        focusDurations.forEach((duration, i) => {
+            sessions.push(createSession(SessionKind.FOCUS, duration));
+
+            // Add break session after each focus session except the last one
+            if (i < focusDurations.length - 1) {
+                sessions.push(this.isLongBreakAfter(i + 1) ?
+                    createSession(SessionKind.LONG_BREAK, this.longBreakDuration) :
+                    createSession(SessionKind.SHORT_BREAK, breakDuration));
+            }
+        });
+
+        if (this.coolDownDuration > 0) {
+            sessions.push(createSession(SessionKind.COOL_DOWN, this.coolDownDuration));
+        }
+
+        return sessions;
+    }
+
+    /**
+     * Get the lengths of the focus sessions needed for an estimate
+     * @param {number} estimatedMinutes Estimated task time in minutes
+     * @param {number} focusDuration Focus session length in minutes
+     * @returns {Array} Focus session durations in minutes (at least one)
+     */
+    getFocusDurations(estimatedMinutes, focusDuration) {
+        if (this.finalSessionRule !== FinalSessionRule.PROPORTIONAL) {
+            const count = this.finalSessionRule === FinalSessionRule.ROUND_DOWN ?
+                Math.floor(estimatedMinutes / focusDuration) :
+                Math.ceil(estimatedMinutes / focusDuration);
+
+            return new Array(Math.max(1, count)).fill(focusDuration);
+        }
+
+        const fullCount = Math.floor(estimatedMinutes / focusDuration);
+        const remainder = Math.round(estimatedMinutes - fullCount * focusDuration);
+        const durations = new Array(fullCount).fill(focusDuration);
+
+        if (remainder > 0) {
+            if (fullCount > 0 && remainder < this.mergeThreshold) {
+                // Too short to be worth a session of its own
+                durations[fullCount - 1] += remainder;
+            } else {
+                durations.push(remainder);
+            }
+        }
+
+        return durations.length > 0 ? durations : [focusDuration];
+    }
+
+    /**
+     * Check if the break after a focus session is a long break
+     * @param {number} focusNumber Number of focus sessions done so far (1-based)
+     * @returns {boolean} True if a long break follows
+     */
+    isLongBreakAfter(focusNumber) {
+        return this.longBreakInterval > 0 && focusNumber % this.longBreakInterval === 0;
+    }
+
+    /**
+     * Convert the plan to a plain object for storage
+     * @returns {Object} Plain object representation of the plan
+     */
+    toObject() {
+        return {
+            longBreakDuration: this.longBreakDuration,
+            longBreakInterval: this.longBreakInterval,
+            warmUpDuration: this.warmUpDuration,
+            coolDownDuration: this.coolDownDuration,
+            finalSessionRule: this.finalSessionRule,
+            mergeThreshold: this.mergeThreshold
+        };
+    }
+
+    /**
+     * Create a SessionPlan instance from a plain object
+     * @param {Object} obj Plain object representing a plan
+     * @returns {SessionPlan} SessionPlan instance
+     */
+    static fromObject(obj) {
+        return new SessionPlan(obj || {});
+    }
+}
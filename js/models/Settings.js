@@ -64,9 +64,32 @@ export class Settings {
         this.autoStartNextSession = settingsData.autoStartNextSession !== undefined ?
             settingsData.autoStartNextSession : false;
         
-        // Auto-pause on inactive tab
-        this.autoPauseOnInactiveTab = settingsData.autoPauseOnInactiveTab !== undefined ?
-            settingsData.autoPauseOnInactiveTab : true;
+        // Ask for a session log at the end of each focus session
+        this.promptSessionLog = settingsData.promptSessionLog !== undefined ?
+            settingsData.promptSessionLog : true;
+        
+        // Keep counting past zero at the end of a focus session until the user ends it
+        this.allowOvertime = settingsData.allowOvertime !== undefined ?
+            settingsData.allowOvertime : false;
+        
+        // Keep the timer running while the tab is hidden instead of pausing it.
+        // Replaces autoPauseOnInactiveTab; turning that off meant the same thing.
+        this.backgroundMode = settingsData.backgroundMode !== undefined ?
+            settingsData.backgroundMode : settingsData.autoPauseOnInactiveTab === false;
+        
+        // Minutes without input before the user counts as away in background mode (0 turns it off)
+        this.idleTimeout = settingsData.idleTimeout !== undefined ?
+            settingsData.idleTimeout : DEFAULT_SETTINGS.idleTimeout;
+        
+        // Days before deleted tasks are purged from the trash (0 keeps them forever)
+        this.trashRetentionDays = settingsData.trashRetentionDays !== undefined ?
+            settingsData.trashRetentionDays : DEFAULT_SETTINGS.trashRetentionDays;
+        
+        // Sort mode of the ongoing and completed task lists
+        this.taskSort = {
+            ongoing: settingsData.taskSort?.ongoing || DEFAULT_SETTINGS.taskSort.ongoing,
+            completed: settingsData.taskSort?.completed || DEFAULT_SETTINGS.taskSort.completed
+        };
     }
 
     /**
@@ -173,7 +196,12 @@ export class Settings {
             timerPresets: this.timerPresets,
             calendarView: this.calendarView,
             autoStartNextSession: this.autoStartNextSession,
-            autoPauseOnInactiveTab: this.autoPauseOnInactiveTab
+            backgroundMode: this.backgroundMode,
+            idleTimeout: this.idleTimeout,
+            promptSessionLog: this.promptSessionLog,
+            allowOvertime: this.allowOvertime,
+            trashRetentionDays: this.trashRetentionDays,
+            taskSort: this.taskSort
         };
     }
 
@@ -5,6 +5,8 @@
  * Contains properties and methods for managing task data and state.
  */
 
+import { SessionPlan } from './SessionPlan.js';
+
 /**
  * Generates a unique ID for a task
  * @returns {string} Unique ID
@@ -21,7 +23,8 @@ export const TaskStatus = {
     ONGOING: 'ongoing',    // Currently in progress
     PARTIAL: 'partial',    // Started but paused
     COMPLETED: 'completed', // Finished
-    MISSED: 'missed'       // Start time passed but not started
+    MISSED: 'missed',      // Start time passed but not started
+    BLOCKED: 'blocked'     // Not started and waiting for a prerequisite task
 };
 
 /**
@@ -41,6 +44,28 @@ export const SessionType = {
     BREAK: 'break'
 };
 
+/**
+ * Interruption type enum
+ */
+export const InterruptionType = {
+    INTERNAL: 'internal',  // The user's own distraction
+    EXTERNAL: 'external'   // Someone or something else
+};
+
+/**
+ * Create an interruption log entry
+ * @param {string} type One of InterruptionType
+ * @param {string} note Optional note
+ * @returns {Object} Interruption { type, note, at }
+ */
+export function createInterruption(type, note = '') {
+    return {
+        type,
+        note: note.trim(),
+        at: new Date().toISOString()
+    };
+}
+
 /**
  * Task class representing a task in the application
  */
@@ -76,6 +101,9 @@ export class Task {
         // Procrastination mode (start with break)
         this.procrastinationMode = taskData.procrastinationMode || false;
         
+        // Long breaks, warm-up/cool-down and final session rule
+        this.sessionPlan = SessionPlan.fromObject(taskData.sessionPlan);
+        
         // Recurring task settings
         this.isRecurring = taskData.isRecurring || false;
         this.recurringDays = taskData.recurringDays || []; // Array of day indices (0=Sunday, 6=Saturday)
@@ -97,8 +125,27 @@ export class Task {
             timeSpent: 0 // In minutes
         };
         
-        // Tags for future categorization
+        // Project the task belongs to (null for none)
+        this.projectId = taskData.projectId || null;
+        
+        // Free-form tags
         this.tags = taskData.tags || [];
+        
+        // Markdown notes about the task
+        this.notes = taskData.notes || '';
+        
+        // IDs of the tasks that must be completed before this one
+        this.blockedBy = taskData.blockedBy || [];
+        
+        // Ordered checklist of { id, text, done, focusSession }
+        // focusSession is the 1-based number of the focus session the item belongs to, or null for any session
+        this.subtasks = taskData.subtasks || [];
+        
+        // Whether checked items count toward the completion percentage
+        this.checklistCountsToProgress = taskData.checklistCountsToProgress || false;
+        
+        // Focus sessions removed from a completed task by storage compaction
+        this.trimmedFocusSessions = taskData.trimmedFocusSessions || 0;
     }
 
     /**
@@ -109,45 +156,18 @@ export class Task {
         const { focusDuration, breakDuration } = this.timerSettings;
         const estimatedMinutes = this.estimatedDuration * 60;
         
-        // Calculate number of complete Pomodoro cycles needed
-        // Math.ceil ensures we round up to fully cover the estimated duration
-        const focusSessionCount = Math.ceil(estimatedMinutes / focusDuration);
-        const sessions = [];
-        
-        // If procrastination mode is enabled, start with a break
-        if (this.procrastinationMode) {
-            sessions.push({
-                id: generateUniqueId(),
-                type: SessionType.BREAK,
-                duration: breakDuration,
-                completed: false
-            });
-        }
-        
-        // Create focus and break sessions alternately
-        for (let i = 0; i < focusSessionCount; i++) {
-            // Add focus session
-            sessions.push({
-                id: generateUniqueId(),
-                type: SessionType.FOCUS,
-                duration: focusDuration,
-                completed: false
-            });
-            
-            // Add break session after each focus session except the last one
-            if (i < focusSessionCount - 1) {
-                sessions.push({
-                    id: generateUniqueId(),
-                    type: SessionType.BREAK,
-                    duration: breakDuration,
-                    completed: false
-                });
-            }
-        }
+        const sessions = this.sessionPlan.buildSessions({
+            estimatedMinutes,
+            focusDuration,
+            breakDuration,
+            leadingBreak: this.procrastinationMode
+        });
         
         // Log the session calculation for debugging
-        console.log(`Calculated ${focusSessionCount} focus sessions for a ${this.estimatedDuration} hour task`);
-        console.log(`Total focus time: ${focusSessionCount * focusDuration} minutes`);
+        const focusSessions = sessions.filter(s => s.type === SessionType.FOCUS);
+        const totalFocusTime = focusSessions.reduce((total, session) => total + session.duration, 0);
+        console.log(`Calculated ${focusSessions.length} focus sessions for a ${this.estimatedDuration} hour task`);
+        console.log(`Total focus time: ${totalFocusTime} minutes`);
         console.log(`Required time: ${estimatedMinutes} minutes`);
         
         return sessions;
@@ -205,9 +225,10 @@ export class Task {
 
     /**
      * Complete the current session
+     * @param {number} overtime Minutes the session ran past its end
      * @returns {Task} Updated task
      */
-    completeCurrentSession() {
+    completeCurrentSession(overtime = 0) {
         const currentIndex = this.progress.currentSession;
         
         if (currentIndex < this.sessions.length) {
@@ -223,7 +244,11 @@ export class Task {
             this.progress.currentSession++;
             
             // Update task timeSpent
-            this.progress.timeSpent += session.duration;
+            this.progress.timeSpent += session.duration + overtime;
+            
+            if (overtime > 0) {
+                session.overtime = overtime;
+            }
             
             // Check if all focus sessions are completed
             const focusSessions = this.sessions.filter(s => s.type === SessionType.FOCUS);
@@ -248,7 +273,134 @@ export class Task {
      * @returns {number} Number of focus sessions
      */
     getFocusSessionCount() {
-        return this.sessions.filter(s => s.type === SessionType.FOCUS).length;
+        return this.sessions.filter(s => s.type === SessionType.FOCUS).length + this.trimmedFocusSessions;
+    }
+
+    /**
+     * Recreate the unstarted sessions that storage compaction removed.
+     * Trimming only removes sessions after the last completed one, so the
+     * kept sessions are the start of the calculated session list.
+     * @returns {Task} Updated task
+     */
+    restoreTrimmedSessions() {
+        if (this.trimmedFocusSessions > 0) {
+            const allSessions = this.calculateSessions();
+            this.sessions = this.sessions.concat(allSessions.slice(this.sessions.length));
+            this.trimmedFocusSessions = 0;
+        }
+        
+        return this;
+    }
+
+    /**
+     * Bring progress in line with a manually edited session list.
+     * Edits never touch completed sessions, so only the totals move.
+     * @returns {Task} Updated task
+     */
+    updateSessionProgress() {
+        const focusSessions = this.sessions.filter(s => s.type === SessionType.FOCUS);
+        
+        this.progress.totalSessions = focusSessions.length + this.trimmedFocusSessions;
+        this.progress.completedSessions = focusSessions.filter(s => s.completed).length;
+        
+        const firstOpen = this.sessions.findIndex(s => !s.completed);
+        this.progress.currentSession = firstOpen === -1 ? this.sessions.length : firstOpen;
+        
+        return this;
+    }
+
+    /**
+     * Get the number of the focus session a session belongs to.
+     * Breaks belong to the focus session that follows them.
+     * @param {number} sessionIndex Index in the sessions array
+     * @returns {number} 1-based focus session number
+     */
+    getFocusSessionNumber(sessionIndex) {
+        return this.sessions
+            .slice(0, sessionIndex)
+            .filter(s => s.type === SessionType.FOCUS).length + 1;
+    }
+
+    /**
+     * Get the checklist items to show for a session:
+     * the items assigned to its focus session, then the unassigned ones
+     * @param {number} sessionIndex Index in the sessions array
+     * @returns {Array} Checklist items
+     */
+    getSubtasksForSession(sessionIndex) {
+        const focusNumber = this.getFocusSessionNumber(sessionIndex);
+        
+        return [
+            ...this.subtasks.filter(subtask => subtask.focusSession === focusNumber),
+            ...this.subtasks.filter(subtask => !subtask.focusSession)
+        ];
+    }
+
+    /**
+     * Check or uncheck a checklist item
+     * @param {string} subtaskId Checklist item ID
+     * @returns {Task} Updated task
+     */
+    toggleSubtask(subtaskId) {
+        this.subtasks = this.subtasks.map(subtask =>
+            subtask.id === subtaskId ? { ...subtask, done: !subtask.done } : subtask
+        );
+        
+        return this;
+    }
+
+    /**
+     * Save the log written at the end of a session
+     * @param {string} sessionId Session ID
+     * @param {string} log Markdown log text (empty to remove the log)
+     * @returns {Task} Updated task
+     */
+    setSessionLog(sessionId, log) {
+        const session = this.sessions.find(s => s.id === sessionId);
+        
+        if (session) {
+            if (log.trim()) {
+                session.log = log.trim();
+                session.loggedAt = new Date().toISOString();
+            } else {
+                delete session.log;
+                delete session.loggedAt;
+            }
+        }
+        
+        return this;
+    }
+
+    /**
+     * Log an interruption of a session
+     * @param {string} sessionId Session ID
+     * @param {string} type One of InterruptionType
+     * @param {string} note Optional note
+     * @returns {Task} Updated task
+     */
+    logInterruption(sessionId, type, note = '') {
+        const session = this.sessions.find(s => s.id === sessionId);
+        
+        if (session) {
+            session.interruptions = [...(session.interruptions || []), createInterruption(type, note)];
+        }
+        
+        return this;
+    }
+
+    /**
+     * Get the sessions that have a log, with their focus session number
+     * @returns {Array} Array of { session, focusNumber }
+     */
+    getSessionLogs() {
+        let focusNumber = 0;
+        
+        return this.sessions
+            .map(session => {
+                if (session.type === SessionType.FOCUS) focusNumber++;
+                return { session, focusNumber };
+            })
+            .filter(entry => entry.session.log);
     }
 
     /**
@@ -308,14 +460,40 @@ export class Task {
     }
 
     /**
-     * Calculate the completion percentage
+     * Get the total length of all sessions
+     * @returns {number} Planned time in minutes, breaks included
+     */
+    getPlannedMinutes() {
+        return this.sessions.reduce((total, session) => total + session.duration, 0);
+    }
+
+    /**
+     * Calculate the completion percentage, weighted by focus minutes
+     * so a shortened last session counts for less than a full one
      * @returns {number} Completion percentage (0-100)
      */
     getCompletionPercentage() {
-        const focusSessions = this.getFocusSessionCount();
-        if (focusSessions === 0) return 0;
+        const focusSessions = this.sessions.filter(s => s.type === SessionType.FOCUS);
+        if (focusSessions.length + this.trimmedFocusSessions === 0) return 0;
+        
+        // Focus sessions are completed in order
+        const completedMinutes = focusSessions
+            .slice(0, this.progress.completedSessions)
+            .reduce((total, session) => total + session.duration, 0);
         
-        return Math.round((this.progress.completedSessions / focusSessions) * 100);
+        // Sessions removed by compaction were never started and had the standard length
+        const totalMinutes = focusSessions.reduce((total, session) => total + session.duration, 0) +
+            this.trimmedFocusSessions * this.timerSettings.focusDuration;
+        
+        const sessionPercentage = Math.min(100, (completedMinutes / totalMinutes) * 100);
+        
+        // Optionally weigh the checklist as much as the sessions
+        if (this.checklistCountsToProgress && this.subtasks.length > 0) {
+            const checklistPercentage = (this.subtasks.filter(s => s.done).length / this.subtasks.length) * 100;
+            return Math.round((sessionPercentage + checklistPercentage) / 2);
+        }
+        
+        return Math.round(sessionPercentage);
     }
 
     /**
@@ -337,14 +515,21 @@ export class Task {
             timerSettings: this.timerSettings,
             reminderTime: this.reminderTime,
             procrastinationMode: this.procrastinationMode,
+            sessionPlan: this.sessionPlan.toObject(),
             isRecurring: this.isRecurring,
             recurringDays: this.recurringDays,
             useFocusMode: this.useFocusMode,
             sessions: this.sessions,
             progress: this.progress,
+            projectId: this.projectId,
             tags: this.tags,
+            notes: this.notes,
+            blockedBy: this.blockedBy,
+            subtasks: this.subtasks,
+            checklistCountsToProgress: this.checklistCountsToProgress,
             endedEarly: this.endedEarly || false, // Include the endedEarly flag
-            endProgress: this.endProgress // Include the progress at ending time if available
+            endProgress: this.endProgress, // Include the progress at ending time if available
+            trimmedFocusSessions: this.trimmedFocusSessions || undefined // Only stored for compacted tasks
         };
     }
 
@@ -400,6 +585,9 @@ export class Task {
             delete session.startedAt;
         });
         
+        // Start with an unchecked checklist
+        taskData.subtasks = taskData.subtasks.map(subtask => ({ ...subtask, done: false }));
+        
         return new Task(taskData);
     }
 }
\ No newline at end of file
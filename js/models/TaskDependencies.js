@@ -0,0 +1,94 @@
+/**
+ * TaskDependencies.js
+ *
+ * "Blocked by" relationships between tasks. A task lists the IDs of its
+ * prerequisites in blockedBy and stays blocked until all of them are completed.
+ * Prerequisites that no longer exist (e.g. deleted tasks) are ignored.
+ */
+
+import { TaskStatus } from './Task.js';
+
+/**
+ * Get the existing prerequisites of a task
+ * @param {Object} task Task object
+ * @param {Array} tasks All tasks
+ * @returns {Array} Prerequisite tasks
+ */
+export function getPrerequisites(task, tasks) {
+    const ids = task.blockedBy || [];
+    return tasks.filter(t => ids.includes(t.id));
+}
+
+/**
+ * Get the prerequisites of a task that are not completed yet
+ * @param {Object} task Task object
+ * @param {Array} tasks All tasks
+ * @returns {Array} Unfinished prerequisite tasks
+ */
+export function getUnfinishedPrerequisites(task, tasks) {
+    return getPrerequisites(task, tasks).filter(t => t.status !== TaskStatus.COMPLETED);
+}
+
+/**
+ * Find the dependency cycle a task would be part of with the given prerequisites
+ * @param {Array} tasks All tasks
+ * @param {string} taskId ID of the task being changed
+ * @param {Array} blockedBy New prerequisite IDs of the task
+ * @returns {Array|null} Task IDs along the cycle (first and last are taskId), or null if there is none
+ */
+export function findDependencyCycle(tasks, taskId, blockedBy) {
+    const prerequisitesOf = new Map(tasks.map(t => [t.id, t.blockedBy || []]));
+    prerequisitesOf.set(taskId, blockedBy || []);
+
+    const visited = new Set();
+
+    // Depth-first search for a path from the task's prerequisites back to the task
+    const search = (id, path) => {
+        if (id === taskId) return path;
+        if (visited.has(id)) return null;
+        visited.add(id);
+
+        for (const next of prerequisitesOf.get(id) || []) {
+            const cycle = search(next, [...path, next]);
+            if (cycle) return cycle;
+        }
+
+        return null;
+    };
+
+    for (const id of blockedBy || []) {
+        const cycle = search(id, [taskId, id]);
+        if (cycle) return cycle;
+    }
+
+    return null;
+}
+
+/**
+ * Get the scheduled start of a task
+ * @param {Object} task Task object
+ * @returns {Date|null} Start date and time, or null if the task is not scheduled
+ */
+function getScheduledStart(task) {
+    if (!task.startDate) return null;
+    return new Date(`${task.startDate}T${task.startTime || '00:00'}`);
+}
+
+/**
+ * Get the unfinished prerequisites that are scheduled to end after a task starts
+ * @param {Object} task Task object
+ * @param {Array} tasks All tasks
+ * @returns {Array} Prerequisite tasks the task is scheduled before
+ */
+export function getScheduleConflicts(task, tasks) {
+    const start = getScheduledStart(task);
+    if (!start) return [];
+
+    return getUnfinishedPrerequisites(task, tasks).filter(prerequisite => {
+        const prerequisiteStart = getScheduledStart(prerequisite);
+        if (!prerequisiteStart) return false;
+
+        const prerequisiteEnd = new Date(prerequisiteStart.getTime() + prerequisite.getPlannedMinutes() * 60000);
+        return start < prerequisiteEnd;
+    });
+}
@@ -0,0 +1,115 @@
+/**
+ * TaskFilter.js
+ *
+ * Filtering and grouping of task lists by project, tag, priority and status.
+ */
+
+import { TaskPriority } from './Task.js';
+
+/**
+ * Ways to group a task list
+ */
+export const TaskGroupBy = {
+    NONE: 'none',
+    PROJECT: 'project',
+    TAG: 'tag',
+    PRIORITY: 'priority',
+    STATUS: 'status'
+};
+
+/**
+ * Filter value matching tasks without a project
+ */
+export const NO_PROJECT = '__none__';
+
+/**
+ * Empty filter that matches every task
+ */
+export const EMPTY_FILTERS = {
+    projectId: '',
+    tag: '',
+    priority: '',
+    status: ''
+};
+
+// Order of the priority groups
+const PRIORITY_ORDER = [TaskPriority.HIGH, TaskPriority.MEDIUM, TaskPriority.LOW];
+
+/**
+ * Capitalize a word for a group label
+ * @param {string} text Text to capitalize
+ * @returns {string} Capitalized text
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Keep the tasks that match every set filter
+ * @param {Array} tasks Tasks to filter
+ * @param {Object} filters { projectId, tag, priority, status } - empty values match everything
+ * @returns {Array} Matching tasks
+ */
+export function filterTasks(tasks, filters) {
+    return tasks.filter(task => {
+        if (filters.projectId === NO_PROJECT && task.projectId) return false;
+        if (filters.projectId && filters.projectId !== NO_PROJECT && task.projectId !== filters.projectId) return false;
+        if (filters.tag && !(task.tags || []).includes(filters.tag)) return false;
+        if (filters.priority && task.priority !== filters.priority) return false;
+        if (filters.status && task.status !== filters.status) return false;
+        return true;
+    });
+}
+
+/**
+ * Split tasks into labeled groups. A task with several tags appears in each tag's group.
+ * @param {Array} tasks Tasks in display order
+ * @param {string} groupBy One of TaskGroupBy
+ * @param {Array} projects All projects, for project names and colors
+ * @returns {Array} Array of { key, label, color, tasks }, in display order
+ */
+export function groupTasks(tasks, groupBy, projects = []) {
+    if (groupBy === TaskGroupBy.NONE || !groupBy) {
+        return [{ key: 'all', label: null, color: null, tasks }];
+    }
+
+    const groups = new Map();
+    const addToGroup = (key, label, color, task) => {
+        if (!groups.has(key)) {
+            groups.set(key, { key, label, color, tasks: [] });
+        }
+        groups.get(key).tasks.push(task);
+    };
+
+    tasks.forEach(task => {
+        if (groupBy === TaskGroupBy.PROJECT) {
+            const project = projects.find(p => p.id === task.projectId);
+            addToGroup(project ? project.id : NO_PROJECT, project ? project.name : 'No project',
+                project ? project.color : null, task);
+        } else if (groupBy === TaskGroupBy.TAG) {
+            const tags = task.tags && task.tags.length > 0 ? task.tags : [null];
+            tags.forEach(tag => addToGroup(tag || NO_PROJECT, tag ? `#${tag}` : 'No tags', null, task));
+        } else if (groupBy === TaskGroupBy.PRIORITY) {
+            addToGroup(task.priority, `${capitalize(task.priority)} priority`, null, task);
+        } else if (groupBy === TaskGroupBy.STATUS) {
+            addToGroup(task.status, capitalize(task.status), null, task);
+        }
+    });
+
+    const result = [...groups.values()];
+
+    // Priority groups go high to low; the others alphabetically with the "none" group last
+    if (groupBy === TaskGroupBy.PRIORITY) {
+        return result.sort((a, b) => PRIORITY_ORDER.indexOf(a.key) - PRIORITY_ORDER.indexOf(b.key));
+    }
+
+    if (groupBy === TaskGroupBy.STATUS) {
+        return result;
+    }
+
+    return result.sort((a, b) => {
+        if (a.key === NO_PROJECT) return 1;
+        if (b.key === NO_PROJECT) return -1;
+        return a.label.localeCompare(b.label);
+    });
+}
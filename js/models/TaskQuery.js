@@ -0,0 +1,206 @@
+/**
+ * TaskQuery.js
+ *
+ * Search queries over tasks. A query is a list of space-separated terms:
+ * plain words (or "quoted phrases") are searched in the task name, notes,
+ * tags and checklist, and field:value terms filter on task fields, e.g.
+ *
+ *     essay priority:high due:<2026-11-01 -status:completed
+ *
+ * A leading "-" negates a term. Every term has to match.
+ */
+
+/**
+ * Fields that can be used in field:value terms
+ */
+export const QueryField = {
+    PRIORITY: 'priority',
+    STATUS: 'status',
+    TAG: 'tag',
+    PROJECT: 'project',
+    DUE: 'due',
+    START: 'start'
+};
+
+// Fields compared as dates, with the task property they read
+const DATE_FIELDS = {
+    [QueryField.DUE]: 'dueDate',
+    [QueryField.START]: 'startDate'
+};
+
+// Splits a query into terms: optional "-", optional "field:", then a quoted phrase or a word
+const TERM_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date Date
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Turn a date value from a query into a YYYY-MM-DD string
+ * @param {string} value Date, "today", "tomorrow" or "yesterday"
+ * @returns {string|null} Date string, or null if the value is not a date
+ */
+function resolveDate(value) {
+    const relativeDays = { yesterday: -1, today: 0, tomorrow: 1 };
+    const lower = value.toLowerCase();
+
+    if (lower in relativeDays) {
+        const date = new Date();
+        date.setDate(date.getDate() + relativeDays[lower]);
+        return toDateString(date);
+    }
+
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+}
+
+/**
+ * Parse a query string
+ * @param {string} query Query string
+ * @returns {Object} { terms, conditions, errors } - terms are { text, negated },
+ *                   conditions are { field, operator, value, negated }
+ */
+export function parseTaskQuery(query) {
+    const parsed = { terms: [], conditions: [], errors: [] };
+
+    for (const match of (query || '').matchAll(TERM_PATTERN)) {
+        const negated = match[1] === '-';
+        const field = match[2] ? match[2].toLowerCase() : null;
+        const value = match[3] !== undefined ? match[3] : match[4];
+
+        // Unknown fields are searched as plain text
+        if (!field || !Object.values(QueryField).includes(field)) {
+            const text = (field ? `${match[2]}:${value}` : value).toLowerCase();
+            if (text) {
+                parsed.terms.push({ text, negated });
+            }
+            continue;
+        }
+
+        if (field in DATE_FIELDS) {
+            const [, operator, dateValue] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+
+            if (dateValue.toLowerCase() === 'none') {
+                parsed.conditions.push({ field, operator: 'none', value: null, negated });
+                continue;
+            }
+
+            const date = resolveDate(dateValue);
+            if (!date) {
+                parsed.errors.push(`"${dateValue}" is not a date (use YYYY-MM-DD or today)`);
+                continue;
+            }
+
+            parsed.conditions.push({ field, operator: operator || '=', value: date, negated });
+        } else {
+            parsed.conditions.push({ field, operator: '=', value: value.toLowerCase(), negated });
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Check if a query has anything to match
+ * @param {Object} parsed Parsed query from parseTaskQuery()
+ * @returns {boolean} True if the query has terms or conditions
+ */
+export function isEmptyQuery(parsed) {
+    return parsed.terms.length === 0 && parsed.conditions.length === 0;
+}
+
+/**
+ * Get the searchable text of a task
+ * @param {Object} task Task object
+ * @param {Object|null} project Project of the task
+ * @returns {string} Lowercase text of the name, notes, session logs, tags, checklist and project
+ */
+function getSearchText(task, project) {
+    return [
+        task.name,
+        typeof task.notes === 'string' ? task.notes : '',
+        ...(task.sessions || []).map(session => session.log || ''),
+        ...(task.tags || []),
+        ...(task.subtasks || []).map(subtask => subtask.text),
+        project ? project.name : ''
+    ].join('\n').toLowerCase();
+}
+
+/**
+ * Compare a task date with a condition
+ * @param {string|null} taskDate Task date as YYYY-MM-DD
+ * @param {Object} condition Date condition
+ * @returns {boolean} True if the date matches
+ */
+function matchesDate(taskDate, condition) {
+    if (condition.operator === 'none') return !taskDate;
+    if (!taskDate) return false;
+
+    switch (condition.operator) {
+        case '<': return taskDate < condition.value;
+        case '<=': return taskDate <= condition.value;
+        case '>': return taskDate > condition.value;
+        case '>=': return taskDate >= condition.value;
+        default: return taskDate === condition.value;
+    }
+}
+
+/**
+ * Check a task against one field condition
+ * @param {Object} task Task object
+ * @param {Object|null} project Project of the task
+ * @param {Object} condition Field condition
+ * @returns {boolean} True if the task matches
+ */
+function matchesCondition(task, project, condition) {
+    if (condition.field in DATE_FIELDS) {
+        return matchesDate(task[DATE_FIELDS[condition.field]], condition);
+    }
+
+    switch (condition.field) {
+        case QueryField.PRIORITY:
+            return task.priority === condition.value;
+        case QueryField.STATUS:
+            return task.status === condition.value;
+        case QueryField.TAG:
+            return (task.tags || []).some(tag => tag.toLowerCase() === condition.value);
+        case QueryField.PROJECT:
+            if (condition.value === 'none') return !project;
+            return !!project && project.name.toLowerCase().includes(condition.value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Check if a task matches a parsed query
+ * @param {Object} task Task object
+ * @param {Object} parsed Parsed query from parseTaskQuery()
+ * @param {Array} projects All projects, for project names
+ * @returns {boolean} True if every term and condition matches
+ */
+export function matchesTaskQuery(task, parsed, projects = []) {
+    const project = projects.find(p => p.id === task.projectId) || null;
+    const text = getSearchText(task, project);
+
+    return parsed.terms.every(term => text.includes(term.text) !== term.negated) &&
+        parsed.conditions.every(condition => matchesCondition(task, project, condition) !== condition.negated);
+}
+
+/**
+ * Find the tasks matching a query
+ * @param {Array} tasks Tasks to search
+ * @param {string} query Query string
+ * @param {Array} projects All projects, for project names
+ * @returns {Array} Matching tasks, in the given order
+ */
+export function searchTasks(tasks, query, projects = []) {
+    const parsed = parseTaskQuery(query);
+    return tasks.filter(task => matchesTaskQuery(task, parsed, projects));
+}
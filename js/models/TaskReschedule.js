@@ -0,0 +1,73 @@
+/**
+ * TaskReschedule.js
+ *
+ * Date arithmetic for moving tasks to other days. Dates are the task's
+ * YYYY-MM-DD strings; times of day are left alone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a YYYY-MM-DD string to a day number, free of time zone shifts
+ * @param {string} dateStr Date string
+ * @returns {number} Days since the epoch
+ */
+function toDayNumber(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+/**
+ * Convert a day number back to a YYYY-MM-DD string
+ * @param {number} dayNumber Days since the epoch
+ * @returns {string} Date string
+ */
+function fromDayNumber(dayNumber) {
+    return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Shift a date by a number of days
+ * @param {string} dateStr Date as YYYY-MM-DD
+ * @param {number} days Days to add (negative to go back)
+ * @returns {string} Shifted date as YYYY-MM-DD
+ */
+export function shiftDate(dateStr, days) {
+    return fromDayNumber(toDayNumber(dateStr) + days);
+}
+
+/**
+ * Work out the new dates of a rescheduled task
+ * @param {Object} task Task object
+ * @param {Object} change { shiftDays } to move the task by a number of days,
+ *                        or { date } to move its start to a date. The due date
+ *                        moves along so the task keeps its length.
+ * @returns {Object|null} { startDate, dueDate }, or null if the task has no date to shift
+ */
+export function getRescheduledDates(task, change) {
+    let { startDate, dueDate } = task;
+
+    if (change.date) {
+        if (startDate) {
+            const days = toDayNumber(change.date) - toDayNumber(startDate);
+            startDate = change.date;
+            dueDate = dueDate ? shiftDate(dueDate, days) : null;
+        } else if (dueDate) {
+            // Only a deadline to move
+            dueDate = change.date;
+        } else {
+            startDate = change.date;
+        }
+
+        return { startDate, dueDate };
+    }
+
+    if (!startDate && !dueDate) {
+        return null;
+    }
+
+    return {
+        startDate: startDate ? shiftDate(startDate, change.shiftDays) : null,
+        dueDate: dueDate ? shiftDate(dueDate, change.shiftDays) : null
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * TaskSort.js
+ *
+ * Sort modes of the task lists, including a manual order the user sets by
+ * dragging tasks.
+ */
+
+import { TaskPriority } from './Task.js';
+
+/**
+ * Ways to sort a task list
+ */
+export const TaskSortMode = {
+    SCHEDULE: 'schedule',   // The app's own order: missed first, then by start time
+    DUE_DATE: 'dueDate',
+    PRIORITY: 'priority',
+    DURATION: 'duration',
+    REMAINING: 'remaining',
+    CREATED: 'created',
+    MANUAL: 'manual'
+};
+
+// Order of the priorities, high first
+const PRIORITY_ORDER = [TaskPriority.HIGH, TaskPriority.MEDIUM, TaskPriority.LOW];
+
+/**
+ * Get the number of focus sessions a task has left
+ * @param {Object} task Task object
+ * @returns {number} Remaining focus sessions
+ */
+export function getRemainingSessions(task) {
+    const progress = task.progress || {};
+    return Math.max(0, (progress.totalSessions || 0) - (progress.completedSessions || 0));
+}
+
+/**
+ * Get the due date and time of a task as a sortable string
+ * @param {Object} task Task object
+ * @returns {string|null} "YYYY-MM-DDTHH:MM", or null without a due date
+ */
+function getDueKey(task) {
+    return task.dueDate ? `${task.dueDate}T${task.dueTime || '23:59'}` : null;
+}
+
+/**
+ * Sort tasks. Ties keep the order the tasks were given in.
+ * @param {Array} tasks Tasks in the app's own order
+ * @param {string} mode One of TaskSortMode
+ * @param {Array} manualOrder Task IDs in manual order; tasks not in it go last
+ * @returns {Array} Sorted copy of the tasks
+ */
+export function sortTasks(tasks, mode, manualOrder = []) {
+    const sorted = [...tasks];
+
+    switch (mode) {
+        case TaskSortMode.DUE_DATE:
+            // Tasks without a due date go last
+            return sorted.sort((a, b) => {
+                const aDue = getDueKey(a);
+                const bDue = getDueKey(b);
+                if (!aDue || !bDue) return (aDue ? 0 : 1) - (bDue ? 0 : 1);
+                return aDue.localeCompare(bDue);
+            });
+        case TaskSortMode.PRIORITY:
+            return sorted.sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority));
+        case TaskSortMode.DURATION:
+            return sorted.sort((a, b) => a.estimatedDuration - b.estimatedDuration);
+        case TaskSortMode.REMAINING:
+            return sorted.sort((a, b) => getRemainingSessions(a) - getRemainingSessions(b));
+        case TaskSortMode.CREATED:
+            // Newest first
+            return sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        case TaskSortMode.MANUAL: {
+            const position = new Map(manualOrder.map((id, index) => [id, index]));
+            return sorted.sort((a, b) =>
+                (position.has(a.id) ? position.get(a.id) : Infinity) -
+                (position.has(b.id) ? position.get(b.id) : Infinity) || 0);
+        }
+        default:
+            return sorted;
+    }
+}
+
+/**
+ * Move a task in a manual order
+ * @param {Array} taskIds Task IDs in their current order
+ * @param {string} movedId ID of the task to move
+ * @param {string} targetId ID of the task it was dropped on
+ * @param {boolean} after True to place it after the target, false for before
+ * @returns {Array} New order of task IDs
+ */
+export function moveTaskInOrder(taskIds, movedId, targetId, after) {
+    if (movedId === targetId) return [...taskIds];
+
+    const order = taskIds.filter(id => id !== movedId);
+    const targetIndex = order.indexOf(targetId);
+    if (targetIndex === -1) return [...taskIds];
+
+    order.splice(after ? targetIndex + 1 : targetIndex, 0, movedId);
+    return order;
+}
@@ -0,0 +1,99 @@
+/**
+ * TaskTemplate.js
+ *
+ * Defines the TaskTemplate class, a named set of task fields that new tasks
+ * can be started from. A template is a task without its identity, schedule
+ * and progress.
+ */
+
+import { Task } from './Task.js';
+
+/**
+ * Generates a unique ID for a template
+ * @returns {string} Unique ID
+ */
+function generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+// Task fields that belong to one task and are never copied into a template
+const EXCLUDED_FIELDS = [
+    'id', 'status', 'createdAt',
+    'startDate', 'startTime', 'dueDate', 'dueTime',
+    'sessions', 'progress', 'blockedBy',
+    'endedEarly', 'endProgress', 'trimmedFocusSessions'
+];
+
+/**
+ * TaskTemplate class representing a reusable task
+ */
+export class TaskTemplate {
+    /**
+     * Create a new TaskTemplate
+     * @param {Object} templateData Template data
+     */
+    constructor(templateData = {}) {
+        this.id = templateData.id || generateUniqueId();
+        this.name = templateData.name || 'Untitled Template';
+        this.createdAt = templateData.createdAt || new Date().toISOString();
+
+        // Task fields the template fills in
+        this.task = templateData.task || {};
+    }
+
+    /**
+     * Create a template from a task
+     * @param {Object} taskData Task object or task form data
+     * @param {string} name Template name
+     * @returns {TaskTemplate} New TaskTemplate instance
+     */
+    static fromTask(taskData, name) {
+        const task = new Task(taskData).toObject();
+        EXCLUDED_FIELDS.forEach(field => delete task[field]);
+
+        // Start with an unchecked checklist
+        task.subtasks = task.subtasks.map(subtask => ({ ...subtask, done: false }));
+
+        return new TaskTemplate({ name, task });
+    }
+
+    /**
+     * Get the task data of a new task started from this template
+     * @returns {Object} Task data without an ID, dates or progress
+     */
+    toTaskData() {
+        const taskData = JSON.parse(JSON.stringify(this.task));
+
+        // Each task gets its own checklist items
+        taskData.subtasks = (taskData.subtasks || []).map(subtask => ({
+            ...subtask,
+            id: generateUniqueId(),
+            done: false
+        }));
+        taskData.tags = taskData.tags || [];
+
+        return taskData;
+    }
+
+    /**
+     * Convert the template to a plain object for storage
+     * @returns {Object} Plain object representation of the template
+     */
+    toObject() {
+        return {
+            id: this.id,
+            name: this.name,
+            createdAt: this.createdAt,
+            task: this.task
+        };
+    }
+
+    /**
+     * Create a TaskTemplate instance from a plain object
+     * @param {Object} obj Plain object representing a template
+     * @returns {TaskTemplate} TaskTemplate instance
+     */
+    static fromObject(obj) {
+        return new TaskTemplate(obj);
+    }
+}
@@ -16,51 +16,97 @@ export class AnalyticsService {
      */
     constructor() {
         // Load analytics data from storage
+        this.loadAnalytics();
+    }
+
+    /**
+     * Load analytics data from storage, replacing the in-memory copy
+     */
+    loadAnalytics() {
         this.analytics = StorageManager.getAnalytics();
     }
 
     /**
      * Record completion of a Pomodoro session
-     * @param {Object} task Task object
+     * @param {Object|null} task Task object, null for a quick session without a task
      * @param {Object} session Session object
      * @param {boolean} wasFocus Whether it was a focus session
+     * @param {Date} completedAt When the session ended (defaults to now)
+     * @param {number} overtime Minutes the session ran past its end
      */
-    recordSessionCompletion(task, session, wasFocus) {
-        // Get today's date string
-        const today = new Date().toISOString().split('T')[0];
+    recordSessionCompletion(task, session, wasFocus, completedAt = new Date(), overtime = 0) {
+        // Get the date string of the day the session ended
+        const today = completedAt.toISOString().split('T')[0];
         
         // Initialize analytics objects if needed
         this.analytics.completedSessions = this.analytics.completedSessions || 0;
         this.analytics.totalFocusTime = this.analytics.totalFocusTime || 0;
         this.analytics.totalBreakTime = this.analytics.totalBreakTime || 0;
-        this.analytics.dailyStats = this.analytics.dailyStats || {};
-        this.analytics.dailyStats[today] = this.analytics.dailyStats[today] || {
-            focusTime: 0,
-            breakTime: 0,
-            sessions: 0,
-            tasks: new Set()
-        };
+        const dailyStats = this.getDailyStats(today);
         
         // Update general stats
         this.analytics.completedSessions++;
         
         // Update session type specific stats
+        const minutes = session.duration + overtime;
         if (wasFocus) {
-            this.analytics.totalFocusTime += session.duration;
-            this.analytics.dailyStats[today].focusTime += session.duration;
+            this.analytics.totalFocusTime += minutes;
+            dailyStats.focusTime += minutes;
+            
+            // Count focus sessions and how many of them were interrupted
+            dailyStats.focusSessions = (dailyStats.focusSessions || 0) + 1;
+            if (session.interruptions && session.interruptions.length > 0) {
+                dailyStats.interruptedSessions = (dailyStats.interruptedSessions || 0) + 1;
+            }
         } else {
-            this.analytics.totalBreakTime += session.duration;
-            this.analytics.dailyStats[today].breakTime += session.duration;
+            this.analytics.totalBreakTime += minutes;
+            dailyStats.breakTime += minutes;
         }
         
         // Update daily stats
-        this.analytics.dailyStats[today].sessions++;
-        this.analytics.dailyStats[today].tasks.add(task.id);
+        dailyStats.sessions++;
+        if (task && !dailyStats.tasks.includes(task.id)) {
+            dailyStats.tasks.push(task.id);
+        }
         
         // Save to storage
         StorageManager.saveAnalytics(this.analytics);
     }
 
+    /**
+     * Record an interruption of a focus session
+     * @param {string} type One of InterruptionType
+     * @param {Date} at When it happened (defaults to now)
+     */
+    recordInterruption(type, at = new Date()) {
+        const dailyStats = this.getDailyStats(at.toISOString().split('T')[0]);
+        
+        this.analytics.interruptions = this.analytics.interruptions || { internal: 0, external: 0 };
+        this.analytics.interruptions[type]++;
+        
+        dailyStats.interruptions = dailyStats.interruptions || { internal: 0, external: 0 };
+        dailyStats.interruptions[type]++;
+        
+        StorageManager.saveAnalytics(this.analytics);
+    }
+
+    /**
+     * Get the stats of a day, creating them if needed
+     * @param {string} day Date string (YYYY-MM-DD)
+     * @returns {Object} Daily stats object
+     */
+    getDailyStats(day) {
+        this.analytics.dailyStats = this.analytics.dailyStats || {};
+        this.analytics.dailyStats[day] = this.analytics.dailyStats[day] || {
+            focusTime: 0,
+            breakTime: 0,
+            sessions: 0,
+            tasks: [] // Task IDs; a Set would not survive being stored
+        };
+        
+        return this.analytics.dailyStats[day];
+    }
+
     /**
      * Record completion of a task
      * @param {Object} task Completed task
@@ -129,6 +175,9 @@ export class AnalyticsService {
             completedSessions: 0,
             completedTasks: 0,
             averageAccuracy: 0,
+            interruptions: { internal: 0, external: 0 },
+            focusSessions: 0,
+            interruptedSessions: 0,
             dailyBreakdown: {}
         };
         
@@ -140,23 +189,31 @@ export class AnalyticsService {
             const dailyStats = this.analytics.dailyStats[date];
             
             if (dailyStats) {
+                const interruptions = dailyStats.interruptions || { internal: 0, external: 0 };
+                
                 summary.totalFocusTime += dailyStats.focusTime;
                 summary.totalBreakTime += dailyStats.breakTime;
                 summary.completedSessions += dailyStats.sessions;
-                summary.completedTasks += dailyStats.tasks.size;
+                summary.completedTasks += dailyStats.tasks.length;
+                summary.interruptions.internal += interruptions.internal;
+                summary.interruptions.external += interruptions.external;
+                summary.focusSessions += dailyStats.focusSessions || 0;
+                summary.interruptedSessions += dailyStats.interruptedSessions || 0;
                 
                 summary.dailyBreakdown[date] = {
                     focusTime: dailyStats.focusTime,
                     breakTime: dailyStats.breakTime,
                     sessions: dailyStats.sessions,
-                    tasks: dailyStats.tasks.size
+                    tasks: dailyStats.tasks.length,
+                    interruptions: interruptions.internal + interruptions.external
                 };
             } else {
                 summary.dailyBreakdown[date] = {
                     focusTime: 0,
                     breakTime: 0,
                     sessions: 0,
-                    tasks: 0
+                    tasks: 0,
+                    interruptions: 0
                 };
             }
         });
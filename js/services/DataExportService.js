@@ -0,0 +1,103 @@
+/**
+ * DataExportService.js
+ *
+ * Service for exporting app data to files and reading those files back.
+ * Supports the full JSON backup, CSV of tasks and completed sessions,
+ * and iCalendar (.ics) with one event per scheduled focus session.
+ */
+
+import { StorageManager, SCHEMA_VERSION } from './StorageManager.js';
+import { tasksToCsv, csvToTasks } from './export/CsvFormat.js';
+import { tasksToIcs, icsToTasks } from './export/IcsFormat.js';
+
+/**
+ * Supported file formats
+ */
+export const ExportFormat = {
+    JSON: 'json',
+    CSV: 'csv',
+    ICS: 'ics'
+};
+
+// File details for each format
+const FORMAT_DETAILS = {
+    [ExportFormat.JSON]: { extension: 'json', mimeType: 'application/json' },
+    [ExportFormat.CSV]: { extension: 'csv', mimeType: 'text/csv' },
+    [ExportFormat.ICS]: { extension: 'ics', mimeType: 'text/calendar' }
+};
+
+/**
+ * DataExportService class for file export and import
+ */
+export class DataExportService {
+    /**
+     * Export app data in the given format
+     * @param {string} format One of ExportFormat
+     * @returns {Object} { content, filename, mimeType }
+     */
+    static exportAs(format) {
+        const details = FORMAT_DETAILS[format];
+        if (!details) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        let content;
+        if (format === ExportFormat.CSV) {
+            content = tasksToCsv(StorageManager.getTasks());
+        } else if (format === ExportFormat.ICS) {
+            content = tasksToIcs(StorageManager.getTasks());
+        } else {
+            content = StorageManager.exportData();
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+
+        return {
+            content,
+            filename: `pomodoro-${format === ExportFormat.JSON ? 'backup' : 'tasks'}-${date}.${details.extension}`,
+            mimeType: details.mimeType
+        };
+    }
+
+    /**
+     * Work out the format of an imported file
+     * @param {string} filename File name
+     * @param {string} text File content
+     * @returns {string} One of ExportFormat
+     */
+    static detectFormat(filename, text) {
+        const extension = (filename || '').split('.').pop().toLowerCase();
+
+        if (FORMAT_DETAILS[extension]) {
+            return extension;
+        }
+
+        const start = text.trimStart();
+        if (start.startsWith('{')) return ExportFormat.JSON;
+        if (start.startsWith('BEGIN:VCALENDAR')) return ExportFormat.ICS;
+        return ExportFormat.CSV;
+    }
+
+    /**
+     * Convert an imported file into the JSON backup format understood by StorageManager.importData()
+     * @param {string} filename File name
+     * @param {string} text File content
+     * @returns {Object} { format, json }
+     * @throws {Error} If the file cannot be parsed
+     */
+    static toImportJson(filename, text) {
+        const format = this.detectFormat(filename, text);
+
+        if (format === ExportFormat.JSON) {
+            return { format, json: text };
+        }
+
+        const tasks = format === ExportFormat.ICS ? icsToTasks(text) : csvToTasks(text);
+
+        // CSV and iCalendar only carry tasks, and are built with the current Task model
+        return {
+            format,
+            json: JSON.stringify({ tasks, schemaVersion: SCHEMA_VERSION })
+        };
+    }
+}
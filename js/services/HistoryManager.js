@@ -0,0 +1,111 @@
+/**
+ * HistoryManager.js
+ *
+ * Keeps undo/redo stacks of commands.
+ * A command is an object with a label and undo()/redo() functions;
+ * callers decide what each command restores.
+ */
+
+// Maximum number of commands kept on the undo stack
+const MAX_HISTORY = 50;
+
+/**
+ * HistoryManager class for undo/redo
+ */
+export class HistoryManager {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = [];
+    }
+
+    /**
+     * Record a command that has just been applied
+     * @param {Object} command Command with label, undo() and redo()
+     */
+    record(command) {
+        this.undoStack.push(command);
+
+        if (this.undoStack.length > MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+
+        // A new action invalidates anything that was undone before it
+        this.redoStack = [];
+
+        this.notifyListeners('record', command);
+    }
+
+    /**
+     * Get the command that undo() would revert
+     * @returns {Object|null} Command or null if nothing to undo
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * Get the command that redo() would reapply
+     * @returns {Object|null} Command or null if nothing to redo
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * Revert the last command
+     * @returns {Object|null} The undone command or null if nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+
+        this.notifyListeners('undo', command);
+        return command;
+    }
+
+    /**
+     * Reapply the last undone command
+     * @returns {Object|null} The redone command or null if nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+
+        this.notifyListeners('redo', command);
+        return command;
+    }
+
+    /**
+     * Drop all history
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyListeners('clear', null);
+    }
+
+    /**
+     * Add a history change listener
+     * @param {Function} listener Called with (action, command)
+     */
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners of a history change
+     * @param {string} action 'record', 'undo', 'redo' or 'clear'
+     * @param {Object|null} command Command involved
+     * @private
+     */
+    notifyListeners(action, command) {
+        this.listeners.forEach(listener => listener(action, command));
+    }
+}
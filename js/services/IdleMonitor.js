@@ -0,0 +1,202 @@
+/**
+ * IdleMonitor.js
+ * 
+ * Service for noticing when the user has stepped away from the computer.
+ * Uses the Idle Detection API when the browser has it and the user allowed
+ * it. Otherwise the user counts as idle after a while without input on the
+ * page; that fallback can't see input in other apps, so it only counts time
+ * while the page is visible. Time spent in other apps is only noticed by the
+ * Idle Detection API.
+ */
+
+// Input events that show the user is at the page
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'];
+
+// How often the fallback checks for inactivity (ms)
+const CHECK_INTERVAL = 15000;
+
+// Shortest threshold the Idle Detection API accepts (ms)
+const MIN_DETECTOR_THRESHOLD = 60000;
+
+/**
+ * IdleMonitor class for detecting user inactivity
+ */
+export class IdleMonitor {
+    /**
+     * Create a new IdleMonitor
+     * @param {Function} onIdle Called with the time (ms) the user went idle
+     * @param {Function} onActive Called with the time (ms) the user went idle, once they are back
+     */
+    constructor(onIdle, onActive) {
+        this.onIdle = onIdle;
+        this.onActive = onActive;
+        
+        this.threshold = 0;
+        this.lastActivity = Date.now();
+        this.idleSince = null;
+        
+        this.abortController = null;
+        this.checkTimer = null;
+        this.activityHandler = this.recordActivity.bind(this);
+        this.visibilityHandler = () => {
+            // Coming back to the page counts as input
+            if (!document.hidden) this.recordActivity();
+        };
+    }
+
+    /**
+     * Ask for permission to use the Idle Detection API. Must be called from a user action.
+     * @returns {Promise<boolean>} True if the API may be used
+     */
+    static async requestPermission() {
+        if (typeof IdleDetector === 'undefined') {
+            return false;
+        }
+        
+        try {
+            return await IdleDetector.requestPermission() === 'granted';
+        } catch (error) {
+            console.log('Idle detection permission not granted:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Start watching for inactivity, replacing any earlier watch.
+     * A watch with the same threshold is kept, along with any idle time it has seen.
+     * @param {number} minutes Minutes without input before the user counts as idle (0 to stop watching)
+     */
+    async start(minutes) {
+        const threshold = minutes > 0 ? minutes * 60000 : 0;
+        if (threshold === this.threshold) return;
+        
+        this.stop();
+        
+        if (!threshold) return;
+        this.threshold = threshold;
+        
+        if (await this.startDetector()) return;
+        
+        // Stopped or restarted while the detector was starting
+        if (this.threshold === threshold) {
+            this.startFallback();
+        }
+    }
+
+    /**
+     * Stop watching for inactivity
+     */
+    stop() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+            
+            ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, this.activityHandler));
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+        }
+        
+        this.threshold = 0;
+        this.idleSince = null;
+    }
+
+    /**
+     * Watch with the Idle Detection API, if it is available and allowed
+     * @returns {Promise<boolean>} True if the API is in use
+     * @private
+     */
+    async startDetector() {
+        if (typeof IdleDetector === 'undefined' || !navigator.permissions) {
+            return false;
+        }
+        
+        try {
+            const permission = await navigator.permissions.query({ name: 'idle-detection' });
+            if (permission.state !== 'granted') {
+                return false;
+            }
+            
+            const detector = new IdleDetector();
+            const threshold = Math.max(this.threshold, MIN_DETECTOR_THRESHOLD);
+            
+            detector.addEventListener('change', () => {
+                if (detector.userState === 'idle' || detector.screenState === 'locked') {
+                    // The detector reports idle once the threshold has passed
+                    this.setIdle(Date.now() - threshold);
+                } else {
+                    this.setActive();
+                }
+            });
+            
+            this.abortController = new AbortController();
+            await detector.start({ threshold, signal: this.abortController.signal });
+            
+            console.log('Idle detection started with the Idle Detection API');
+            return true;
+        } catch (error) {
+            console.log('Idle Detection API unavailable, using input events:', error);
+            this.abortController = null;
+            return false;
+        }
+    }
+
+    /**
+     * Watch for input on the page
+     * @private
+     */
+    startFallback() {
+        this.lastActivity = Date.now();
+        
+        ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, this.activityHandler, { passive: true }));
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+        
+        this.checkTimer = setInterval(() => this.checkIdle(), CHECK_INTERVAL);
+    }
+
+    /**
+     * Mark the user as idle if the page was visible without input for the threshold
+     * @private
+     */
+    checkIdle() {
+        if (this.threshold && !document.hidden && Date.now() - this.lastActivity >= this.threshold) {
+            this.setIdle(this.lastActivity);
+        }
+    }
+
+    /**
+     * Note input from the user
+     * @private
+     */
+    recordActivity() {
+        this.lastActivity = Date.now();
+        this.setActive();
+    }
+
+    /**
+     * Mark the user as idle
+     * @param {number} since Time (ms) the user went idle
+     * @private
+     */
+    setIdle(since) {
+        if (this.idleSince) return;
+        
+        this.idleSince = since;
+        this.onIdle(since);
+    }
+
+    /**
+     * Mark the user as back
+     * @private
+     */
+    setActive() {
+        if (!this.idleSince) return;
+        
+        const since = this.idleSince;
+        this.idleSince = null;
+        this.onActive(since);
+    }
+}
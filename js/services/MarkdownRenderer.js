@@ -0,0 +1,133 @@
+/**
+ * MarkdownRenderer.js
+ *
+ * Renders the small Markdown subset used in task notes and session logs:
+ * headings, bold, italics, inline code, code blocks, lists, links and
+ * paragraphs. All text is HTML-escaped first, so notes can never inject markup.
+ */
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render inline Markdown of an already escaped line
+ * @param {string} text Escaped text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+    // Keep code spans and links out of the emphasis rules
+    const stash = [];
+    const keep = (html) => {
+        stash.push(html);
+        return `\u0000${stash.length - 1}\u0000`;
+    };
+
+    let html = text
+        .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${code}</code>`))
+        // Only web and mail links, so a note can't run script through a link
+        .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^)\s]+)\)/g, (match, label, url) =>
+            keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`));
+
+    html = html
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(.+?)__/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_(.+?)_(?=\W|$)/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+}
+
+/**
+ * Render Markdown to HTML
+ * @param {string} markdown Markdown text
+ * @returns {string} HTML, safe to assign to innerHTML
+ */
+export function renderMarkdown(markdown) {
+    const lines = escapeHtml(markdown || '').split(/\r?\n/);
+    const html = [];
+    let paragraph = [];
+    let listType = null;
+    let inCodeBlock = false;
+    let codeLines = [];
+
+    const closeParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const closeList = () => {
+        if (listType) {
+            html.push(`</${listType}>`);
+            listType = null;
+        }
+    };
+
+    lines.forEach(line => {
+        if (/^```/.test(line.trim())) {
+            if (inCodeBlock) {
+                html.push(`<pre><code>${codeLines.join('\n')}</code></pre>`);
+                codeLines = [];
+            } else {
+                closeParagraph();
+                closeList();
+            }
+            inCodeBlock = !inCodeBlock;
+            return;
+        }
+
+        if (inCodeBlock) {
+            codeLines.push(line);
+            return;
+        }
+
+        const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+        const bullet = /^\s*[-*+]\s+(.*)$/.exec(line);
+        const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+
+        if (heading) {
+            closeParagraph();
+            closeList();
+            // Notes sit inside a task item, so headings start small
+            const level = Math.min(heading[1].length + 3, 6);
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        } else if (bullet || numbered) {
+            closeParagraph();
+            const type = bullet ? 'ul' : 'ol';
+            if (listType !== type) {
+                closeList();
+                html.push(`<${type}>`);
+                listType = type;
+            }
+            html.push(`<li>${renderInline((bullet || numbered)[1])}</li>`);
+        } else if (!line.trim()) {
+            closeParagraph();
+            closeList();
+        } else {
+            closeList();
+            paragraph.push(line);
+        }
+    });
+
+    // An unclosed code block runs to the end of the text
+    if (inCodeBlock) {
+        html.push(`<pre><code>${codeLines.join('\n')}</code></pre>`);
+    }
+
+    closeParagraph();
+    closeList();
+
+    return html.join('');
+}
@@ -6,6 +6,8 @@
  */
 
 import { StorageManager } from './StorageManager.js';
+import { getSessionLabel } from '../models/SessionPlan.js';
+import { SessionType } from '../models/Task.js';
 
 /**
  * NotificationType enum defines the types of notifications
@@ -112,13 +114,18 @@ export class NotificationService {
             return false;
         }
         
+        // Keep task reminders visible until dismissed, and session ends while the
+        // app is in the background, where the timer keeps running in background mode
+        const keepVisible = type === NotificationType.TASK_REMINDER ||
+            (type === NotificationType.SESSION_END && document.hidden);
+        
         try {
             // Create and show the notification
             const notification = new Notification(title, {
                 body: body,
                 icon: '/assets/icons/favicon.ico',
                 tag: type, // For grouping similar notifications
-                requireInteraction: type === NotificationType.TASK_REMINDER // Keep task reminders visible until dismissed
+                requireInteraction: keepVisible
             });
             
             // Handle notification click
@@ -141,7 +148,7 @@ export class NotificationService {
             };
             
             // Auto-close most notifications after 5 seconds
-            if (type !== NotificationType.TASK_REMINDER) {
+            if (!keepVisible) {
                 setTimeout(() => notification.close(), 5000);
             }
             
@@ -373,15 +380,50 @@ export class NotificationService {
         );
     }
 
+    /**
+     * Show a notification that a focus session's time is up and overtime is counting
+     * @param {Object} task Task object
+     * @param {number} sessionNumber Number of the session running over
+     * @returns {boolean} True if notification was shown
+     */
+    showOvertimeNotification(task, sessionNumber) {
+        return this.showNotification(
+            'Focus Session Time Is Up',
+            `${task.name} - Session ${sessionNumber} is in overtime. Finish the session when you're ready.`,
+            NotificationType.SESSION_END,
+            { taskId: task.id, sessionNumber }
+        );
+    }
+
+    /**
+     * Show a notification that a quick session without a task ended
+     * @param {Object} quickSession Quick session { type, duration }
+     * @returns {boolean} True if notification was shown
+     */
+    showQuickSessionEndNotification(quickSession) {
+        const isFocus = quickSession.type === SessionType.FOCUS;
+        
+        return this.showNotification(
+            isFocus ? 'Quick Focus Completed' : 'Quick Break Over',
+            isFocus ? `${quickSession.duration} minutes of focus done` : 'Time to get back to work',
+            NotificationType.SESSION_END,
+            { isBreak: !isFocus }
+        );
+    }
+
     /**
      * Show a break start notification
      * @param {Object} task Task object
+     * @param {Object} session Break session that started (long breaks and warm-ups differ from the short break)
      * @returns {boolean} True if notification was shown
      */
-    showBreakStartNotification(task) {
+    showBreakStartNotification(task, session = null) {
+        const duration = session ? session.duration : task.timerSettings.breakDuration;
+        const label = session ? getSessionLabel(session).toLowerCase() : 'break';
+        
         return this.showNotification(
-            'Break Time',
-            `Take a ${task.timerSettings.breakDuration}-minute break`,
+            session ? `${getSessionLabel(session)} Time` : 'Break Time',
+            `Take a ${duration}-minute ${label}`,
             NotificationType.SESSION_START,
             { taskId: task.id, isBreak: true }
         );
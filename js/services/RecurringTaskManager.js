@@ -100,8 +100,13 @@ export class RecurringTaskManager {
             }));
         }
         
+        // Start with an unchecked checklist
+        if (newTask.subtasks) {
+            newTask.subtasks = newTask.subtasks.map(subtask => ({ ...subtask, done: false }));
+        }
+        
         // Create the task
-        return this.taskController.createTask(newTask);
+        return this.taskController.createTask(newTask, { recordHistory: false });
     }
 
     /**
@@ -134,7 +139,7 @@ export class RecurringTaskManager {
                 };
                 
                 // Don't update date-related properties
-                this.taskController.updateTask(instance.id, safeUpdates);
+                this.taskController.updateTask(instance.id, safeUpdates, { recordHistory: false });
             }
         });
     }
@@ -157,7 +162,7 @@ export class RecurringTaskManager {
             today.setHours(0, 0, 0, 0);
             
             if (instanceDate >= today) {
-                this.taskController.deleteTask(instance.id);
+                this.taskController.deleteTask(instance.id, { recordHistory: false });
             }
         });
     }
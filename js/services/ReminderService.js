@@ -186,7 +186,7 @@ export class ReminderService {
                 task.markAsMissed();
                 
                 // Update the task
-                this.taskController.updateTask(task.id, task);
+                this.taskController.updateTask(task.id, task, { recordHistory: false });
                 
                 // Show a notification
                 if (this.notificationService) {
@@ -0,0 +1,189 @@
+/**
+ * StorageCompactor.js
+ * 
+ * Service for freeing storage space. Each compaction action can be previewed
+ * (how many items it touches and how many bytes it saves) before it is applied.
+ */
+
+import { StorageManager } from './StorageManager.js';
+import { TaskStatus, SessionType } from '../models/Task.js';
+
+/**
+ * Available compaction actions
+ */
+export const CompactionAction = {
+    ARCHIVE_COMPLETED: 'archiveCompleted',     // Replace old completed tasks with a summary
+    TRIM_SESSIONS: 'trimSessions',             // Drop unstarted sessions of old completed tasks
+    PRUNE_NOTIFICATIONS: 'pruneNotifications'  // Keep only the latest notifications
+};
+
+// Default compaction options
+const DEFAULT_OPTIONS = {
+    olderThanDays: 30,    // Age of completed tasks to archive or trim
+    keepNotifications: 10 // Notifications kept when pruning
+};
+
+/**
+ * Get the last time a task was worked on
+ * @param {Object} task Task object
+ * @returns {number} Timestamp in ms
+ */
+function getLastActivity(task) {
+    const times = (task.sessions || [])
+        .filter(session => session.startedAt)
+        .map(session => new Date(session.startedAt).getTime());
+    
+    return Math.max(new Date(task.createdAt).getTime() || 0, ...times);
+}
+
+/**
+ * Check if a task is a completed task older than the cutoff
+ * @param {Object} task Task object
+ * @param {number} cutoff Timestamp in ms
+ * @returns {boolean} True if the task can be compacted
+ */
+function isOldCompletedTask(task, cutoff) {
+    return task.status === TaskStatus.COMPLETED && getLastActivity(task) < cutoff;
+}
+
+/**
+ * Build the archive summary of a completed task
+ * @param {Object} task Task object
+ * @returns {Object} Archived task summary
+ */
+function summarizeTask(task) {
+    const progress = task.progress || {};
+    
+    return {
+        id: task.id,
+        name: task.name,
+        priority: task.priority,
+        tags: task.tags || [],
+        createdAt: task.createdAt,
+        lastActivity: new Date(getLastActivity(task)).toISOString(),
+        completedSessions: progress.completedSessions || 0,
+        totalSessions: progress.totalSessions || 0,
+        timeSpent: Math.round(progress.timeSpent || 0),
+        endedEarly: !!task.endedEarly,
+        archivedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * StorageCompactor class for previewing and applying compaction
+ */
+export class StorageCompactor {
+    /**
+     * Preview every compaction action
+     * @param {Object} options { olderThanDays, keepNotifications }
+     * @returns {Array} Array of { action, count, bytesSaved }
+     */
+    static previewAll(options = {}) {
+        return Object.values(CompactionAction).map(action => this.preview(action, options));
+    }
+
+    /**
+     * Preview a compaction action without changing anything
+     * @param {string} action One of CompactionAction
+     * @param {Object} options { olderThanDays, keepNotifications }
+     * @returns {Object} { action, count, bytesSaved }
+     */
+    static preview(action, options = {}) {
+        const plan = this._plan(action, { ...DEFAULT_OPTIONS, ...options });
+        return { action, count: plan.count, bytesSaved: plan.bytesSaved };
+    }
+
+    /**
+     * Apply a compaction action
+     * @param {string} action One of CompactionAction
+     * @param {Object} options { olderThanDays, keepNotifications }
+     * @returns {Object} { action, count, bytesSaved }
+     */
+    static apply(action, options = {}) {
+        const plan = this._plan(action, { ...DEFAULT_OPTIONS, ...options });
+        
+        if (plan.count > 0) {
+            if (plan.tasks) StorageManager.saveTasks(plan.tasks);
+            if (plan.archive) StorageManager.saveArchive(plan.archive);
+            if (plan.notifications) StorageManager.saveNotificationHistory(plan.notifications);
+            
+            console.log(`Compaction ${action}: ${plan.count} items, ~${plan.bytesSaved} bytes saved`);
+        }
+        
+        return { action, count: plan.count, bytesSaved: plan.bytesSaved };
+    }
+
+    /**
+     * Work out the data a compaction action would write
+     * @param {string} action One of CompactionAction
+     * @param {Object} options Compaction options
+     * @returns {Object} { count, bytesSaved, tasks?, archive?, notifications? }
+     * @private
+     */
+    static _plan(action, options) {
+        const cutoff = Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000;
+        const tasks = StorageManager.getTasks();
+        
+        if (action === CompactionAction.ARCHIVE_COMPLETED) {
+            const archived = tasks.filter(task => isOldCompletedTask(task, cutoff));
+            const archive = StorageManager.getArchive();
+            const newArchive = archive.concat(archived.map(summarizeTask));
+            const remaining = tasks.filter(task => !isOldCompletedTask(task, cutoff));
+            
+            return {
+                count: archived.length,
+                bytesSaved: StorageManager.estimateSize(tasks) + StorageManager.estimateSize(archive) -
+                    StorageManager.estimateSize(remaining) - StorageManager.estimateSize(newArchive),
+                tasks: remaining,
+                archive: newArchive
+            };
+        }
+        
+        if (action === CompactionAction.TRIM_SESSIONS) {
+            let count = 0;
+            const trimmed = tasks.map(task => {
+                if (!isOldCompletedTask(task, cutoff) || !task.sessions) {
+                    return task;
+                }
+                
+                // Keep everything up to the last completed session
+                let lastCompleted = -1;
+                task.sessions.forEach((session, index) => {
+                    if (session.completed) lastCompleted = index;
+                });
+                
+                const removed = task.sessions.slice(lastCompleted + 1);
+                if (removed.length === 0) {
+                    return task;
+                }
+                
+                count++;
+                return {
+                    ...task,
+                    sessions: task.sessions.slice(0, lastCompleted + 1),
+                    trimmedFocusSessions: (task.trimmedFocusSessions || 0) +
+                        removed.filter(session => session.type === SessionType.FOCUS).length
+                };
+            });
+            
+            return {
+                count,
+                bytesSaved: StorageManager.estimateSize(tasks) - StorageManager.estimateSize(trimmed),
+                tasks: trimmed
+            };
+        }
+        
+        if (action === CompactionAction.PRUNE_NOTIFICATIONS) {
+            const notifications = StorageManager.getNotificationHistory();
+            const kept = options.keepNotifications > 0 ? notifications.slice(-options.keepNotifications) : [];
+            
+            return {
+                count: notifications.length - kept.length,
+                bytesSaved: StorageManager.estimateSize(notifications) - StorageManager.estimateSize(kept),
+                notifications: kept
+            };
+        }
+        
+        throw new Error(`Unknown compaction action: ${action}`);
+    }
+}
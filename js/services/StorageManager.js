@@ -1,16 +1,60 @@
 /**
  * StorageManager.js
  * 
- * A service that handles all localStorage operations for the Pomodoro app.
+ * A service that handles all persistence for the Pomodoro app.
  * Provides methods to store and retrieve tasks, settings, and other app data.
+ * 
+ * Data is kept in an in-memory cache so reads stay synchronous. Writes update
+ * the cache immediately and are persisted in the background through a storage
+ * adapter (IndexedDB when available, localStorage as the fallback).
+ * 
+ * Once a write is persisted, other open tabs are told which key changed and
+ * at what version. They ignore changes older than the version they already
+ * have, reload newer ones from the storage backend, and notify their external
+ * change listeners.
+ * 
+ * Snapshots of the full export are kept daily and before every import, restore
+ * or clear, so the data can be rolled back to an earlier point.
  */
 
+import { LocalStorageAdapter } from './storage/LocalStorageAdapter.js';
+import { IndexedDBAdapter } from './storage/IndexedDBAdapter.js';
+import { SCHEMA_VERSION, migrateData } from './storage/SchemaMigrations.js';
+import { buildMergePlan, applyMergePlan, mergeById, mergeNotifications } from './storage/ImportMerger.js';
+import { SnapshotReason, createSnapshot, trimSnapshots, needsDailySnapshot, fitsSnapshotCap } from './storage/Snapshots.js';
+import { TabSyncService } from './TabSyncService.js';
+
 // Storage keys
 const STORAGE_KEYS = {
     TASKS: 'pomodoro_tasks',
     SETTINGS: 'pomodoro_settings',
     ANALYTICS: 'pomodoro_analytics',
-    NOTIFICATION_HISTORY: 'pomodoro_notifications'
+    NOTIFICATION_HISTORY: 'pomodoro_notifications',
+    SCHEMA_VERSION: 'pomodoro_schema_version',
+    TRASH: 'pomodoro_trash',
+    SNAPSHOTS: 'pomodoro_snapshots',
+    ARCHIVE: 'pomodoro_archive',
+    PROJECTS: 'pomodoro_projects',
+    SMART_LISTS: 'pomodoro_smart_lists',
+    TASK_ORDER: 'pomodoro_task_order',
+    TEMPLATES: 'pomodoro_templates',
+    TIMER_STATE: 'pomodoro_timer_state'
+};
+
+// Marker written to IndexedDB once the localStorage data has been copied over
+const LEGACY_MIGRATION_KEY = 'pomodoro_migrated_from_localstorage';
+
+// Flag kept in localStorage once IndexedDB holds the data, so a later IndexedDB
+// failure is reported instead of silently falling back to an empty localStorage
+const INDEXEDDB_FLAG_KEY = 'pomodoro_data_in_indexeddb';
+
+// Number of notifications kept in history
+const MAX_NOTIFICATIONS = 50;
+
+// Import modes for importData()
+const IMPORT_MODES = {
+    REPLACE: 'replace', // Overwrite all local data with the import
+    MERGE: 'merge'      // Merge tasks by id, keep local settings and analytics
 };
 
 // Default app settings
@@ -22,61 +66,454 @@ const DEFAULT_SETTINGS = {
     activeHours: {
         start: '8:00',
         end: '20:00'
+    },
+    trashRetentionDays: 30, // days before deleted tasks are purged (0 to keep them forever)
+    idleTimeout: 5, // minutes without input before the user counts as away (0 to turn off)
+    taskSort: {
+        ongoing: 'schedule',
+        completed: 'created'
     }
 };
 
+// Active storage adapter and cached values by storage key
+let adapter = null;
+const cache = {};
+
+// Chain of pending background writes, so writes are applied in order
+let pendingWrite = Promise.resolve();
+
+// Listeners notified when another tab changes stored data
+const externalChangeListeners = [];
+
+// Version of the value last persisted or loaded for each key: { time, tabId }
+const versions = {};
+
+// Number of local writes made to each key, so a reload can tell it was overtaken
+const localWriteCounts = {};
+
+/**
+ * Check whether a version is newer than another.
+ * Versions are ordered by the time they were persisted, then by tab id.
+ * @param {Object} version Version to check
+ * @param {Object|undefined} current Version to compare with
+ * @returns {boolean} True if version is newer
+ */
+function isNewerVersion(version, current) {
+    if (!current) return true;
+    if (version.time !== current.time) return version.time > current.time;
+    return version.tabId > current.tabId;
+}
+
+/**
+ * Deep copy a JSON-compatible value
+ * @param {*} value Value to copy
+ * @returns {*} Copy of the value
+ */
+function clone(value) {
+    return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
 /**
- * StorageManager class for handling localStorage operations
+ * StorageManager class for handling persistence
  */
 export class StorageManager {
     /**
-     * Check if localStorage is available
-     * @returns {boolean} True if localStorage is available
+     * Check if browser storage is available
+     * @returns {boolean} True if IndexedDB or localStorage is available
      */
     static isAvailable() {
-        try {
-            const testKey = '__storage_test__';
-            localStorage.setItem(testKey, testKey);
-            localStorage.removeItem(testKey);
-            return true;
-        } catch (e) {
-            return false;
-        }
+        return IndexedDBAdapter.isSupported() || LocalStorageAdapter.isSupported();
     }
 
     /**
-     * Get all tasks from storage
-     * @returns {Array} Array of task objects, or empty array if none found
+     * Open the storage backend and load all data into the cache.
+     * Must be awaited before the app reads any data.
+     * @returns {Promise<void>}
+     * @throws {Error} If the backend holding the data can't be opened or read
      */
-    static getTasks() {
+    static async init() {
+        adapter = await this._openAdapter();
+        
         try {
-            const tasksJson = localStorage.getItem(STORAGE_KEYS.TASKS);
-            return tasksJson ? JSON.parse(tasksJson) : [];
+            await this._loadCache();
         } catch (error) {
-            console.error('Error retrieving tasks from storage:', error);
-            return [];
+            // Without the cache, writes would overwrite data that couldn't be read
+            adapter = null;
+            throw error;
+        }
+        
+        this._upgradeSchema();
+        
+        if (this.getTasks().length > 0 && needsDailySnapshot(this._read(STORAGE_KEYS.SNAPSHOTS) || [])) {
+            this.createSnapshot(SnapshotReason.DAILY);
         }
+        
+        // Keep the cache in sync with writes made in other tabs
+        TabSyncService.on('storage-changed', ({ key, version }) => this._handleExternalChange(key, version));
+        
+        console.log(`StorageManager initialized with ${adapter.name} backend`);
     }
 
     /**
-     * Save tasks to storage
-     * @param {Array} tasks Array of task objects
-     * @returns {boolean} True if successful
+     * Register a listener for data changed by another tab.
+     * The cache is already updated when the listener is called.
+     * @param {Function} listener Called with the storage key that changed
      */
-    static saveTasks(tasks) {
+    static onExternalChange(listener) {
+        externalChangeListeners.push(listener);
+    }
+
+    /**
+     * Get the schema version of the stored data
+     * @returns {number} Stored schema version (0 if the data predates versioning)
+     */
+    static getSchemaVersion() {
+        return cache[STORAGE_KEYS.SCHEMA_VERSION] || 0;
+    }
+
+    /**
+     * Run pending schema migrations on the cached data and persist the result.
+     * If a migration fails the stored data is left untouched.
+     * @private
+     */
+    static _upgradeSchema() {
+        const storedVersion = this.getSchemaVersion();
+        
+        if (storedVersion === SCHEMA_VERSION) {
+            return;
+        }
+        
+        if (storedVersion > SCHEMA_VERSION) {
+            console.warn(`Stored data uses schema version ${storedVersion}, newer than this app (${SCHEMA_VERSION})`);
+            return;
+        }
+        
         try {
-            localStorage.setItem(STORAGE_KEYS.TASKS, JSON.stringify(tasks));
-            return true;
+            const migrated = migrateData({
+                tasks: this.getTasks(),
+                settings: this._read(STORAGE_KEYS.SETTINGS),
+                analytics: this._read(STORAGE_KEYS.ANALYTICS),
+                notifications: this._read(STORAGE_KEYS.NOTIFICATION_HISTORY),
+                trash: this.getTrash(),
+                snapshots: this._read(STORAGE_KEYS.SNAPSHOTS) || []
+            }, storedVersion);
+            
+            this.saveTasks(migrated.tasks);
+            this.saveTrash(migrated.trash);
+            this._write(STORAGE_KEYS.SNAPSHOTS, migrated.snapshots);
+            
+            if (migrated.settings) {
+                this.saveSettings(migrated.settings);
+            }
+            
+            if (migrated.analytics) {
+                this.saveAnalytics(migrated.analytics);
+            }
+            
+            if (migrated.notifications) {
+                this.saveNotificationHistory(migrated.notifications);
+            }
+            
+            this._write(STORAGE_KEYS.SCHEMA_VERSION, SCHEMA_VERSION);
+            
+            console.log(`Upgraded stored data from schema version ${storedVersion} to ${SCHEMA_VERSION}`);
         } catch (error) {
-            console.error('Error saving tasks to storage:', error);
+            console.error('Schema migration failed, keeping stored data unchanged:', error);
+        }
+    }
+
+    /**
+     * Get the name of the active storage backend
+     * @returns {string|null} 'indexedDB', 'localStorage' or null if not initialized
+     */
+    static getBackendName() {
+        return adapter ? adapter.name : null;
+    }
+
+    /**
+     * Wait until all pending background writes have finished
+     * @returns {Promise<void>}
+     */
+    static flush() {
+        return pendingWrite;
+    }
+
+    /**
+     * Load all stored values into the cache
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _loadCache() {
+        for (const key of Object.values(STORAGE_KEYS)) {
+            cache[key] = await this._loadValue(key);
+        }
+    }
+
+    /**
+     * Read a value from the storage backend
+     * @param {string} key Storage key
+     * @returns {Promise<*>} Stored value
+     * @private
+     */
+    static _loadValue(key) {
+        return key === STORAGE_KEYS.TASKS ? adapter.getTasks() : adapter.getItem(key);
+    }
+
+    /**
+     * Reload a value another tab has persisted.
+     * Runs after this tab's pending writes, so the backend holds the latest value.
+     * @param {string} key Storage key that changed
+     * @param {Object} version Version the other tab persisted
+     * @private
+     */
+    static _handleExternalChange(key, version) {
+        if (!version || !isNewerVersion(version, versions[key])) {
+            console.log(`Ignoring stale change to ${key} from another tab`);
+            return;
+        }
+        
+        const writeCount = localWriteCounts[key] || 0;
+        
+        this._persist(key, async () => {
+            // The other tab rewrote task records, so none can be assumed unchanged
+            if (key === STORAGE_KEYS.TASKS) {
+                adapter.forgetWrittenTasks();
+            }
             
-            // Handle storage quota exceeded error
-            if (error instanceof DOMException && error.code === 22) {
-                alert('Storage full. Please export your data to continue using the app.');
+            // A newer local write is on its way and will be announced in turn
+            if ((localWriteCounts[key] || 0) !== writeCount || !isNewerVersion(version, versions[key])) {
+                return;
+            }
+            
+            cache[key] = await this._loadValue(key);
+            versions[key] = version;
+            
+            externalChangeListeners.forEach(listener => listener(key));
+        });
+    }
+
+    /**
+     * Tell other tabs that a key was persisted
+     * @param {string} key Storage key that was persisted
+     * @private
+     */
+    static _announceWrite(key) {
+        const version = { time: Date.now(), tabId: TabSyncService.getTabId() };
+        versions[key] = version;
+        TabSyncService.post('storage-changed', { key, version });
+    }
+
+    /**
+     * Open the preferred storage adapter, falling back to localStorage
+     * @returns {Promise<Object>} Opened storage adapter
+     * @private
+     */
+    static async _openAdapter() {
+        if (IndexedDBAdapter.isSupported()) {
+            try {
+                const indexedDBAdapter = new IndexedDBAdapter();
+                await indexedDBAdapter.open();
+                await this._migrateFromLocalStorage(indexedDBAdapter);
+                this._setIndexedDBFlag();
+                return indexedDBAdapter;
+            } catch (error) {
+                // The data lives in IndexedDB; an empty localStorage would hide it and lose new edits
+                if (this._hasIndexedDBFlag()) {
+                    throw new Error(`Could not open the IndexedDB database holding the app data: ${error.message || error}`);
+                }
+                
+                console.error('IndexedDB unavailable, falling back to localStorage:', error);
             }
+        }
+        
+        return this._openLocalStorage();
+    }
+
+    /**
+     * Check whether IndexedDB has been used to hold the app data
+     * @returns {boolean} True if the flag is set
+     * @private
+     */
+    static _hasIndexedDBFlag() {
+        return LocalStorageAdapter.isSupported() && localStorage.getItem(INDEXEDDB_FLAG_KEY) !== null;
+    }
+
+    /**
+     * Note in localStorage that IndexedDB holds the app data
+     * @private
+     */
+    static _setIndexedDBFlag() {
+        if (LocalStorageAdapter.isSupported() && !this._hasIndexedDBFlag()) {
+            localStorage.setItem(INDEXEDDB_FLAG_KEY, new Date().toISOString());
+        }
+    }
+
+    /**
+     * Open the localStorage adapter
+     * @returns {Promise<LocalStorageAdapter>} Opened localStorage adapter
+     * @private
+     */
+    static async _openLocalStorage() {
+        const localStorageAdapter = new LocalStorageAdapter(STORAGE_KEYS.TASKS);
+        await localStorageAdapter.open();
+        return localStorageAdapter;
+    }
+
+    /**
+     * Copy existing localStorage data into IndexedDB (runs once).
+     * The copy is read back and compared before the localStorage data is removed;
+     * if it does not match, an error is thrown and localStorage stays the backend.
+     * @param {IndexedDBAdapter} target Opened IndexedDB adapter
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _migrateFromLocalStorage(target) {
+        if (await target.getItem(LEGACY_MIGRATION_KEY)) {
+            return;
+        }
+        
+        if (LocalStorageAdapter.isSupported()) {
+            const source = new LocalStorageAdapter(STORAGE_KEYS.TASKS);
+            const tasks = await source.getTasks();
+            const values = {};
+            
+            if (tasks.length > 0) {
+                await target.saveTasks(tasks);
+            }
+            
+            for (const key of Object.values(STORAGE_KEYS)) {
+                if (key === STORAGE_KEYS.TASKS) continue;
+                
+                const value = await source.getItem(key);
+                if (value !== null) {
+                    values[key] = value;
+                    await target.setItem(key, value);
+                }
+            }
+            
+            await this._verifyMigration(target, tasks, values);
+            
+            await target.setItem(LEGACY_MIGRATION_KEY, new Date().toISOString());
             
+            // Free the localStorage quota now that IndexedDB holds the data
+            await source.clear(Object.values(STORAGE_KEYS));
+            
+            console.log(`Migrated ${tasks.length} tasks from localStorage to IndexedDB`);
+        } else {
+            await target.setItem(LEGACY_MIGRATION_KEY, new Date().toISOString());
+        }
+    }
+
+    /**
+     * Check that IndexedDB holds exactly the data copied from localStorage
+     * @param {IndexedDBAdapter} target IndexedDB adapter the data was copied to
+     * @param {Array} tasks Tasks copied from localStorage
+     * @param {Object} values Other values copied from localStorage, by storage key
+     * @returns {Promise<void>}
+     * @throws {Error} If any copied value does not read back the same
+     * @private
+     */
+    static async _verifyMigration(target, tasks, values) {
+        const copiedTasks = await target.getTasks();
+        const copiedById = new Map(copiedTasks.map(task => [task.id, JSON.stringify(task)]));
+        
+        if (copiedTasks.length !== tasks.length ||
+            tasks.some(task => copiedById.get(task.id) !== JSON.stringify(task))) {
+            throw new Error('Tasks copied to IndexedDB do not match localStorage');
+        }
+        
+        for (const [key, value] of Object.entries(values)) {
+            const copied = await target.getItem(key);
+            if (JSON.stringify(copied) !== JSON.stringify(value)) {
+                throw new Error(`${key} copied to IndexedDB does not match localStorage`);
+            }
+        }
+    }
+
+    /**
+     * Read a cached value
+     * @param {string} key Storage key
+     * @returns {*} Copy of the cached value or null if none
+     * @private
+     */
+    static _read(key) {
+        return clone(cache[key]);
+    }
+
+    /**
+     * Update a cached value and persist it in the background
+     * @param {string} key Storage key
+     * @param {*} value Value to store
+     * @returns {boolean} True if the value was accepted
+     * @private
+     */
+    static _write(key, value) {
+        if (!adapter) {
+            console.error(`Cannot save ${key}: storage not initialized`);
             return false;
         }
+        
+        cache[key] = clone(value);
+        localWriteCounts[key] = (localWriteCounts[key] || 0) + 1;
+        
+        // Other tabs reload the value once it is persisted
+        this._persist(key, async () => {
+            await (key === STORAGE_KEYS.TASKS ?
+                adapter.saveTasks(cache[key]) :
+                adapter.setItem(key, cache[key]));
+            this._announceWrite(key);
+        });
+        
+        return true;
+    }
+
+    /**
+     * Queue a background write
+     * @param {string} key Storage key being written (for error reporting)
+     * @param {Function} operation Function returning a Promise that performs the write
+     * @private
+     */
+    static _persist(key, operation) {
+        pendingWrite = pendingWrite
+            .then(operation)
+            .catch(error => this._handleWriteError(key, error));
+    }
+
+    /**
+     * Handle a failed background write
+     * @param {string} key Storage key that failed to save
+     * @param {Error} error Error thrown by the adapter
+     * @private
+     */
+    static _handleWriteError(key, error) {
+        console.error(`Error saving ${key} to storage:`, error);
+        
+        // Handle storage quota exceeded error
+        if (error && (error.name === 'QuotaExceededError' || error.code === 22)) {
+            if (typeof document !== 'undefined') {
+                // The settings storage panel offers compaction
+                document.dispatchEvent(new CustomEvent('storage-quota-exceeded', { detail: { key } }));
+            } else {
+                alert('Storage full. Please export your data to continue using the app.');
+            }
+        }
+    }
+
+    /**
+     * Get all tasks from storage
+     * @returns {Array} Array of task objects, or empty array if none found
+     */
+    static getTasks() {
+        return this._read(STORAGE_KEYS.TASKS) || [];
+    }
+
+    /**
+     * Save tasks to storage
+     * @param {Array} tasks Array of task objects
+     * @returns {boolean} True if the tasks were accepted for saving
+     */
+    static saveTasks(tasks) {
+        return this._write(STORAGE_KEYS.TASKS, tasks);
     }
 
     /**
@@ -133,36 +570,143 @@ export class StorageManager {
         return false;
     }
 
+    /**
+     * Get deleted tasks from the trash
+     * @returns {Array} Array of { task, deletedAt } entries, or empty array if none found
+     */
+    static getTrash() {
+        return this._read(STORAGE_KEYS.TRASH) || [];
+    }
+
+    /**
+     * Save the trash
+     * @param {Array} entries Array of { task, deletedAt } entries
+     * @returns {boolean} True if the trash was accepted for saving
+     */
+    static saveTrash(entries) {
+        return this._write(STORAGE_KEYS.TRASH, entries);
+    }
+
+    /**
+     * Get the summaries of archived completed tasks
+     * @returns {Array} Array of archived task summaries, or empty array if none found
+     */
+    static getArchive() {
+        return this._read(STORAGE_KEYS.ARCHIVE) || [];
+    }
+
+    /**
+     * Save the archive of completed task summaries
+     * @param {Array} archive Array of archived task summaries
+     * @returns {boolean} True if the archive was accepted for saving
+     */
+    static saveArchive(archive) {
+        return this._write(STORAGE_KEYS.ARCHIVE, archive);
+    }
+
+    /**
+     * Get projects from storage
+     * @returns {Array} Array of project objects, or empty array if none found
+     */
+    static getProjects() {
+        return this._read(STORAGE_KEYS.PROJECTS) || [];
+    }
+
+    /**
+     * Save projects to storage
+     * @param {Array} projects Array of project objects
+     * @returns {boolean} True if the projects were accepted for saving
+     */
+    static saveProjects(projects) {
+        return this._write(STORAGE_KEYS.PROJECTS, projects);
+    }
+
+    /**
+     * Get saved searches from storage
+     * @returns {Array} Array of { id, name, query }, or empty array if none found
+     */
+    static getSmartLists() {
+        return this._read(STORAGE_KEYS.SMART_LISTS) || [];
+    }
+
+    /**
+     * Save the saved searches
+     * @param {Array} smartLists Array of { id, name, query }
+     * @returns {boolean} True if the smart lists were accepted for saving
+     */
+    static saveSmartLists(smartLists) {
+        return this._write(STORAGE_KEYS.SMART_LISTS, smartLists);
+    }
+
+    /**
+     * Get the manual order of the task lists
+     * @returns {Object} Map of list key to array of task IDs, or empty object if none found
+     */
+    static getTaskOrder() {
+        return this._read(STORAGE_KEYS.TASK_ORDER) || {};
+    }
+
+    /**
+     * Save the manual order of the task lists
+     * @param {Object} taskOrder Map of list key to array of task IDs
+     * @returns {boolean} True if the order was accepted for saving
+     */
+    static saveTaskOrder(taskOrder) {
+        return this._write(STORAGE_KEYS.TASK_ORDER, taskOrder);
+    }
+
+    /**
+     * Get task templates from storage
+     * @returns {Array} Array of template objects, or empty array if none found
+     */
+    static getTemplates() {
+        return this._read(STORAGE_KEYS.TEMPLATES) || [];
+    }
+
+    /**
+     * Save task templates to storage
+     * @param {Array} templates Array of template objects
+     * @returns {boolean} True if the templates were accepted for saving
+     */
+    static saveTemplates(templates) {
+        return this._write(STORAGE_KEYS.TEMPLATES, templates);
+    }
+
+    /**
+     * Get the saved state of the running or paused timer
+     * @returns {Object|null} Timer state, or null if no timer was running
+     */
+    static getTimerState() {
+        return this._read(STORAGE_KEYS.TIMER_STATE);
+    }
+
+    /**
+     * Save the state of the timer
+     * @param {Object|null} timerState Timer state, or null once the timer stopped
+     * @returns {boolean} True if the state was accepted for saving
+     */
+    static saveTimerState(timerState) {
+        return this._write(STORAGE_KEYS.TIMER_STATE, timerState);
+    }
+
     /**
      * Get app settings from storage
      * @returns {Object} Settings object or default settings if none found
      */
     static getSettings() {
-        try {
-            const settingsJson = localStorage.getItem(STORAGE_KEYS.SETTINGS);
-            const savedSettings = settingsJson ? JSON.parse(settingsJson) : {};
-            
-            // Merge with default settings to ensure all properties exist
-            return { ...DEFAULT_SETTINGS, ...savedSettings };
-        } catch (error) {
-            console.error('Error retrieving settings from storage:', error);
-            return { ...DEFAULT_SETTINGS };
-        }
+        const savedSettings = this._read(STORAGE_KEYS.SETTINGS) || {};
+        
+        // Merge with default settings to ensure all properties exist
+        return { ...DEFAULT_SETTINGS, ...savedSettings };
     }
 
     /**
      * Save app settings to storage
      * @param {Object} settings Settings object
-     * @returns {boolean} True if successful
+     * @returns {boolean} True if the settings were accepted for saving
      */
     static saveSettings(settings) {
-        try {
-            localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
-            return true;
-        } catch (error) {
-            console.error('Error saving settings to storage:', error);
-            return false;
-        }
+        return this._write(STORAGE_KEYS.SETTINGS, settings);
     }
 
     /**
@@ -170,9 +714,7 @@ export class StorageManager {
      * @returns {Object} Analytics data object or empty object if none found
      */
     static getAnalytics() {
-        try {
-            const analyticsJson = localStorage.getItem(STORAGE_KEYS.ANALYTICS);
-            return analyticsJson ? JSON.parse(analyticsJson) : {
+        return this._read(STORAGE_KEYS.ANALYTICS) || {
                 totalFocusTime: 0,
                 totalBreakTime: 0,
                 completedTasks: 0,
@@ -180,27 +722,17 @@ export class StorageManager {
                 abandonedSessions: 0,
                 dailyStats: {},
                 weeklyStats: {},
-                monthlyStats: {}
-            };
-        } catch (error) {
-            console.error('Error retrieving analytics from storage:', error);
-            return {};
-        }
+            monthlyStats: {}
+        };
     }
 
     /**
      * Save analytics data to storage
      * @param {Object} analytics Analytics data object
-     * @returns {boolean} True if successful
+     * @returns {boolean} True if the analytics were accepted for saving
      */
     static saveAnalytics(analytics) {
-        try {
-            localStorage.setItem(STORAGE_KEYS.ANALYTICS, JSON.stringify(analytics));
-            return true;
-        } catch (error) {
-            console.error('Error saving analytics to storage:', error);
-            return false;
-        }
+        return this._write(STORAGE_KEYS.ANALYTICS, analytics);
     }
 
     /**
@@ -208,28 +740,16 @@ export class StorageManager {
      * @returns {Array} Array of notification objects or empty array if none found
      */
     static getNotificationHistory() {
-        try {
-            const notificationsJson = localStorage.getItem(STORAGE_KEYS.NOTIFICATION_HISTORY);
-            return notificationsJson ? JSON.parse(notificationsJson) : [];
-        } catch (error) {
-            console.error('Error retrieving notification history from storage:', error);
-            return [];
-        }
+        return this._read(STORAGE_KEYS.NOTIFICATION_HISTORY) || [];
     }
 
     /**
      * Save notification history to storage
      * @param {Array} notifications Array of notification objects
-     * @returns {boolean} True if successful
+     * @returns {boolean} True if the notifications were accepted for saving
      */
     static saveNotificationHistory(notifications) {
-        try {
-            localStorage.setItem(STORAGE_KEYS.NOTIFICATION_HISTORY, JSON.stringify(notifications));
-            return true;
-        } catch (error) {
-            console.error('Error saving notification history to storage:', error);
-            return false;
-        }
+        return this._write(STORAGE_KEYS.NOTIFICATION_HISTORY, notifications);
     }
 
     /**
@@ -245,7 +765,7 @@ export class StorageManager {
         });
         
         // Keep only the last 50 notifications to prevent storage overflow
-        const trimmedNotifications = notifications.slice(-50);
+        const trimmedNotifications = notifications.slice(-MAX_NOTIFICATIONS);
         return this.saveNotificationHistory(trimmedNotifications);
     }
 
@@ -267,6 +787,13 @@ export class StorageManager {
             settings: this.getSettings(),
             analytics: this.getAnalytics(),
             notifications: this.getNotificationHistory(),
+            trash: this.getTrash(),
+            archive: this.getArchive(),
+            projects: this.getProjects(),
+            smartLists: this.getSmartLists(),
+            taskOrder: this.getTaskOrder(),
+            templates: this.getTemplates(),
+            schemaVersion: SCHEMA_VERSION,
             exportDate: new Date().toISOString()
         };
         
@@ -274,33 +801,211 @@ export class StorageManager {
     }
 
     /**
-     * Import app data from a JSON string
+     * Get the stored snapshots without their data, newest first
+     * @returns {Array} Array of { id, createdAt, reason, taskCount, size }
+     */
+    static getSnapshots() {
+        return (this._read(STORAGE_KEYS.SNAPSHOTS) || [])
+            .map(({ data, ...info }) => info)
+            .reverse();
+    }
+
+    /**
+     * Check whether the current data is small enough to be snapshotted
+     * @returns {boolean} True if createSnapshot() can keep a snapshot
+     */
+    static canSnapshot() {
+        return fitsSnapshotCap(this.exportData().length, this.getBackendName());
+    }
+
+    /**
+     * Save a snapshot of all app data.
+     * Old snapshots are dropped when the count or size cap is reached. If the
+     * data alone is over the size cap, the existing snapshots are left as they are.
+     * @param {string} reason One of SnapshotReason
+     * @returns {boolean} True if the snapshot was accepted for saving
+     */
+    static createSnapshot(reason) {
+        const snapshot = createSnapshot(this.exportData(), reason, this.getTasks().length);
+        
+        if (!fitsSnapshotCap(snapshot.size, this.getBackendName())) {
+            console.warn(`Skipped ${reason} snapshot: ${snapshot.size} characters is over the size cap`);
+            return false;
+        }
+        
+        const snapshots = this._read(STORAGE_KEYS.SNAPSHOTS) || [];
+        snapshots.push(snapshot);
+        
+        console.log(`Created ${reason} snapshot with ${snapshot.taskCount} tasks`);
+        return this._write(STORAGE_KEYS.SNAPSHOTS, trimSnapshots(snapshots, this.getBackendName()));
+    }
+
+    /**
+     * Replace all app data with a snapshot.
+     * The current data is snapshotted first, so the restore can be rolled back too.
+     * @param {string} snapshotId Snapshot ID
+     * @param {Object} options Restore options
+     * @param {boolean} options.allowWithoutSnapshot Restore even if the current data can't be snapshotted
+     * @returns {boolean} True if successful
+     */
+    static restoreSnapshot(snapshotId, options = {}) {
+        const snapshot = (this._read(STORAGE_KEYS.SNAPSHOTS) || []).find(s => s.id === snapshotId);
+        
+        if (!snapshot) {
+            console.error(`Snapshot ${snapshotId} not found`);
+            return false;
+        }
+        
+        return this.importData(snapshot.data, {
+            mode: IMPORT_MODES.REPLACE,
+            snapshotReason: SnapshotReason.RESTORE,
+            allowWithoutSnapshot: options.allowWithoutSnapshot
+        });
+    }
+
+    /**
+     * Parse and validate an export, migrating it to the current schema
      * @param {string} jsonData JSON string with app data
+     * @returns {Object} Migrated import data
+     * @throws {Error} If the data is invalid or cannot be migrated
+     * @private
+     */
+    static _parseImport(jsonData) {
+        const parsed = JSON.parse(jsonData);
+        
+        // Validate data structure
+        if (!parsed.tasks || !Array.isArray(parsed.tasks)) {
+            throw new Error('Invalid tasks data');
+        }
+        
+        if (parsed.tasks.some(task => !task || !task.id)) {
+            throw new Error('Every imported task needs an id');
+        }
+        
+        return migrateData(parsed, parsed.schemaVersion || 0);
+    }
+
+    /**
+     * Preview a merge import without writing anything
+     * @param {string} jsonData JSON string with app data
+     * @returns {Array|null} Merge items (see ImportMerger.buildMergePlan) or null if the data is invalid
+     */
+    static previewImport(jsonData) {
+        try {
+            const data = this._parseImport(jsonData);
+            return buildMergePlan(this.getTasks(), data.tasks);
+        } catch (error) {
+            console.error('Error previewing import:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Import app data from a JSON string.
+     * Exports from older versions are migrated to the current schema first;
+     * nothing is written if the migration fails.
+     * 
+     * In replace mode (the default) all local data is overwritten. In merge mode
+     * tasks are merged by id: local-only tasks are kept, and the imported version
+     * of a task is only used if its id is in options.acceptedIds. Local settings
+     * and analytics are kept and notification histories are combined.
+     * 
+     * @param {string} jsonData JSON string with app data
+     * @param {Object} options Import options
+     * @param {string} options.mode 'replace' or 'merge'
+     * @param {Array<string>} options.acceptedIds Task ids to take from the import (merge mode)
+     * @param {string} options.snapshotReason Reason recorded on the snapshot taken before importing
+     * @param {boolean} options.allowWithoutSnapshot Import even if the current data can't be snapshotted
+     *                  (callers ask the user first, see canSnapshot())
      * @returns {boolean} True if successful
      */
-    static importData(jsonData) {
+    static importData(jsonData, options = {}) {
+        const {
+            mode = IMPORT_MODES.REPLACE,
+            acceptedIds = [],
+            snapshotReason = SnapshotReason.IMPORT,
+            allowWithoutSnapshot = false
+        } = options;
+        
         try {
-            const data = JSON.parse(jsonData);
+            const data = this._parseImport(jsonData);
             
-            // Validate data structure
-            if (!data.tasks || !Array.isArray(data.tasks)) {
-                throw new Error('Invalid tasks data');
+            // Keep a way back before anything is overwritten
+            if (!this.createSnapshot(snapshotReason) && !allowWithoutSnapshot) {
+                console.error('Import cancelled: the current data could not be snapshotted');
+                return false;
             }
             
-            // Import each data category
-            this.saveTasks(data.tasks);
-            
-            if (data.settings) {
-                this.saveSettings(data.settings);
+            if (mode === IMPORT_MODES.MERGE) {
+                const localTasks = this.getTasks();
+                const plan = buildMergePlan(localTasks, data.tasks);
+                
+                this.saveTasks(applyMergePlan(localTasks, plan, new Set(acceptedIds)));
+                
+                // Add imported projects, smart lists and templates the local data doesn't have yet
+                if (data.projects && Array.isArray(data.projects)) {
+                    this.saveProjects(mergeById(this.getProjects(), data.projects));
+                }
+                
+                if (data.smartLists && Array.isArray(data.smartLists)) {
+                    this.saveSmartLists(mergeById(this.getSmartLists(), data.smartLists));
+                }
+                
+                if (data.templates && Array.isArray(data.templates)) {
+                    this.saveTemplates(mergeById(this.getTemplates(), data.templates));
+                }
+                
+                // Keep the local order of lists that have one
+                if (data.taskOrder && typeof data.taskOrder === 'object') {
+                    this.saveTaskOrder({ ...data.taskOrder, ...this.getTaskOrder() });
+                }
+                
+                if (data.notifications && Array.isArray(data.notifications)) {
+                    this.saveNotificationHistory(mergeNotifications(
+                        this.getNotificationHistory(), data.notifications, MAX_NOTIFICATIONS));
+                }
+            } else {
+                // Import each data category
+                this.saveTasks(data.tasks);
+                
+                if (data.settings) {
+                    this.saveSettings(data.settings);
+                }
+                
+                if (data.analytics) {
+                    this.saveAnalytics(data.analytics);
+                }
+                
+                if (data.notifications && Array.isArray(data.notifications)) {
+                    this.saveNotificationHistory(data.notifications);
+                }
+                
+                if (data.trash && Array.isArray(data.trash)) {
+                    this.saveTrash(data.trash);
+                }
+                
+                if (data.archive && Array.isArray(data.archive)) {
+                    this.saveArchive(data.archive);
+                }
+                
+                if (data.projects && Array.isArray(data.projects)) {
+                    this.saveProjects(data.projects);
+                }
+                
+                if (data.smartLists && Array.isArray(data.smartLists)) {
+                    this.saveSmartLists(data.smartLists);
+                }
+                
+                if (data.taskOrder && typeof data.taskOrder === 'object') {
+                    this.saveTaskOrder(data.taskOrder);
+                }
+                
+                if (data.templates && Array.isArray(data.templates)) {
+                    this.saveTemplates(data.templates);
+                }
             }
             
-            if (data.analytics) {
-                this.saveAnalytics(data.analytics);
-            }
-            
-            if (data.notifications && Array.isArray(data.notifications)) {
-                this.saveNotificationHistory(data.notifications);
-            }
+            this._write(STORAGE_KEYS.SCHEMA_VERSION, SCHEMA_VERSION);
             
             return true;
         } catch (error) {
@@ -314,32 +1019,85 @@ export class StorageManager {
      * @returns {number} Approximate storage usage in bytes
      */
     static getStorageUsage() {
-        let totalSize = 0;
+        const usage = this.getStorageUsageByKey();
+        return Object.values(usage).reduce((total, size) => total + size, 0);
+    }
+
+    /**
+     * Calculate the approximate storage usage of each storage key
+     * @returns {Object} Storage key -> approximate size in bytes
+     */
+    static getStorageUsageByKey() {
+        const usage = {};
         
-        for (const key in STORAGE_KEYS) {
-            const data = localStorage.getItem(STORAGE_KEYS[key]) || '';
-            totalSize += data.length * 2; // Approximate size in bytes (2 bytes per character)
+        for (const key of Object.values(STORAGE_KEYS)) {
+            usage[key] = this.estimateSize(cache[key]);
         }
         
-        return totalSize;
+        return usage;
     }
 
     /**
-     * Clear all app data from storage
-     * @returns {boolean} True if successful
+     * Estimate the stored size of a value
+     * @param {*} value JSON-compatible value
+     * @returns {number} Approximate size in bytes (2 bytes per character)
+     */
+    static estimateSize(value) {
+        const data = value === null || value === undefined ? '' : JSON.stringify(value);
+        return data.length * 2;
+    }
+
+    /**
+     * Ask the browser how much storage the app uses and may use
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null if the browser can't tell
      */
-    static clearAllData() {
+    static async getQuotaEstimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        
         try {
-            for (const key in STORAGE_KEYS) {
-                localStorage.removeItem(STORAGE_KEYS[key]);
-            }
-            return true;
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
         } catch (error) {
-            console.error('Error clearing data:', error);
+            console.error('Error estimating storage quota:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Clear all app data from storage.
+     * Snapshots are kept, including one taken just before clearing.
+     * @param {Object} options Clear options
+     * @param {boolean} options.allowWithoutSnapshot Clear even if the current data can't be snapshotted
+     * @returns {boolean} True if successful
+     */
+    static clearAllData(options = {}) {
+        if (!adapter) {
+            return false;
+        }
+        
+        if (!this.createSnapshot(SnapshotReason.CLEAR) && !options.allowWithoutSnapshot) {
+            console.error('Clear cancelled: the current data could not be snapshotted');
             return false;
         }
+        
+        const keys = Object.values(STORAGE_KEYS).filter(key => key !== STORAGE_KEYS.SNAPSHOTS);
+        keys.forEach(key => {
+            cache[key] = key === STORAGE_KEYS.TASKS ? [] : null;
+            localWriteCounts[key] = (localWriteCounts[key] || 0) + 1;
+        });
+        
+        this._persist('all data', async () => {
+            await adapter.clear(keys);
+            keys.forEach(key => this._announceWrite(key));
+        });
+        
+        // An empty store is already at the current schema
+        this._write(STORAGE_KEYS.SCHEMA_VERSION, SCHEMA_VERSION);
+        return true;
     }
 }
 
 // Export storage keys as well for use in other modules
-export { STORAGE_KEYS, DEFAULT_SETTINGS };
\ No newline at end of file
+export { STORAGE_KEYS, DEFAULT_SETTINGS, SCHEMA_VERSION, IMPORT_MODES, SnapshotReason };
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * TabSyncService.js
+ *
+ * Service for messaging between tabs of the app opened in the same browser.
+ * Uses a BroadcastChannel when available and falls back to localStorage
+ * `storage` events in older browsers.
+ */
+
+// Name of the broadcast channel and of the fallback localStorage key
+const CHANNEL_NAME = 'pomodoro_sync';
+
+/**
+ * Generates a unique ID for this tab
+ * @returns {string} Unique ID
+ */
+function generateTabId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+// Identifier of this tab, included in every message
+const tabId = generateTabId();
+
+// Message handlers by message type
+const handlers = {};
+
+// Active transport (BroadcastChannel or null when using storage events)
+let channel = null;
+let initialized = false;
+
+/**
+ * TabSyncService class for cross-tab messaging
+ */
+export class TabSyncService {
+    /**
+     * Get the identifier of this tab
+     * @returns {string} Tab ID
+     */
+    static getTabId() {
+        return tabId;
+    }
+
+    /**
+     * Start listening for messages from other tabs
+     */
+    static init() {
+        if (initialized) return;
+        initialized = true;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            channel = new BroadcastChannel(CHANNEL_NAME);
+            channel.onmessage = (e) => this._dispatch(e.data);
+        } else if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (e) => {
+                if (e.key === CHANNEL_NAME && e.newValue) {
+                    try {
+                        this._dispatch(JSON.parse(e.newValue));
+                    } catch (error) {
+                        console.error('Invalid sync message:', error);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Send a message to all other tabs
+     * @param {string} type Message type
+     * @param {Object} payload Message data
+     */
+    static post(type, payload = {}) {
+        this.init();
+
+        const message = { type, payload, tabId, sentAt: Date.now() };
+
+        try {
+            if (channel) {
+                channel.postMessage(message);
+            } else if (typeof localStorage !== 'undefined') {
+                // The storage event only fires in other tabs, and only when the value changes,
+                // so sentAt and a random nonce make every message unique
+                localStorage.setItem(CHANNEL_NAME, JSON.stringify({ ...message, nonce: Math.random() }));
+            }
+        } catch (error) {
+            console.error('Error sending sync message:', error);
+        }
+    }
+
+    /**
+     * Register a handler for a message type
+     * @param {string} type Message type
+     * @param {Function} handler Called with (payload, senderTabId)
+     */
+    static on(type, handler) {
+        this.init();
+
+        handlers[type] = handlers[type] || [];
+        handlers[type].push(handler);
+    }
+
+    /**
+     * Call the handlers registered for a message
+     * @param {Object} message Message from another tab
+     * @private
+     */
+    static _dispatch(message) {
+        if (!message || message.tabId === tabId) return;
+
+        (handlers[message.type] || []).forEach(handler => {
+            try {
+                handler(message.payload, message.tabId);
+            } catch (error) {
+                console.error(`Error handling sync message ${message.type}:`, error);
+            }
+        });
+    }
+}
@@ -12,6 +12,9 @@ let timeLeft = 0;
 let pausedTime = null;
 let originalDuration = 0;
 
+// Timestamp (ms) the overtime count started at, while counting up past zero
+let overtimeStart = null;
+
 // The last time we sent a tick event
 let lastTickTime = null;
 let tickInterval = 1000; // 1 second in milliseconds
@@ -24,7 +27,7 @@ self.onmessage = function(e) {
     
     switch (command) {
         case 'start':
-            startTimer(e.data.duration);
+            startTimer(e.data.duration, e.data.endTime, e.data.totalDuration);
             break;
         case 'pause':
             pauseTimer();
@@ -35,6 +38,9 @@ self.onmessage = function(e) {
         case 'stop':
             stopTimer();
             break;
+        case 'overtime':
+            startOvertime(e.data.since);
+            break;
         case 'getTimeLeft':
             getTimeLeft();
             break;
@@ -44,22 +50,27 @@ self.onmessage = function(e) {
 /**
  * Start the timer with the given duration
  * @param {number} duration Duration in seconds
+ * @param {number} endTime Optional timestamp (ms) the countdown ends at
+ * @param {number} totalDuration Optional full length of the session in seconds, for the progress
  */
-function startTimer(duration) {
+function startTimer(duration, endTime = null, totalDuration = null) {
     // Clear any existing timer
     stopTimer();
     
     // Set initial values
     timeLeft = duration;
-    originalDuration = duration;
-    startTime = Date.now();
-    lastTickTime = startTime;
+    originalDuration = totalDuration || duration;
+    
+    // Count from the end time, so a timer resumed after a reload ends when it was due to
+    const end = endTime || Date.now() + duration * 1000;
+    startTime = end - originalDuration * 1000;
+    lastTickTime = Date.now();
     
     // Notify main thread of initial state
     self.postMessage({
         type: 'tick',
         timeLeft: timeLeft,
-        progress: 100, // Start at 100%
+        progress: (timeLeft / originalDuration) * 100,
         originalDuration: originalDuration
     });
     
@@ -67,6 +78,26 @@ function startTimer(duration) {
     timer = setInterval(timerTick, 100); // Check time every 100ms for accuracy
 }
 
+/**
+ * Count up from the end of a session until it is stopped
+ * @param {number} since Timestamp (ms) the session ended at
+ */
+function startOvertime(since) {
+    if (timer) {
+        clearInterval(timer);
+    }
+    
+    overtimeStart = since || Date.now();
+    lastTickTime = Date.now();
+    
+    self.postMessage({
+        type: 'overtime',
+        overtime: Math.max(0, Math.floor((Date.now() - overtimeStart) / 1000))
+    });
+    
+    timer = setInterval(overtimeTick, 100);
+}
+
 /**
  * Pause the timer
  */
@@ -130,6 +161,7 @@ function stopTimer() {
     timeLeft = 0;
     pausedTime = null;
     originalDuration = 0;
+    overtimeStart = null;
     
     // Notify main thread - add isInitialState flag if called during initialization
     self.postMessage({
@@ -190,4 +222,21 @@ function timerTick() {
             originalDuration: originalDuration
         });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Overtime tick callback function
+ * Sends the seconds counted past the end of the session
+ */
+function overtimeTick() {
+    const now = Date.now();
+    
+    if (now - lastTickTime >= tickInterval) {
+        lastTickTime = now;
+        
+        self.postMessage({
+            type: 'overtime',
+            overtime: Math.max(0, Math.floor((now - overtimeStart) / 1000))
+        });
+    }
+}
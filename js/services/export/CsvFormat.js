@@ -0,0 +1,264 @@
+/**
+ * CsvFormat.js
+ *
+ * Converts tasks to and from CSV.
+ * Each task is written as one "task" row, followed by one "session" row per
+ * completed session, so the file opens cleanly in a spreadsheet. Task notes
+ * and session logs are kept as multi-line quoted fields. The session plan is
+ * flattened into one column per plan field.
+ */
+
+import { Task, SessionType } from '../../models/Task.js';
+
+// Session plan fields written as task columns
+const PLAN_COLUMNS = [
+    'longBreakDuration',
+    'longBreakInterval',
+    'warmUpDuration',
+    'coolDownDuration',
+    'finalSessionRule',
+    'mergeThreshold'
+];
+
+// Column order of the CSV file
+const COLUMNS = [
+    'record',
+    'taskId',
+    'name',
+    'status',
+    'priority',
+    'startDate',
+    'startTime',
+    'dueDate',
+    'dueTime',
+    'estimatedDuration',
+    'focusDuration',
+    'breakDuration',
+    'procrastinationMode',
+    'longBreakDuration',
+    'longBreakInterval',
+    'warmUpDuration',
+    'coolDownDuration',
+    'finalSessionRule',
+    'mergeThreshold',
+    'tags',
+    'completedSessions',
+    'totalSessions',
+    'timeSpent',
+    'sessionId',
+    'sessionType',
+    'sessionDuration',
+    'notes',
+    'sessionLog'
+];
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value Field value
+ * @returns {string} CSV-safe field
+ */
+function escapeField(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Convert tasks to CSV
+ * @param {Array} tasks Array of task objects
+ * @returns {string} CSV text
+ */
+export function tasksToCsv(tasks) {
+    const lines = [COLUMNS.join(',')];
+
+    tasks.forEach(task => {
+        const timerSettings = task.timerSettings || {};
+        const progress = task.progress || {};
+
+        const taskRow = {
+            record: 'task',
+            taskId: task.id,
+            name: task.name,
+            status: task.status,
+            priority: task.priority,
+            startDate: task.startDate,
+            startTime: task.startTime,
+            dueDate: task.dueDate,
+            dueTime: task.dueTime,
+            estimatedDuration: task.estimatedDuration,
+            focusDuration: timerSettings.focusDuration,
+            breakDuration: timerSettings.breakDuration,
+            procrastinationMode: task.procrastinationMode ? 'true' : 'false',
+            ...(task.sessionPlan || {}),
+            tags: (task.tags || []).join(';'),
+            completedSessions: progress.completedSessions,
+            totalSessions: progress.totalSessions,
+            timeSpent: progress.timeSpent,
+            notes: task.notes
+        };
+        lines.push(COLUMNS.map(column => escapeField(taskRow[column])).join(','));
+
+        (task.sessions || [])
+            .filter(session => session.completed)
+            .forEach(session => {
+                const sessionRow = {
+                    record: 'session',
+                    taskId: task.id,
+                    sessionId: session.id,
+                    sessionType: session.type,
+                    sessionDuration: session.duration,
+                    sessionLog: session.log
+                };
+                lines.push(COLUMNS.map(column => escapeField(sessionRow[column])).join(','));
+            });
+    });
+
+    return lines.join('\r\n');
+}
+
+/**
+ * Convert CSV produced by tasksToCsv() back into task objects
+ * @param {string} text CSV text
+ * @returns {Array} Array of task objects
+ * @throws {Error} If the CSV is missing required columns
+ */
+export function csvToTasks(text) {
+    const rows = parseRows(text);
+    if (rows.length === 0) {
+        throw new Error('CSV file is empty');
+    }
+
+    const header = rows[0].map(column => column.trim());
+    ['record', 'taskId', 'name'].forEach(column => {
+        if (!header.includes(column)) {
+            throw new Error(`CSV is missing the "${column}" column`);
+        }
+    });
+
+    const records = rows.slice(1).map(fields => {
+        const record = {};
+        header.forEach((column, index) => {
+            record[column] = fields[index] !== undefined ? fields[index] : '';
+        });
+        return record;
+    });
+
+    const number = (value, fallback) => value === '' || isNaN(Number(value)) ? fallback : Number(value);
+
+    return records
+        .filter(record => record.record === 'task')
+        .map(record => {
+            const focusDuration = number(record.focusDuration, 25);
+            const breakDuration = number(record.breakDuration, 5);
+
+            // Plan fields missing from older files keep their defaults
+            const sessionPlan = {};
+            PLAN_COLUMNS.forEach(column => {
+                if (record[column]) sessionPlan[column] = record[column];
+            });
+
+            const task = new Task({
+                id: record.taskId,
+                name: record.name,
+                status: record.status || undefined,
+                priority: record.priority || undefined,
+                startDate: record.startDate || null,
+                startTime: record.startTime || null,
+                dueDate: record.dueDate || null,
+                dueTime: record.dueTime || null,
+                estimatedDuration: number(record.estimatedDuration, 1),
+                timerSettings: {
+                    focusDuration,
+                    breakDuration,
+                    useCustomTimer: focusDuration !== 25 || breakDuration !== 5
+                },
+                procrastinationMode: record.procrastinationMode === 'true',
+                sessionPlan,
+                tags: record.tags ? record.tags.split(';').filter(Boolean) : [],
+                notes: record.notes || ''
+            });
+
+            // Only completed sessions are exported, in session order. Match each row to
+            // the next regenerated session of the same type, so skipped breaks stay open.
+            const completedRows = records.filter(row => row.record === 'session' && row.taskId === record.taskId);
+            const completedSessions = [];
+            let nextIndex = 0;
+
+            completedRows.forEach(row => {
+                const type = row.sessionType || SessionType.FOCUS;
+                const index = task.sessions.findIndex((session, i) => i >= nextIndex && session.type === type);
+                if (index === -1) return;
+
+                const session = task.sessions[index];
+                session.id = row.sessionId || session.id;
+                session.duration = number(row.sessionDuration, session.duration);
+                session.completed = true;
+                if (row.sessionLog) {
+                    session.log = row.sessionLog;
+                }
+
+                completedSessions.push(session);
+                nextIndex = index + 1;
+            });
+
+            task.progress = {
+                completedSessions: number(record.completedSessions,
+                    completedSessions.filter(s => s.type === SessionType.FOCUS).length),
+                totalSessions: task.getFocusSessionCount(),
+                currentSession: nextIndex,
+                timeSpent: number(record.timeSpent,
+                    completedSessions.reduce((total, session) => total + session.duration, 0))
+            };
+
+            return task.toObject();
+        });
+}
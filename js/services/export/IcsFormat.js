@@ -0,0 +1,344 @@
+/**
+ * IcsFormat.js
+ *
+ * Converts tasks to and from iCalendar (.ics).
+ * Every scheduled focus session becomes one VEVENT, timed the same way the
+ * calendar view lays sessions out: from the task start, one after another.
+ */
+
+import { Task, SessionType } from '../../models/Task.js';
+
+// Maximum length of a content line in octets, line break excluded (RFC 5545)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Pad a number to two digits
+ * @param {number} value Number to pad
+ * @returns {string} Padded string
+ */
+function pad(value) {
+    return value.toString().padStart(2, '0');
+}
+
+/**
+ * Format a date as an iCalendar local date-time (YYYYMMDDTHHMMSS)
+ * @param {Date} date Date to format
+ * @returns {string} iCalendar date-time
+ */
+function formatDateTime(date) {
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Format a date as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date Date to format
+ * @returns {string} iCalendar date-time
+ */
+function formatUtcDateTime(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Parse an iCalendar date or date-time into a local Date
+ * @param {string} value iCalendar value (e.g. 20250510T123000 or 20250510T123000Z)
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDateTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', utc] = match;
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+
+    return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Reverse escapeText()
+ * @param {string} text Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => char.toLowerCase() === 'n' ? '\n' : char);
+}
+
+/**
+ * Get the number of UTF-8 octets of a code point
+ * @param {number} codePoint Unicode code point
+ * @returns {number} Octet count (1 to 4)
+ */
+function getUtf8Length(codePoint) {
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    if (codePoint < 0x10000) return 3;
+    return 4;
+}
+
+/**
+ * Fold a content line to 75 octets of UTF-8 as required by RFC 5545.
+ * Continuation lines start with a space that counts toward their length,
+ * and a character is never split across two lines.
+ * @param {string} line Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+
+    // for...of walks whole code points, so surrogate pairs stay together
+    for (const char of line) {
+        const length = getUtf8Length(char.codePointAt(0));
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (octets + length > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            octets = 0;
+        }
+
+        chunk += char;
+        octets += length;
+    }
+
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Get the scheduled start of a task as a local Date
+ * @param {Object} task Task object
+ * @returns {Date|null} Start date-time or null if the task is not scheduled
+ */
+function getTaskStart(task) {
+    if (!task.startDate || !task.startTime) return null;
+
+    const [year, month, day] = task.startDate.split('-').map(Number);
+    const [hours, minutes] = task.startTime.split(':').map(Number);
+
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * Convert tasks to an iCalendar file
+ * @param {Array} tasks Array of task objects
+ * @returns {string} iCalendar text
+ */
+export function tasksToIcs(tasks) {
+    // RFC 5545 requires DTSTAMP in UTC
+    const stamp = formatUtcDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Pomodoro Scheduler//EN',
+        'CALSCALE:GREGORIAN'
+    ];
+
+    tasks.forEach(task => {
+        const taskStart = getTaskStart(task);
+        if (!taskStart) return;
+
+        const sessions = task.sessions || [];
+        const focusCount = sessions.filter(s => s.type === SessionType.FOCUS).length;
+        let offsetMinutes = 0;
+        let focusIndex = 0;
+
+        sessions.forEach(session => {
+            const start = new Date(taskStart.getTime() + offsetMinutes * 60000);
+            offsetMinutes += session.duration;
+
+            if (session.type !== SessionType.FOCUS) return;
+            focusIndex++;
+
+            const end = new Date(start.getTime() + session.duration * 60000);
+            
+            // Readable description for calendar apps; the X- properties below are for re-import
+            let description = `Focus session ${focusIndex} of ${focusCount}`;
+            if (session.log) description += `\n\nSession log:\n${session.log}`;
+            if (task.notes) description += `\n\nNotes:\n${task.notes}`;
+
+            lines.push('BEGIN:VEVENT');
+            lines.push(`UID:${task.id}-${session.id}@pomodoro-scheduler`);
+            lines.push(`DTSTAMP:${stamp}`);
+            lines.push(`DTSTART:${formatDateTime(start)}`);
+            lines.push(`DTEND:${formatDateTime(end)}`);
+            lines.push(foldLine(`SUMMARY:${escapeText(task.name)}`));
+            lines.push(foldLine(`DESCRIPTION:${escapeText(description)}`));
+            if (task.tags && task.tags.length > 0) {
+                lines.push(foldLine(`CATEGORIES:${task.tags.map(escapeText).join(',')}`));
+            }
+            lines.push(`X-POMODORO-TASK-ID:${task.id}`);
+            lines.push(`X-POMODORO-SESSION-ID:${session.id}`);
+            lines.push(`X-POMODORO-PRIORITY:${task.priority}`);
+            lines.push(`X-POMODORO-COMPLETED:${session.completed ? 'TRUE' : 'FALSE'}`);
+            if (task.notes) {
+                lines.push(foldLine(`X-POMODORO-NOTES:${escapeText(task.notes)}`));
+            }
+            if (session.log) {
+                lines.push(foldLine(`X-POMODORO-SESSION-LOG:${escapeText(session.log)}`));
+            }
+            lines.push('END:VEVENT');
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n');
+}
+
+/**
+ * Read the VEVENTs of an iCalendar file
+ * @param {string} text iCalendar text
+ * @returns {Array<Object>} Events as maps of property name to value
+ */
+function parseEvents(text) {
+    // Unfold continuation lines first
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+        } else if (line === 'END:VEVENT') {
+            if (current) events.push(current);
+            current = null;
+        } else if (current) {
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            // Drop parameters such as DTSTART;TZID=...
+            const name = line.slice(0, separator).split(';')[0].toUpperCase();
+            current[name] = line.slice(separator + 1);
+        }
+    });
+
+    return events;
+}
+
+/**
+ * Convert an iCalendar file back into task objects.
+ * Events exported by this app are grouped back into their task; any other
+ * event becomes a task of its own.
+ * @param {string} text iCalendar text
+ * @returns {Array} Array of task objects
+ * @throws {Error} If the file has no calendar data
+ */
+export function icsToTasks(text) {
+    if (!text.includes('BEGIN:VCALENDAR')) {
+        throw new Error('Not an iCalendar file');
+    }
+
+    const groups = new Map();
+
+    parseEvents(text).forEach(event => {
+        const start = event.DTSTART ? parseDateTime(event.DTSTART) : null;
+        if (!start) return;
+
+        const end = event.DTEND ? parseDateTime(event.DTEND) : null;
+        const duration = end ? Math.max(1, Math.round((end - start) / 60000)) : 25;
+        const groupId = event['X-POMODORO-TASK-ID'] || event.UID || `${event.SUMMARY}-${event.DTSTART}`;
+
+        if (!groups.has(groupId)) {
+            groups.set(groupId, []);
+        }
+
+        groups.get(groupId).push({ event, start, duration });
+    });
+
+    const tasks = [];
+
+    groups.forEach((entries, groupId) => {
+        entries.sort((a, b) => a.start - b.start);
+
+        const first = entries[0];
+        const sessions = [];
+        let completedSessions = 0;
+        let timeSpent = 0;
+
+        // Rebuild focus sessions, with breaks filling the gaps between them
+        entries.forEach((entry, index) => {
+            if (index > 0) {
+                const previous = entries[index - 1];
+                const gap = Math.round((entry.start - previous.start) / 60000) - previous.duration;
+                if (gap > 0) {
+                    const previousDone = sessions[sessions.length - 1].completed;
+                    sessions.push({
+                        id: `${groupId}-break-${index}`,
+                        type: SessionType.BREAK,
+                        duration: gap,
+                        completed: previousDone && entry.event['X-POMODORO-COMPLETED'] === 'TRUE'
+                    });
+                }
+            }
+
+            const completed = entry.event['X-POMODORO-COMPLETED'] === 'TRUE';
+            const session = {
+                id: entry.event['X-POMODORO-SESSION-ID'] || `${groupId}-focus-${index}`,
+                type: SessionType.FOCUS,
+                duration: entry.duration,
+                completed
+            };
+            if (entry.event['X-POMODORO-SESSION-LOG']) {
+                session.log = unescapeText(entry.event['X-POMODORO-SESSION-LOG']);
+            }
+            sessions.push(session);
+
+            if (completed) {
+                completedSessions++;
+            }
+        });
+
+        const currentSession = sessions.findIndex(session => !session.completed);
+        sessions
+            .slice(0, currentSession === -1 ? sessions.length : currentSession)
+            .forEach(session => { timeSpent += session.duration; });
+
+        const focusMinutes = entries.reduce((total, entry) => total + entry.duration, 0);
+        const breakSession = sessions.find(s => s.type === SessionType.BREAK);
+
+        const task = new Task({
+            // Stable id for foreign events so importing the same file twice merges
+            id: first.event['X-POMODORO-TASK-ID'] || `ics-${groupId}`,
+            name: first.event.SUMMARY ? unescapeText(first.event.SUMMARY) : 'Imported Event',
+            priority: first.event['X-POMODORO-PRIORITY'] || undefined,
+            status: completedSessions === entries.length ? 'completed' : (completedSessions > 0 ? 'partial' : 'pending'),
+            startDate: `${first.start.getFullYear()}-${pad(first.start.getMonth() + 1)}-${pad(first.start.getDate())}`,
+            startTime: `${pad(first.start.getHours())}:${pad(first.start.getMinutes())}`,
+            estimatedDuration: focusMinutes / 60,
+            timerSettings: {
+                focusDuration: first.duration,
+                breakDuration: breakSession ? breakSession.duration : 5,
+                useCustomTimer: true
+            },
+            notes: first.event['X-POMODORO-NOTES'] ? unescapeText(first.event['X-POMODORO-NOTES']) : '',
+            tags: first.event.CATEGORIES ?
+                first.event.CATEGORIES.split(/(?<!\\),/).map(unescapeText).filter(Boolean) : [],
+            sessions,
+            progress: {
+                completedSessions,
+                totalSessions: entries.length,
+                currentSession: currentSession === -1 ? sessions.length : currentSession,
+                timeSpent
+            }
+        });
+
+        tasks.push(task.toObject());
+    });
+
+    return tasks;
+}
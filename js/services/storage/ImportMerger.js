@@ -0,0 +1,134 @@
+/**
+ * ImportMerger.js
+ *
+ * Compares imported data with the local data and merges the two by id.
+ * Used by StorageManager for merge-mode imports so nothing that exists on only
+ * one side is lost.
+ */
+
+/**
+ * Kinds of difference between an imported task and the local data
+ */
+export const MergeItemType = {
+    ADDED: 'added',         // Only in the import
+    CONFLICT: 'conflict',   // Same id, different status or progress
+    MODIFIED: 'modified',   // Same id, other fields differ
+    UNCHANGED: 'unchanged', // Identical on both sides
+    LOCAL_ONLY: 'localOnly' // Only in the local data (always kept)
+};
+
+/**
+ * Serialize a value with sorted object keys so field order does not matter
+ * @param {*} value Value to serialize
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Build a preview of what a merge import would change
+ * @param {Array} localTasks Tasks currently stored
+ * @param {Array} importedTasks Tasks from the import
+ * @returns {Array} Merge items: { id, type, local, imported }
+ */
+export function buildMergePlan(localTasks, importedTasks) {
+    const localById = new Map(localTasks.map(task => [task.id, task]));
+    const importedIds = new Set();
+    const items = [];
+
+    importedTasks.forEach(imported => {
+        importedIds.add(imported.id);
+        const local = localById.get(imported.id);
+
+        let type;
+        if (!local) {
+            type = MergeItemType.ADDED;
+        } else if (local.status !== imported.status ||
+                   stableStringify(local.progress) !== stableStringify(imported.progress)) {
+            type = MergeItemType.CONFLICT;
+        } else if (stableStringify(local) !== stableStringify(imported)) {
+            type = MergeItemType.MODIFIED;
+        } else {
+            type = MergeItemType.UNCHANGED;
+        }
+
+        items.push({ id: imported.id, type, local: local || null, imported });
+    });
+
+    localTasks
+        .filter(task => !importedIds.has(task.id))
+        .forEach(task => items.push({ id: task.id, type: MergeItemType.LOCAL_ONLY, local: task, imported: null }));
+
+    return items;
+}
+
+/**
+ * Apply the accepted items of a merge plan to the local tasks
+ * @param {Array} localTasks Tasks currently stored
+ * @param {Array} plan Merge items from buildMergePlan()
+ * @param {Set<string>} acceptedIds Ids of items whose imported version should be used
+ * @returns {Array} Merged task array
+ */
+export function applyMergePlan(localTasks, plan, acceptedIds) {
+    const merged = localTasks.map(task => {
+        const item = plan.find(entry => entry.id === task.id);
+
+        if (item && acceptedIds.has(item.id) &&
+            (item.type === MergeItemType.CONFLICT || item.type === MergeItemType.MODIFIED)) {
+            return item.imported;
+        }
+
+        return task;
+    });
+
+    plan
+        .filter(item => item.type === MergeItemType.ADDED && acceptedIds.has(item.id))
+        .forEach(item => merged.push(item.imported));
+
+    return merged;
+}
+
+/**
+ * Add the imported items whose id the local list doesn't have yet
+ * @param {Array} local Local items with an id
+ * @param {Array} incoming Imported items with an id
+ * @returns {Array} Local items followed by the new imported ones
+ */
+export function mergeById(local, incoming) {
+    const localIds = new Set(local.map(item => item.id));
+    return local.concat(incoming.filter(item => !localIds.has(item.id)));
+}
+
+/**
+ * Combine two notification histories, dropping duplicates
+ * @param {Array} local Local notifications
+ * @param {Array} imported Imported notifications
+ * @param {number} limit Maximum number of notifications to keep
+ * @returns {Array} Merged notifications sorted by timestamp
+ */
+export function mergeNotifications(local, imported, limit) {
+    const seen = new Set();
+
+    return [...local, ...imported]
+        .filter(notification => {
+            const key = `${notification.timestamp}|${notification.title}|${notification.body}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .slice(-limit);
+}
@@ -0,0 +1,179 @@
+/**
+ * IndexedDBAdapter.js
+ *
+ * Storage adapter backed by IndexedDB.
+ * Tasks are stored as individual records keyed by id so that a change to one
+ * task only rewrites that record. Everything else lives in a key/value store.
+ */
+
+const DB_NAME = 'pomodoro_scheduler';
+const DB_VERSION = 1;
+const TASK_STORE = 'tasks';
+const KEYVAL_STORE = 'keyval';
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * IndexedDBAdapter class for persisting app data in IndexedDB
+ */
+export class IndexedDBAdapter {
+    constructor() {
+        this.name = 'indexedDB';
+        this.db = null;
+
+        // Serialized copy of each task as last written, so unchanged records are skipped
+        this.writtenTasks = new Map();
+    }
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean} True if IndexedDB exists in this browser
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating object stores if needed
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            if (!db.objectStoreNames.contains(TASK_STORE)) {
+                db.createObjectStore(TASK_STORE, { keyPath: 'id' });
+            }
+
+            if (!db.objectStoreNames.contains(KEYVAL_STORE)) {
+                db.createObjectStore(KEYVAL_STORE);
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+    }
+
+    /**
+     * Read a value by key
+     * @param {string} key Storage key
+     * @returns {Promise<*>} Stored value or null if not found
+     */
+    async getItem(key) {
+        const transaction = this.db.transaction(KEYVAL_STORE, 'readonly');
+        const value = await promisifyRequest(transaction.objectStore(KEYVAL_STORE).get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Write a value by key
+     * @param {string} key Storage key
+     * @param {*} value Value to store
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        const transaction = this.db.transaction(KEYVAL_STORE, 'readwrite');
+        transaction.objectStore(KEYVAL_STORE).put(value, key);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Remove a value by key
+     * @param {string} key Storage key
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        const transaction = this.db.transaction(KEYVAL_STORE, 'readwrite');
+        transaction.objectStore(KEYVAL_STORE).delete(key);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Read all task records
+     * @returns {Promise<Array>} Array of task objects
+     */
+    async getTasks() {
+        const transaction = this.db.transaction(TASK_STORE, 'readonly');
+        const tasks = await promisifyRequest(transaction.objectStore(TASK_STORE).getAll());
+
+        this.writtenTasks = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+
+        return tasks;
+    }
+
+    /**
+     * Bring the task store in line with the given array.
+     * Only records that changed are written; records no longer present are deleted.
+     * @param {Array} tasks Array of task objects
+     * @returns {Promise<void>}
+     */
+    async saveTasks(tasks) {
+        const transaction = this.db.transaction(TASK_STORE, 'readwrite');
+        const store = transaction.objectStore(TASK_STORE);
+        const written = new Map();
+
+        tasks.forEach(task => {
+            const json = JSON.stringify(task);
+            written.set(task.id, json);
+
+            if (this.writtenTasks.get(task.id) !== json) {
+                store.put(task);
+            }
+        });
+
+        const storedIds = await promisifyRequest(store.getAllKeys());
+        storedIds.forEach(id => {
+            if (!written.has(id)) {
+                store.delete(id);
+            }
+        });
+
+        await transactionDone(transaction);
+        this.writtenTasks = written;
+    }
+
+    /**
+     * Remove the given keys and all tasks
+     * @param {Array<string>} keys Storage keys to remove
+     * @returns {Promise<void>}
+     */
+    async clear(keys) {
+        const transaction = this.db.transaction([TASK_STORE, KEYVAL_STORE], 'readwrite');
+        transaction.objectStore(TASK_STORE).clear();
+        keys.forEach(key => transaction.objectStore(KEYVAL_STORE).delete(key));
+        await transactionDone(transaction);
+        this.writtenTasks = new Map();
+    }
+
+    /**
+     * Forget which task records were written, so the next save rewrites every task.
+     * Needed when another tab has changed the task store behind this adapter.
+     */
+    forgetWrittenTasks() {
+        this.writtenTasks = new Map();
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * LocalStorageAdapter.js
+ *
+ * Storage adapter backed by window.localStorage.
+ * Used as the fallback backend when IndexedDB is not available.
+ */
+
+/**
+ * LocalStorageAdapter class for persisting app data in localStorage
+ */
+export class LocalStorageAdapter {
+    /**
+     * Create a new LocalStorageAdapter
+     * @param {string} tasksKey Key under which the tasks array is stored
+     */
+    constructor(tasksKey) {
+        this.name = 'localStorage';
+        this.tasksKey = tasksKey;
+    }
+
+    /**
+     * Check if localStorage is available
+     * @returns {boolean} True if localStorage can be written to
+     */
+    static isSupported() {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, testKey);
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Open the backend (nothing to do for localStorage)
+     * @returns {Promise<void>}
+     */
+    async open() {}
+
+    /**
+     * Read a value by key
+     * @param {string} key Storage key
+     * @returns {Promise<*>} Parsed value or null if not found
+     */
+    async getItem(key) {
+        try {
+            const json = localStorage.getItem(key);
+            return json ? JSON.parse(json) : null;
+        } catch (error) {
+            console.error(`Error retrieving ${key} from localStorage:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Write a value by key
+     * @param {string} key Storage key
+     * @param {*} value Value to store
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Remove a value by key
+     * @param {string} key Storage key
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * Read all tasks
+     * @returns {Promise<Array>} Array of task objects
+     */
+    async getTasks() {
+        return (await this.getItem(this.tasksKey)) || [];
+    }
+
+    /**
+     * Replace all tasks
+     * @param {Array} tasks Array of task objects
+     * @returns {Promise<void>}
+     */
+    async saveTasks(tasks) {
+        await this.setItem(this.tasksKey, tasks);
+    }
+
+    /**
+     * Remove the given keys and all tasks
+     * @param {Array<string>} keys Storage keys to remove
+     * @returns {Promise<void>}
+     */
+    async clear(keys) {
+        keys.forEach(key => localStorage.removeItem(key));
+    }
+
+    /**
+     * Forget which tasks were written (nothing to do, tasks are always rewritten)
+     */
+    forgetWrittenTasks() {}
+}
@@ -0,0 +1,159 @@
+/**
+ * SchemaMigrations.js
+ *
+ * Registry of schema migrations for persisted app data.
+ * Each migration upgrades the data from the previous version to its own version.
+ * Migrations run on a copy of the data, so a failure never touches what is stored.
+ *
+ * Task changes are applied to every stored task list: the tasks, the tasks in
+ * the trash and the tasks inside each snapshot.
+ */
+
+// Current schema version of persisted data and exports
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Ordered list of migrations.
+ * Each entry upgrades data from (version - 1) to version.
+ * migrateTasks() receives a task array and returns the migrated array.
+ * migrate() (optional) receives { tasks, settings, analytics, notifications } and returns it.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize task fields that were added before schema versioning',
+        migrateTasks(tasks) {
+            return tasks.map(task => {
+                const migrated = {
+                    ...task,
+                    tags: Array.isArray(task.tags) ? task.tags : [],
+                    endedEarly: task.endedEarly || false
+                };
+
+                // Tasks without sessions are left alone so the Task constructor recalculates them
+                if (Array.isArray(task.sessions)) {
+                    const focusSessions = task.sessions.filter(s => s.type === 'focus').length;
+                    const progress = task.progress || {};
+
+                    migrated.progress = {
+                        completedSessions: progress.completedSessions || 0,
+                        totalSessions: progress.totalSessions !== undefined ? progress.totalSessions : focusSessions,
+                        currentSession: progress.currentSession || 0,
+                        timeSpent: progress.timeSpent || 0,
+                        ...progress
+                    };
+                }
+
+                return migrated;
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Add session plans to tasks, without long breaks for existing tasks',
+        migrateTasks(tasks) {
+            // Existing tasks keep alternating focus and short breaks when their sessions are recalculated
+            return tasks.map(task => task.sessionPlan ? task : {
+                ...task,
+                sessionPlan: {
+                    longBreakDuration: 15,
+                    longBreakInterval: 0,
+                    warmUpDuration: 0,
+                    coolDownDuration: 0,
+                    finalSessionRule: 'roundUp'
+                }
+            });
+        }
+    }
+];
+
+/**
+ * Apply a migration's task changes to a task list
+ * @param {Object} migration Entry of MIGRATIONS
+ * @param {Array} tasks Task list
+ * @param {string} label Name of the list for error messages
+ * @returns {Array} Migrated task list
+ * @throws {Error} If the migration drops tasks
+ */
+function migrateTaskList(migration, tasks, label) {
+    if (!migration.migrateTasks) return tasks;
+
+    const migrated = migration.migrateTasks(tasks);
+
+    // A migration must never drop tasks
+    if (!Array.isArray(migrated) || migrated.length !== tasks.length) {
+        throw new Error(`lost ${label} records`);
+    }
+
+    return migrated;
+}
+
+/**
+ * Upgrade the export payload stored in a snapshot to the current schema version
+ * @param {Object} snapshot Snapshot { id, createdAt, reason, taskCount, size, data }
+ * @returns {Object} Snapshot with a migrated payload
+ */
+function migrateSnapshot(snapshot) {
+    const payload = JSON.parse(snapshot.data);
+    const migrated = migrateData(payload, payload.schemaVersion || 0);
+    migrated.schemaVersion = SCHEMA_VERSION;
+
+    const data = JSON.stringify(migrated);
+    return { ...snapshot, size: data.length, data };
+}
+
+/**
+ * Upgrade app data to the current schema version
+ * @param {Object} data Object with tasks, settings, analytics, notifications and
+ *                 optionally trash ({ task, deletedAt } entries) and snapshots
+ * @param {number} fromVersion Schema version the data was saved with (0 if unversioned)
+ * @returns {Object} Migrated copy of the data
+ * @throws {Error} If the data is from a newer version or a migration fails
+ */
+export function migrateData(data, fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Data schema version ${fromVersion} is newer than supported version ${SCHEMA_VERSION}`);
+    }
+
+    let migrated = JSON.parse(JSON.stringify(data));
+    const taskCount = migrated.tasks.length;
+
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => {
+            try {
+                migrated.tasks = migrateTaskList(migration, migrated.tasks, 'task');
+
+                if (Array.isArray(migrated.trash)) {
+                    const trashTasks = migrateTaskList(migration, migrated.trash.map(entry => entry.task), 'trash');
+                    migrated.trash = migrated.trash.map((entry, index) => ({ ...entry, task: trashTasks[index] }));
+                }
+
+                if (migration.migrate) {
+                    migrated = migration.migrate(migrated);
+                }
+            } catch (error) {
+                throw new Error(`Migration to schema version ${migration.version} failed: ${error.message}`);
+            }
+
+            // A migration must never drop tasks
+            if (!Array.isArray(migrated.tasks) || migrated.tasks.length !== taskCount) {
+                throw new Error(`Migration to schema version ${migration.version} lost task records`);
+            }
+
+            console.log(`Applied schema migration ${migration.version}: ${migration.description}`);
+        });
+
+    // Snapshots hold full exports that carry their own schema version
+    if (Array.isArray(migrated.snapshots)) {
+        migrated.snapshots = migrated.snapshots.map(snapshot => {
+            try {
+                return migrateSnapshot(snapshot);
+            } catch (error) {
+                throw new Error(`Migrating snapshot ${snapshot.id} failed: ${error.message}`);
+            }
+        });
+    }
+
+    return migrated;
+}
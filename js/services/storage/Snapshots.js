@@ -0,0 +1,111 @@
+/**
+ * Snapshots.js
+ *
+ * Rolling snapshots of the full export payload, so a bad import or edit can
+ * be rolled back. StorageManager stores the snapshot list; this module decides
+ * what a snapshot holds and which snapshots are kept.
+ */
+
+/**
+ * Why a snapshot was taken
+ */
+export const SnapshotReason = {
+    DAILY: 'daily',     // First start of the day
+    IMPORT: 'import',   // Before an import
+    CLEAR: 'clear',     // Before all data was cleared
+    RESTORE: 'restore'  // Before another snapshot was restored
+};
+
+// Maximum number of snapshots kept
+const MAX_SNAPSHOTS = 10;
+
+// Maximum combined size of the snapshot payloads by storage backend (characters).
+// localStorage holds about 5 MB for all app data, so snapshots only get a small share.
+const MAX_SNAPSHOT_SIZE = {
+    indexedDB: 2 * 1024 * 1024,
+    localStorage: 256 * 1024
+};
+
+/**
+ * Get the local date of a timestamp as YYYY-MM-DD
+ * @param {Date} date Date to format
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Create a snapshot entry
+ * @param {string} payload Export JSON (StorageManager.exportData())
+ * @param {string} reason One of SnapshotReason
+ * @param {number} taskCount Number of tasks in the payload
+ * @returns {Object} Snapshot { id, createdAt, reason, taskCount, size, data }
+ */
+export function createSnapshot(payload, reason, taskCount) {
+    return {
+        id: `snapshot-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+        createdAt: new Date().toISOString(),
+        reason,
+        taskCount,
+        size: payload.length,
+        data: payload
+    };
+}
+
+/**
+ * Get the size cap for the snapshots of a storage backend
+ * @param {string} backend Name of the active storage backend
+ * @returns {number} Maximum combined payload size (characters)
+ */
+function getMaxSize(backend) {
+    return MAX_SNAPSHOT_SIZE[backend] || MAX_SNAPSHOT_SIZE.localStorage;
+}
+
+/**
+ * Check whether a snapshot payload may be stored at all.
+ * On IndexedDB any size is fine; on localStorage a payload over the cap would
+ * crowd out the task data, so it can't be snapshotted.
+ * @param {number} size Payload size (characters)
+ * @param {string} backend Name of the active storage backend
+ * @returns {boolean} True if a snapshot of this size can be kept
+ */
+export function fitsSnapshotCap(size, backend) {
+    return backend === 'indexedDB' || size <= getMaxSize(backend);
+}
+
+/**
+ * Drop the oldest snapshots until the list fits the count and size caps.
+ * The newest snapshot is always kept.
+ * @param {Array} snapshots Snapshots, oldest first
+ * @param {string} backend Name of the active storage backend
+ * @returns {Array} Snapshots that are kept, oldest first
+ */
+export function trimSnapshots(snapshots, backend) {
+    const kept = [...snapshots];
+    const maxSize = getMaxSize(backend);
+    let totalSize = kept.reduce((sum, snapshot) => sum + snapshot.size, 0);
+
+    while (kept.length > 1 && (kept.length > MAX_SNAPSHOTS || totalSize > maxSize)) {
+        totalSize -= kept.shift().size;
+    }
+
+    return kept;
+}
+
+/**
+ * Check whether today's daily snapshot still has to be taken
+ * @param {Array} snapshots Stored snapshots
+ * @param {Date} now Current time
+ * @returns {boolean} True if there is no daily snapshot for today
+ */
+export function needsDailySnapshot(snapshots, now = new Date()) {
+    const today = toDateString(now);
+
+    return !snapshots.some(snapshot =>
+        snapshot.reason === SnapshotReason.DAILY &&
+        toDateString(new Date(snapshot.createdAt)) === today
+    );
+}
@@ -10,6 +10,10 @@ import { Settings } from '../models/Settings.js';
 import { ThemeManager } from '../services/ThemeManager.js';
 import { SettingsFormManager } from './settings/SettingsFormManager.js';
 import { SettingsUIComponents } from './settings/SettingsUIComponents.js';
+import { SettingsDataManager } from './settings/SettingsDataManager.js';
+import { SettingsStoragePanel } from './settings/SettingsStoragePanel.js';
+import { SettingsProjectsPanel } from './settings/SettingsProjectsPanel.js';
+import { SettingsTemplatesPanel } from './settings/SettingsTemplatesPanel.js';
 
 /**
  * SettingsView class for managing settings UI
@@ -30,6 +34,10 @@ export class SettingsView {
         // Initialize form manager and UI components
         this.formManager = new SettingsFormManager(this);
         this.uiComponents = new SettingsUIComponents(this);
+        this.dataManager = new SettingsDataManager(this);
+        this.storagePanel = new SettingsStoragePanel(this);
+        this.projectsPanel = new SettingsProjectsPanel(this);
+        this.templatesPanel = new SettingsTemplatesPanel(this);
         
         // Initialize settings
         this.loadSettings();
@@ -77,10 +85,34 @@ export class SettingsView {
         this.uiComponents.addAutoStartOption(this.settings);
         
         // Add auto-pause option
-        this.uiComponents.addAutoPauseOption(this.settings);
+        this.uiComponents.addBackgroundModeOption(this.settings);
+        
+        // Add session log option
+        this.uiComponents.addSessionLogOption(this.settings);
+        
+        // Add overtime option
+        this.uiComponents.addOvertimeOption(this.settings);
         
         // Add notification settings
         this.uiComponents.addNotificationSettings(this.settings);
+        
+        // Add trash retention option
+        this.uiComponents.addTrashRetentionOption(this.settings);
+        
+        // Add project list
+        this.projectsPanel.render();
+        
+        // Add task template list
+        this.templatesPanel.render();
+        
+        // Add export/import controls
+        this.uiComponents.addDataManagementSection();
+        
+        // Add snapshot list
+        this.uiComponents.addSnapshotsSection();
+        
+        // Add storage usage and compaction panel
+        this.storagePanel.render();
     }
     
     /**
@@ -163,12 +195,18 @@ export class SettingsView {
         
         // Get auto settings
         const autoStartNextSession = document.getElementById('auto-start-next-session').checked;
-        const autoPauseOnInactiveTab = document.getElementById('auto-pause-inactive').checked;
+        const backgroundMode = document.getElementById('background-mode').checked;
+        const idleTimeout = Math.max(0, parseInt(document.getElementById('idle-timeout').value) || 0);
+        const promptSessionLog = document.getElementById('prompt-session-log').checked;
+        const allowOvertime = document.getElementById('allow-overtime').checked;
         
         // Get notification settings
         const notificationsEnabled = document.getElementById('notifications-enabled').checked;
         const notificationsSound = document.getElementById('notifications-sound').checked;
         
+        // Get trash retention (0 keeps deleted tasks forever)
+        const trashRetentionDays = Math.max(0, parseInt(document.getElementById('trash-retention-days').value) || 0);
+        
         // Update settings
         this.settings.theme = theme;
         this.settings.focusDuration = focusDuration;
@@ -179,7 +217,14 @@ export class SettingsView {
         };
         this.settings.defaultReminderTime = defaultReminderTime;
         this.settings.autoStartNextSession = autoStartNextSession;
-        this.settings.autoPauseOnInactiveTab = autoPauseOnInactiveTab;
+        this.settings.backgroundMode = backgroundMode;
+        this.settings.idleTimeout = idleTimeout;
+        this.settings.promptSessionLog = promptSessionLog;
+        this.settings.allowOvertime = allowOvertime;
+        this.settings.trashRetentionDays = trashRetentionDays;
+        
+        // Keep the sort modes picked in the task lists since the form was loaded
+        this.settings.taskSort = { ...StorageManager.getSettings().taskSort };
         
         // Update notifications settings
         this.settings.notifications = {
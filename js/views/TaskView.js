@@ -6,6 +6,12 @@
 
 import { TaskFormManager } from './tasks/TaskFormManager.js';
 import { TaskListRenderer } from './tasks/TaskListRenderer.js';
+import { TaskHistoryUI } from './tasks/TaskHistoryUI.js';
+import { TrashListRenderer } from './tasks/TrashListRenderer.js';
+import { TaskFilterBar } from './tasks/TaskFilterBar.js';
+import { TaskSearchBar } from './tasks/TaskSearchBar.js';
+import { TaskSortBar } from './tasks/TaskSortBar.js';
+import { TaskBulkActions } from './tasks/TaskBulkActions.js';
 
 /**
  * TaskView class for managing task UI elements
@@ -27,10 +33,25 @@ export class TaskView {
         // Initialize sub-components
         this.formManager = new TaskFormManager(this);
         this.listRenderer = new TaskListRenderer(this);
+        this.historyUI = new TaskHistoryUI(this);
+        this.trashRenderer = new TrashListRenderer(this);
+        this.filterBar = new TaskFilterBar(this);
+        this.searchBar = new TaskSearchBar(this);
+        this.sortBar = new TaskSortBar(this);
+        this.bulkActions = new TaskBulkActions(this);
         
         // Initialize event listeners for task form elements
         this.formManager.initTaskFormListeners();
         
+        // Initialize the task list filter, search and sort controls
+        this.filterBar.initListeners();
+        this.searchBar.initListeners();
+        this.sortBar.initListeners();
+        this.bulkActions.initListeners();
+        
+        // Initialize undo/redo shortcuts
+        this.historyUI.initHistoryListeners();
+        
         // Listen for settings changes
         document.addEventListener('settings-updated', this.handleSettingsUpdate.bind(this));
     }
@@ -60,6 +81,7 @@ export class TaskView {
      */
     refreshTaskLists(selectedTaskId = null) {
         this.listRenderer.refreshTaskLists(selectedTaskId);
+        this.trashRenderer.refreshTrashList();
     }
 
     /**
@@ -103,6 +125,10 @@ export class TaskView {
             // Update task form with new defaults next time it's opened
             this.formManager.updateTaskFormDefaults(event.detail);
         }
+        
+        // The list sort modes are settings too
+        this.sortBar.refreshModes();
+        this.refreshTaskLists();
     }
 
     /**
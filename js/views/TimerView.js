@@ -4,7 +4,10 @@
  * View component for managing the timer UI and interactions.
  */
 
-import { SessionType } from '../models/Task.js';
+import { SessionType, TaskStatus } from '../models/Task.js';
+import { Settings } from '../models/Settings.js';
+import { StorageManager } from '../services/StorageManager.js';
+import { TimerInterruptionUI } from './timer/TimerInterruptionUI.js';
 
 /**
  * TimerView class for managing timer UI elements
@@ -26,12 +29,16 @@ export class TimerView {
             currentTask: document.getElementById('current-task-name'),
             taskStatus: document.getElementById('current-task-status'),
             sessionCounter: document.getElementById('session-counter'),
+            checklist: document.getElementById('timer-checklist'),
             currentSession: document.getElementById('current-session'),
             totalSessions: document.getElementById('total-sessions'),
             startBtn: document.getElementById('timer-start-btn'),
             pauseBtn: document.getElementById('timer-pause-btn'),
             endBtn: document.getElementById('timer-end-btn'),
-            focusModeBtn: document.getElementById('focus-mode-btn')
+            focusModeBtn: document.getElementById('focus-mode-btn'),
+            quickPreset: document.getElementById('quick-session-preset'),
+            quickFocusBtn: document.getElementById('quick-focus-btn'),
+            quickBreakBtn: document.getElementById('quick-break-btn')
         };
         
         // Focus mode elements
@@ -40,11 +47,32 @@ export class TimerView {
             clock: document.getElementById('focus-timer-clock'),
             type: document.getElementById('focus-timer-type'),
             task: document.getElementById('focus-timer-task'),
-            exitBtn: document.getElementById('exit-focus-mode-btn')
+            exitBtn: document.getElementById('exit-focus-mode-btn'),
+            finishBtn: document.getElementById('focus-finish-session-btn')
         };
         
+        // Session log prompt elements
+        this.sessionLogElements = {
+            prompt: document.getElementById('session-log-prompt'),
+            title: document.getElementById('session-log-title'),
+            input: document.getElementById('session-log-input'),
+            saveBtn: document.getElementById('session-log-save-btn'),
+            skipBtn: document.getElementById('session-log-skip-btn')
+        };
+        
+        // Task and session the open log prompt is for
+        this.pendingSessionLog = null;
+        
         // Set up event listeners
         this.setupEventListeners();
+        
+        // Interruption log buttons and shortcuts
+        this.interruptionUI = new TimerInterruptionUI(this);
+        this.interruptionUI.initListeners();
+        
+        // Fill the quick session presets, and again when the presets change
+        this.populateQuickPresets();
+        document.addEventListener('settings-updated', () => this.populateQuickPresets());
     }
 
     /**
@@ -60,7 +88,9 @@ export class TimerView {
             
             const timerController = this.app.timerController;
             
-            if (timerController.timerState === 'stopped') {
+            if (timerController.isInOvertime()) {
+                timerController.finishOvertime();
+            } else if (timerController.timerState === 'stopped') {
                 // If no task is active, show a message
                 if (!timerController.activeTask) {
                     this.showMessage('Please select a task first');
@@ -107,7 +137,11 @@ export class TimerView {
             
             const timerController = this.app.timerController;
             
-            if (timerController.timerState !== 'stopped' && timerController.activeTask) {
+            if (timerController.quickSession) {
+                if (confirm('Stop this quick session?')) {
+                    timerController.stopQuickSession();
+                }
+            } else if (timerController.timerState !== 'stopped' && timerController.activeTask) {
                 if (confirm('Are you sure you want to end this task?')) {
                     timerController.endTask();
                 }
@@ -132,8 +166,182 @@ export class TimerView {
             timerController.exitFocusMode();
         });
     }
+    
+    if (this.elements.quickFocusBtn) {
+        this.elements.quickFocusBtn.addEventListener('click', () => this.startQuickSession(SessionType.FOCUS));
+        this.elements.quickBreakBtn.addEventListener('click', () => this.startQuickSession(SessionType.BREAK));
+    }
+    
+    if (this.focusElements.finishBtn) {
+        this.focusElements.finishBtn.addEventListener('click', () => {
+            if (!this.app || !this.app.timerController) return;
+            
+            this.app.timerController.finishOvertime();
+        });
+    }
+    
+    if (this.sessionLogElements.saveBtn) {
+        this.sessionLogElements.saveBtn.addEventListener('click', () => this.saveSessionLog());
+        this.sessionLogElements.skipBtn.addEventListener('click', () => this.hideSessionLogPrompt());
+        
+        // Ctrl+Enter saves, so the log can be written without the mouse
+        this.sessionLogElements.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.saveSessionLog();
+            }
+        });
+    }
 }
 
+    /**
+     * Fill the quick session preset menu from the timer presets in the settings
+     */
+    populateQuickPresets() {
+        const select = this.elements.quickPreset;
+        if (!select) return;
+        
+        const selected = select.value;
+        const presets = new Settings(StorageManager.getSettings()).timerPresets;
+        
+        select.innerHTML = '';
+        presets.forEach((preset, index) => {
+            select.add(new Option(`${preset.name} (${preset.focusDuration}|${preset.breakDuration})`, index));
+        });
+        
+        // Keep the choice if the preset is still there
+        if (selected && presets[selected]) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * Start a quick session with the selected preset
+     * @param {string} type Session type (SessionType.FOCUS or SessionType.BREAK)
+     */
+    startQuickSession(type) {
+        if (!this.app || !this.app.timerController) return;
+        
+        const presets = new Settings(StorageManager.getSettings()).timerPresets;
+        const preset = presets[parseInt(this.elements.quickPreset.value, 10)] || presets[0];
+        if (!preset) return;
+        
+        this.app.timerController.startQuickSession(type, preset);
+    }
+
+    /**
+     * Show a running quick session in place of the task
+     * @param {Object} quickSession Quick session { type, duration }
+     */
+    updateQuickSessionDisplay(quickSession) {
+        if (!this.elements.currentTask || !this.elements.taskStatus) {
+            return;
+        }
+        
+        const name = this.app.timerController.getQuickSessionName();
+        
+        this.elements.currentTask.textContent = name;
+        this.elements.taskStatus.textContent = quickSession.type === SessionType.FOCUS ?
+            `${quickSession.duration}-minute focus without a task` :
+            `${quickSession.duration}-minute break`;
+        
+        this.updateSessionCounter(null);
+        this.updateChecklist(null);
+        
+        if (this.app.timerController.isFocusMode && this.focusElements.task) {
+            this.focusElements.task.textContent = name;
+        }
+    }
+
+    /**
+     * Offer to keep the time of a quick focus session on an existing task or a new one
+     * @param {number} minutes Minutes of focus
+     */
+    offerToSaveQuickSession(minutes) {
+        if (!confirm(`You focused for ${minutes} minute${minutes === 1 ? '' : 's'}. Save the time to a task?`)) {
+            return;
+        }
+        
+        const taskController = this.app.taskController;
+        const tasks = taskController.getAllTasks().filter(task => task.status !== TaskStatus.COMPLETED);
+        
+        const answer = prompt(tasks.length > 0 ?
+            'Enter the number of a task to add the time to, or a name to save it as a new task:\n' +
+                tasks.map((task, index) => `${index + 1}. ${task.name}`).join('\n') :
+            'Name of the new task to save the time as:');
+        if (answer === null) return;
+        
+        const value = answer.trim();
+        if (!value) {
+            alert('Please enter a task number or a name.');
+            return;
+        }
+        
+        if (/^\d+$/.test(value) && tasks.length > 0) {
+            const task = tasks[parseInt(value, 10) - 1];
+            if (!task) {
+                alert(`There is no task ${value} in the list.`);
+                return;
+            }
+            
+            taskController.addTimeSpent(task.id, minutes);
+        } else {
+            taskController.createTaskFromQuickSession(value, minutes);
+        }
+        
+        this.app.refreshTaskViews();
+    }
+
+    /**
+     * Ask for a log of the focus session that just ended.
+     * The prompt stays open while the next session runs.
+     * @param {Task} task Task the session belongs to
+     * @param {Object} session Completed focus session
+     */
+    showSessionLogPrompt(task, session) {
+        const { prompt, title, input } = this.sessionLogElements;
+        if (!prompt) return;
+        
+        // Keep a log that was typed for an earlier session but not saved
+        if (this.pendingSessionLog && input.value.trim()) {
+            this.saveSessionLog();
+        }
+        
+        const focusNumber = task.sessions
+            .slice(0, task.sessions.findIndex(s => s.id === session.id) + 1)
+            .filter(s => s.type === SessionType.FOCUS).length;
+        
+        this.pendingSessionLog = { taskId: task.id, sessionId: session.id };
+        title.textContent = `What did you get done in focus session ${focusNumber} of ${task.name}?`;
+        input.value = session.log || '';
+        prompt.style.display = 'block';
+    }
+
+    /**
+     * Save the log typed into the prompt and close it
+     */
+    saveSessionLog() {
+        if (!this.pendingSessionLog) return;
+        
+        const { taskId, sessionId } = this.pendingSessionLog;
+        this.app.taskController.setSessionLog(taskId, sessionId, this.sessionLogElements.input.value);
+        
+        this.hideSessionLogPrompt();
+        this.app.refreshTaskViews();
+    }
+
+    /**
+     * Close the session log prompt without saving
+     */
+    hideSessionLogPrompt() {
+        const { prompt, input } = this.sessionLogElements;
+        if (!prompt) return;
+        
+        this.pendingSessionLog = null;
+        input.value = '';
+        prompt.style.display = 'none';
+    }
+
     /**
      * Update the timer display
      * @param {number} timeLeft Time left in seconds
@@ -145,7 +353,7 @@ export class TimerView {
         }
         
         // IMPROVEMENT 3: Show 00:00 instead of 25:00 when no task is active
-        if (!this.app.timerController.activeTask) {
+        if (!this.app.timerController.activeTask && !this.app.timerController.quickSession) {
             this.elements.clock.textContent = "00:00";
             this.elements.progressBar.style.width = "0%";
             return;
@@ -167,6 +375,27 @@ export class TimerView {
     }
 
 
+    /**
+     * Show the overtime counting up past the end of the session
+     * @param {number} seconds Seconds past the end of the session
+     */
+    updateOvertimeDisplay(seconds) {
+        if (!this.elements.clock || !this.elements.progressBar) {
+            return;
+        }
+        
+        // Format as +MM:SS
+        const minutes = Math.floor(seconds / 60);
+        const timeString = `+${minutes.toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+        
+        this.elements.clock.textContent = timeString;
+        this.elements.progressBar.style.width = '100%';
+        
+        if (this.app.timerController.isFocusMode && this.focusElements.clock) {
+            this.focusElements.clock.textContent = timeString;
+        }
+    }
+
     /**
      * Update the timer container class based on session type
      * @param {string} sessionType Type of session (focus or break)
@@ -177,9 +406,26 @@ export class TimerView {
         }
         
         // Remove existing state classes
-        this.elements.container.classList.remove('focus-state', 'break-state', 'paused-state');
+        this.elements.container.classList.remove('focus-state', 'break-state', 'paused-state', 'overtime-state');
+        
+        // Overtime is shown in the focus overlay too, with a button to finish the session
+        const isOvertime = this.app.timerController.isInOvertime();
+        if (this.focusElements.overlay) {
+            this.focusElements.overlay.classList.toggle('overtime-state', isOvertime);
+        }
+        if (this.focusElements.finishBtn) {
+            this.focusElements.finishBtn.style.display = isOvertime ? 'inline-block' : 'none';
+        }
         
-        if (isPaused) {
+        if (isOvertime) {
+            this.elements.container.classList.add('overtime-state');
+            this.elements.type.textContent = 'OVERTIME';
+            
+            // Update focus mode type if active
+            if (this.app.timerController.isFocusMode && this.focusElements.type) {
+                this.focusElements.type.textContent = 'OVERTIME';
+            }
+        } else if (isPaused) {
             // Add paused state styling
             this.elements.container.classList.add('paused-state');
             this.elements.type.textContent = 'PAUSED';
@@ -253,6 +499,8 @@ export class TimerView {
             // Update session counter
             this.updateSessionCounter(task.progress);
             
+            this.updateChecklist(task);
+            
             // Update focus mode task if active
             if (this.app.timerController.isFocusMode && this.focusElements.task) {
                 this.focusElements.task.textContent = `Working on: ${task.name}`;
@@ -263,9 +511,62 @@ export class TimerView {
             
             // Reset session counter
             this.updateSessionCounter(null);
+            
+            this.updateChecklist(null);
         }
     }
 
+    /**
+     * Show the checklist items of the current session
+     * @param {Object} task Active task or null
+     */
+    updateChecklist(task) {
+        const container = this.elements.checklist;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const items = task ? task.getSubtasksForSession(task.progress.currentSession) : [];
+        if (items.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        container.style.display = 'block';
+        
+        const title = document.createElement('h6');
+        title.textContent = 'Checklist';
+        container.appendChild(title);
+        
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'form-check';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input';
+            checkbox.id = `timer-subtask-${item.id}`;
+            checkbox.checked = item.done;
+            checkbox.addEventListener('change', () => {
+                this.app.taskController.toggleSubtask(task.id, item.id);
+                this.app.refreshTaskViews();
+            });
+            
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = item.text;
+            if (item.done) {
+                label.style.textDecoration = 'line-through';
+                label.style.opacity = '0.7';
+            }
+            
+            row.appendChild(checkbox);
+            row.appendChild(label);
+            container.appendChild(row);
+        });
+    }
+
     /**
      * Update the session counter
      * @param {Object} progress Task progress object or null
@@ -304,8 +605,16 @@ export class TimerView {
         // IMPROVEMENT 3: Ensure buttons are properly disabled when no task is active
         switch (timerState) {
             case 'running':
-                this.elements.startBtn.disabled = true;
-                this.elements.pauseBtn.disabled = false;
+                if (this.app.timerController.isInOvertime()) {
+                    // Start finishes a session in overtime, which can't be paused
+                    this.elements.startBtn.disabled = false;
+                    this.elements.startBtn.textContent = 'Finish Session';
+                    this.elements.pauseBtn.disabled = true;
+                } else {
+                    this.elements.startBtn.disabled = true;
+                    this.elements.startBtn.textContent = 'Start';
+                    this.elements.pauseBtn.disabled = false;
+                }
                 this.elements.endBtn.disabled = false;
                 break;
             case 'paused':
@@ -326,10 +635,32 @@ export class TimerView {
         if (this.elements.focusModeBtn) {
             this.elements.focusModeBtn.disabled = timerState === 'stopped' || !hasActiveTask;
         }
+        
+        // A quick session is stopped rather than ended, and can't start while a session runs
+        this.elements.endBtn.textContent = this.app.timerController.quickSession ? 'Stop' : 'End Task';
+        if (this.elements.quickFocusBtn) {
+            this.elements.quickFocusBtn.disabled = timerState === 'running';
+            this.elements.quickBreakBtn.disabled = timerState === 'running';
+        }
+        
+        // Interruptions are logged during focus sessions only
+        this.interruptionUI.update();
     }
 
 
 
+    /**
+     * Disable the timer controls while another tab runs the timer
+     */
+    setReadOnly() {
+        [this.elements.startBtn, this.elements.pauseBtn, this.elements.endBtn,
+            this.elements.quickFocusBtn, this.elements.quickBreakBtn].forEach(button => {
+            if (button) {
+                button.disabled = true;
+            }
+        });
+    }
+
     /**
      * Handle focus mode state change
      * @param {boolean} isActive Whether focus mode is active
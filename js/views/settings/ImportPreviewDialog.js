@@ -0,0 +1,182 @@
+/**
+ * ImportPreviewDialog.js
+ *
+ * Modal that previews a merge import and lets the user accept or reject
+ * each imported task before anything is written.
+ */
+
+import { MergeItemType } from '../../services/storage/ImportMerger.js';
+
+// Labels and badge colors for each kind of merge item
+const ITEM_LABELS = {
+    [MergeItemType.ADDED]: { text: 'New', badge: 'bg-success' },
+    [MergeItemType.CONFLICT]: { text: 'Conflict', badge: 'bg-danger' },
+    [MergeItemType.MODIFIED]: { text: 'Changed', badge: 'bg-warning text-dark' }
+};
+
+export class ImportPreviewDialog {
+    constructor() {
+        this.modalElement = null;
+        this.resolve = null;
+    }
+
+    /**
+     * Show the preview and wait for the user's decision
+     * @param {Array} items Merge items from StorageManager.previewImport()
+     * @returns {Promise<Array<string>|null>} Accepted task ids, or null if cancelled
+     */
+    show(items) {
+        this.ensureModal();
+        this.renderItems(items);
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            bootstrap.Modal.getOrCreateInstance(this.modalElement).show();
+        });
+    }
+
+    /**
+     * Create the modal element the first time it is needed
+     */
+    ensureModal() {
+        if (this.modalElement) return;
+
+        this.modalElement = document.createElement('div');
+        this.modalElement.className = 'modal fade';
+        this.modalElement.id = 'import-preview-modal';
+        this.modalElement.tabIndex = -1;
+        this.modalElement.setAttribute('aria-hidden', 'true');
+        this.modalElement.innerHTML = `
+            <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title">Merge Import Preview</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="import-preview-summary"></p>
+                        <div class="import-preview-list"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                        <button type="button" class="btn btn-primary" id="import-preview-confirm-btn">Import Selected</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.modalElement);
+
+        // Confirm: collect checked items and close
+        this.modalElement.querySelector('#import-preview-confirm-btn').addEventListener('click', () => {
+            const acceptedIds = Array.from(this.modalElement.querySelectorAll('.import-preview-item:checked'))
+                .map(checkbox => checkbox.value);
+
+            this.finish(acceptedIds);
+            bootstrap.Modal.getOrCreateInstance(this.modalElement).hide();
+        });
+
+        // Closing the modal any other way cancels the import
+        this.modalElement.addEventListener('hidden.bs.modal', () => this.finish(null));
+    }
+
+    /**
+     * Resolve the pending show() promise once
+     * @param {Array<string>|null} result Accepted ids or null
+     */
+    finish(result) {
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(result);
+        }
+    }
+
+    /**
+     * Render one row per task that the import would change
+     * @param {Array} items Merge items
+     */
+    renderItems(items) {
+        const list = this.modalElement.querySelector('.import-preview-list');
+        const summary = this.modalElement.querySelector('.import-preview-summary');
+        list.innerHTML = '';
+
+        const changes = items.filter(item => ITEM_LABELS[item.type]);
+        const count = type => items.filter(item => item.type === type).length;
+
+        summary.textContent = `${count(MergeItemType.ADDED)} new, ${count(MergeItemType.CONFLICT)} conflicting, ` +
+            `${count(MergeItemType.MODIFIED)} changed, ${count(MergeItemType.UNCHANGED)} unchanged. ` +
+            `${count(MergeItemType.LOCAL_ONLY)} local-only tasks will be kept. Local settings and analytics are not changed.`;
+
+        if (changes.length === 0) {
+            list.innerHTML = '<div class="empty-state"><p>Nothing to import, both sides already match.</p></div>';
+            return;
+        }
+
+        changes.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'form-check border-bottom py-2';
+
+            // Conflicts keep the local version unless the user opts in
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input import-preview-item';
+            checkbox.id = `import-item-${item.id}`;
+            checkbox.value = item.id;
+            checkbox.checked = item.type !== MergeItemType.CONFLICT;
+
+            const label = document.createElement('label');
+            label.className = 'form-check-label w-100';
+            label.htmlFor = checkbox.id;
+
+            const badge = document.createElement('span');
+            badge.className = `badge ${ITEM_LABELS[item.type].badge} me-2`;
+            badge.textContent = ITEM_LABELS[item.type].text;
+
+            const name = document.createElement('strong');
+            name.textContent = item.imported.name;
+
+            label.appendChild(badge);
+            label.appendChild(name);
+
+            if (item.local) {
+                const details = document.createElement('div');
+                details.className = 'small text-muted';
+                details.textContent = this.describeDifference(item.local, item.imported);
+                label.appendChild(details);
+            }
+
+            row.appendChild(checkbox);
+            row.appendChild(label);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Describe how the imported task differs from the local one
+     * @param {Object} local Local task
+     * @param {Object} imported Imported task
+     * @returns {string} Human readable difference
+     */
+    describeDifference(local, imported) {
+        const progressText = task => {
+            const progress = task.progress || {};
+            return `${progress.completedSessions || 0}/${progress.totalSessions || 0} sessions`;
+        };
+
+        const parts = [];
+
+        if (local.status !== imported.status) {
+            parts.push(`Status: ${local.status} (local) → ${imported.status} (import)`);
+        }
+
+        if (progressText(local) !== progressText(imported)) {
+            parts.push(`Progress: ${progressText(local)} (local) → ${progressText(imported)} (import)`);
+        }
+
+        if (local.name !== imported.name) {
+            parts.push(`Name: "${local.name}" → "${imported.name}"`);
+        }
+
+        return parts.length > 0 ? parts.join(' · ') : 'Task details differ';
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * SettingsDataManager.js
+ *
+ * Handles the data management actions of the settings view.
+ * Exports app data to a file (JSON, CSV or iCalendar) and imports it back
+ * in replace or merge mode.
+ */
+
+import { StorageManager, IMPORT_MODES } from '../../services/StorageManager.js';
+import { DataExportService, ExportFormat } from '../../services/DataExportService.js';
+import { Settings } from '../../models/Settings.js';
+import { ImportPreviewDialog } from './ImportPreviewDialog.js';
+
+export class SettingsDataManager {
+    /**
+     * Create a new SettingsDataManager
+     * @param {SettingsView} settingsView Reference to the parent SettingsView
+     */
+    constructor(settingsView) {
+        this.settingsView = settingsView;
+        this.previewDialog = new ImportPreviewDialog();
+    }
+
+    /**
+     * Download app data as a file
+     * @param {string} format One of ExportFormat (defaults to the full JSON backup)
+     */
+    exportData(format = ExportFormat.JSON) {
+        try {
+            const { content, filename, mimeType } = DataExportService.exportAs(format);
+            this.downloadFile(content, filename, mimeType);
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            alert('Export failed.');
+        }
+    }
+
+    /**
+     * Trigger a file download in the browser
+     * @param {string} content File content
+     * @param {string} filename Suggested file name
+     * @param {string} mimeType MIME type of the content
+     */
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import app data from a file chosen by the user
+     * @param {File} file JSON, CSV or iCalendar file from a file input
+     * @param {string} mode 'replace' or 'merge'
+     */
+    async importFromFile(file, mode) {
+        if (!file) return;
+
+        let imported;
+        try {
+            imported = DataExportService.toImportJson(file.name, await file.text());
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            alert(`Could not read the selected file: ${error.message}`);
+            return;
+        }
+
+        if (mode === IMPORT_MODES.MERGE) {
+            await this.mergeImport(imported.json);
+        } else {
+            this.replaceImport(imported.json, imported.format === ExportFormat.JSON);
+        }
+    }
+
+    /**
+     * Overwrite local data with the import
+     * @param {string} json Exported JSON data
+     * @param {boolean} isFullBackup Whether the import also carries settings and history
+     */
+    replaceImport(json, isFullBackup) {
+        const message = isFullBackup ?
+            'Replace all tasks, settings and history with the imported data? Your current data will be lost.' :
+            'Replace all tasks with the tasks in this file? Your current tasks will be lost.';
+
+        if (!confirm(message) || !this.confirmWithoutSnapshot()) {
+            return;
+        }
+
+        if (!StorageManager.importData(json, { mode: IMPORT_MODES.REPLACE, allowWithoutSnapshot: true })) {
+            alert('Import failed. The file is not a valid Pomodoro backup.');
+            return;
+        }
+
+        this.reloadApp(isFullBackup);
+        alert('Data imported successfully.');
+    }
+
+    /**
+     * Show a merge preview and import the accepted tasks
+     * @param {string} json Exported JSON data
+     */
+    async mergeImport(json) {
+        const items = StorageManager.previewImport(json);
+
+        if (!items) {
+            alert('Import failed. The file is not a valid Pomodoro backup.');
+            return;
+        }
+
+        const acceptedIds = await this.previewDialog.show(items);
+
+        // Cancelled
+        if (!acceptedIds || !this.confirmWithoutSnapshot()) return;
+
+        if (!StorageManager.importData(json, { mode: IMPORT_MODES.MERGE, acceptedIds, allowWithoutSnapshot: true })) {
+            alert('Import failed. The file is not a valid Pomodoro backup.');
+            return;
+        }
+
+        this.reloadApp(false);
+        console.log(`Merged ${acceptedIds.length} imported tasks`);
+    }
+
+    /**
+     * Ask whether to go on when the current data is too large for a safety snapshot
+     * @returns {boolean} True if the data can be snapshotted or the user wants to go on anyway
+     */
+    confirmWithoutSnapshot() {
+        if (StorageManager.canSnapshot()) {
+            return true;
+        }
+
+        return confirm('Your current data is too large for a safety snapshot, so this import cannot be rolled back. Continue anyway?');
+    }
+
+    /**
+     * Replace all data with a snapshot after confirming
+     * @param {Object} snapshot Snapshot info from StorageManager.getSnapshots()
+     */
+    restoreSnapshot(snapshot) {
+        const date = new Date(snapshot.createdAt).toLocaleString();
+        const message = StorageManager.canSnapshot() ?
+            `Restore all data from the snapshot of ${date}? Your current data will be saved as a snapshot first.` :
+            `Restore all data from the snapshot of ${date}? Your current data is too large for a snapshot and will be lost.`;
+        
+        if (!confirm(message)) {
+            return;
+        }
+        
+        if (!StorageManager.restoreSnapshot(snapshot.id, { allowWithoutSnapshot: true })) {
+            alert('Restore failed. The snapshot could not be read.');
+            return;
+        }
+        
+        this.reloadApp(true);
+        alert('Snapshot restored successfully.');
+    }
+
+    /**
+     * Reload app state from storage after an import
+     * @param {boolean} settingsChanged Whether settings were replaced too
+     */
+    reloadApp(settingsChanged) {
+        const app = this.settingsView.app;
+        
+        // Imports and restores add a snapshot and change storage usage
+        this.settingsView.uiComponents.renderSnapshotList();
+        this.settingsView.storagePanel.render();
+
+        if (settingsChanged) {
+            this.settingsView.loadSettings();
+            this.settingsView.themeManager.applyTheme(this.settingsView.settings.theme);
+
+            if (app) {
+                app.settings = new Settings(StorageManager.getSettings());
+            }
+
+            document.dispatchEvent(new CustomEvent('settings-updated', {
+                detail: this.settingsView.settings.toObject()
+            }));
+        }
+
+        if (!app) return;
+
+        if (app.taskController) {
+            app.taskController.loadTasks();
+            app.taskController.history.clear();
+        }
+        
+        if (app.projectController) {
+            app.projectController.loadProjects();
+            this.settingsView.projectsPanel.render();
+        }
+
+        if (app.templateController) {
+            app.templateController.loadTemplates();
+            this.settingsView.templatesPanel.render();
+        }
+
+        if (app.analyticsService) {
+            app.analyticsService.loadAnalytics();
+        }
+
+        // Smart lists may have been imported too
+        app.taskView.searchBar.renderSmartLists();
+        
+        app.refreshTaskLists();
+
+        if (app.calendarController) {
+            app.calendarController.refreshCalendar();
+        }
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * SettingsProjectsPanel.js
+ *
+ * Projects panel of the settings view. Lists the projects with their colors
+ * and lets the user add, rename, recolor and delete them.
+ */
+
+export class SettingsProjectsPanel {
+    /**
+     * Create a new SettingsProjectsPanel
+     * @param {SettingsView} settingsView Reference to the parent SettingsView
+     */
+    constructor(settingsView) {
+        this.settingsView = settingsView;
+        this.section = null;
+    }
+
+    /**
+     * Get the project controller of the app
+     * @returns {ProjectController|null} Project controller, or null before the app is ready
+     */
+    get projectController() {
+        const app = this.settingsView.app;
+        return app ? app.projectController : null;
+    }
+
+    /**
+     * Add the projects panel above the save button, or refresh it
+     */
+    render() {
+        if (!this.projectController) return;
+
+        if (!this.section) {
+            this.createSection();
+        }
+
+        this.renderList();
+    }
+
+    /**
+     * Create the panel element
+     */
+    createSection() {
+        this.section = document.createElement('div');
+        this.section.id = 'projects-section';
+        this.section.className = 'form-group mt-4';
+
+        this.section.innerHTML = `
+            <label>Projects</label>
+            <div class="mt-2" id="project-list"></div>
+            <div class="input-group input-group-sm mt-2">
+                <input type="text" class="form-control" id="new-project-name" placeholder="New project name">
+                <button class="btn btn-outline-primary" type="button" id="add-project-btn">Add</button>
+            </div>
+        `;
+
+        const nameInput = this.section.querySelector('#new-project-name');
+        this.section.querySelector('#add-project-btn').addEventListener('click', () => this.addProject(nameInput));
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addProject(nameInput);
+            }
+        });
+
+        const form = this.settingsView.settingsForm;
+        form.insertBefore(this.section, form.querySelector('button[type="submit"]').parentNode);
+    }
+
+    /**
+     * Render one row per project
+     */
+    renderList() {
+        const list = this.section.querySelector('#project-list');
+        const projects = this.projectController.getAllProjects();
+
+        list.innerHTML = '';
+
+        if (projects.length === 0) {
+            list.innerHTML = '<small class="text-muted">No projects yet.</small>';
+            return;
+        }
+
+        projects.forEach(project => {
+            const row = document.createElement('div');
+            row.className = 'input-group input-group-sm mb-1';
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.className = 'form-control form-control-color';
+            colorInput.value = project.color;
+            colorInput.title = 'Project color';
+            colorInput.addEventListener('change', () => {
+                this.projectController.updateProject(project.id, { color: colorInput.value });
+                this.refreshApp();
+            });
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'form-control';
+            nameInput.value = project.name;
+            nameInput.addEventListener('change', () => {
+                try {
+                    this.projectController.updateProject(project.id, { name: nameInput.value });
+                    this.refreshApp();
+                } catch (error) {
+                    alert(error.message);
+                    nameInput.value = project.name;
+                }
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-outline-danger';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteProject(project));
+
+            row.appendChild(colorInput);
+            row.appendChild(nameInput);
+            row.appendChild(deleteBtn);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Add a project with the typed name
+     * @param {HTMLInputElement} nameInput Name input
+     */
+    addProject(nameInput) {
+        try {
+            this.projectController.createProject({ name: nameInput.value });
+            nameInput.value = '';
+            this.refreshApp();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Delete a project after confirming
+     * @param {Project} project Project to delete
+     */
+    deleteProject(project) {
+        if (!confirm(`Delete the project "${project.name}"? Its tasks are kept without a project.`)) {
+            return;
+        }
+
+        this.projectController.deleteProject(project.id);
+        this.refreshApp();
+    }
+
+    /**
+     * Refresh this panel and everything that shows projects
+     */
+    refreshApp() {
+        this.renderList();
+
+        const app = this.settingsView.app;
+        if (app && app.taskView) {
+            app.refreshTaskViews();
+        }
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * SettingsStoragePanel.js
+ *
+ * Storage panel of the settings view. Shows how much space each kind of data
+ * uses against the browser quota, and offers compaction actions with a
+ * preview of the bytes they save.
+ */
+
+import { StorageManager, STORAGE_KEYS } from '../../services/StorageManager.js';
+import { StorageCompactor, CompactionAction } from '../../services/StorageCompactor.js';
+
+// Labels for the storage keys shown in the usage list
+const KEY_LABELS = {
+    [STORAGE_KEYS.TASKS]: 'Tasks',
+    [STORAGE_KEYS.PROJECTS]: 'Projects',
+    [STORAGE_KEYS.SMART_LISTS]: 'Smart lists',
+    [STORAGE_KEYS.TASK_ORDER]: 'Task order',
+    [STORAGE_KEYS.TEMPLATES]: 'Templates',
+    [STORAGE_KEYS.TIMER_STATE]: 'Running timer',
+    [STORAGE_KEYS.ARCHIVE]: 'Archived tasks',
+    [STORAGE_KEYS.TRASH]: 'Trash',
+    [STORAGE_KEYS.ANALYTICS]: 'Analytics',
+    [STORAGE_KEYS.NOTIFICATION_HISTORY]: 'Notifications',
+    [STORAGE_KEYS.SNAPSHOTS]: 'Snapshots',
+    [STORAGE_KEYS.SETTINGS]: 'Settings'
+};
+
+// Labels for the compaction actions
+const ACTION_LABELS = {
+    [CompactionAction.ARCHIVE_COMPLETED]: { text: 'Archive old completed tasks as summaries', unit: 'task' },
+    [CompactionAction.TRIM_SESSIONS]: { text: 'Trim unstarted sessions of old completed tasks', unit: 'task' },
+    [CompactionAction.PRUNE_NOTIFICATIONS]: { text: 'Prune notification history', unit: 'notification' }
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export class SettingsStoragePanel {
+    /**
+     * Create a new SettingsStoragePanel
+     * @param {SettingsView} settingsView Reference to the parent SettingsView
+     */
+    constructor(settingsView) {
+        this.settingsView = settingsView;
+        this.section = null;
+        this.quotaPromptShown = false;
+
+        // Offer compaction instead of failing silently when storage is full
+        document.addEventListener('storage-quota-exceeded', this.handleQuotaExceeded.bind(this));
+    }
+
+    /**
+     * Add the storage panel below the other settings sections, or refresh it
+     */
+    render() {
+        if (!this.section) {
+            this.createSection();
+        }
+
+        this.renderUsage();
+        this.renderActions();
+    }
+
+    /**
+     * Create the panel element
+     */
+    createSection() {
+        this.section = document.createElement('div');
+        this.section.id = 'storage-section';
+        this.section.className = 'form-group mt-4';
+
+        this.section.innerHTML = `
+            <label>Storage</label>
+            <div class="mt-2" id="storage-usage"></div>
+            <div class="mt-3">
+                <div class="input-group input-group-sm mb-2">
+                    <span class="input-group-text">Completed tasks older than</span>
+                    <input type="number" class="form-control" id="compact-older-than" min="0" value="30">
+                    <span class="input-group-text">days</span>
+                </div>
+                <div class="input-group input-group-sm mb-2">
+                    <span class="input-group-text">Keep the last</span>
+                    <input type="number" class="form-control" id="compact-keep-notifications" min="0" value="10">
+                    <span class="input-group-text">notifications</span>
+                </div>
+                <div id="compaction-actions"></div>
+            </div>
+        `;
+
+        this.section.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => this.renderActions());
+        });
+
+        const anchor = document.getElementById('snapshots-section') ||
+            document.getElementById('data-management-section') ||
+            this.settingsView.settingsForm;
+        anchor.after(this.section);
+    }
+
+    /**
+     * Get the compaction options from the panel inputs
+     * @returns {Object} { olderThanDays, keepNotifications }
+     */
+    getOptions() {
+        return {
+            olderThanDays: Math.max(0, parseInt(this.section.querySelector('#compact-older-than').value) || 0),
+            keepNotifications: Math.max(0, parseInt(this.section.querySelector('#compact-keep-notifications').value) || 0)
+        };
+    }
+
+    /**
+     * Show usage per storage key and the browser quota
+     */
+    async renderUsage() {
+        const container = this.section.querySelector('#storage-usage');
+        const usage = StorageManager.getStorageUsageByKey();
+        const total = StorageManager.getStorageUsage();
+
+        const rows = Object.keys(KEY_LABELS).map(key => `
+            <div class="d-flex justify-content-between">
+                <span>${KEY_LABELS[key]}</span>
+                <span>${formatBytes(usage[key] || 0)}</span>
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            ${rows}
+            <div class="d-flex justify-content-between fw-bold mt-1">
+                <span>Total (approx.)</span>
+                <span>${formatBytes(total)}</span>
+            </div>
+            <div class="mt-2" id="storage-quota"></div>
+        `;
+
+        const estimate = await StorageManager.getQuotaEstimate();
+        const quotaElement = container.querySelector('#storage-quota');
+
+        if (!estimate || !estimate.quota) {
+            quotaElement.innerHTML = '<small class="text-muted">Browser quota unavailable.</small>';
+            return;
+        }
+
+        const percentage = Math.min(100, Math.round((estimate.usage / estimate.quota) * 100));
+        quotaElement.innerHTML = `
+            <div class="progress" style="height: 8px;">
+                <div class="progress-bar ${percentage > 80 ? 'bg-danger' : ''}" style="width: ${percentage}%"></div>
+            </div>
+            <small class="text-muted">
+                ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} browser quota used (${percentage}%)
+            </small>
+        `;
+    }
+
+    /**
+     * Show each compaction action with its preview
+     */
+    renderActions() {
+        const container = this.section.querySelector('#compaction-actions');
+        container.innerHTML = '';
+
+        const options = this.getOptions();
+
+        StorageCompactor.previewAll(options).forEach(preview => {
+            const label = ACTION_LABELS[preview.action];
+
+            const row = document.createElement('div');
+            row.className = 'd-flex justify-content-between align-items-center mb-2';
+
+            const info = document.createElement('div');
+            info.innerHTML = `
+                <div>${label.text}</div>
+                <small class="text-muted">
+                    ${preview.count} ${label.unit}${preview.count === 1 ? '' : 's'}, 
+                    saves ~${formatBytes(Math.max(0, preview.bytesSaved))}
+                </small>
+            `;
+
+            const applyBtn = document.createElement('button');
+            applyBtn.type = 'button';
+            applyBtn.className = 'btn btn-sm btn-outline-warning';
+            applyBtn.textContent = 'Apply';
+            applyBtn.disabled = preview.count === 0;
+            applyBtn.addEventListener('click', () => this.applyAction(preview.action, options));
+
+            row.appendChild(info);
+            row.appendChild(applyBtn);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Apply a compaction action after confirming
+     * @param {string} action One of CompactionAction
+     * @param {Object} options Compaction options
+     */
+    applyAction(action, options) {
+        if (!confirm(`${ACTION_LABELS[action].text}? This cannot be undone.`)) {
+            return;
+        }
+
+        const result = StorageCompactor.apply(action, options);
+        this.quotaPromptShown = false;
+
+        const app = this.settingsView.app;
+        if (app && app.taskController) {
+            app.taskController.loadTasks();
+            app.taskController.history.clear();
+            app.refreshTaskViews();
+        }
+
+        this.render();
+        alert(`Freed about ${formatBytes(Math.max(0, result.bytesSaved))}.`);
+    }
+
+    /**
+     * Point the user to the storage panel when a write fails because storage is full
+     */
+    handleQuotaExceeded() {
+        // Don't ask again for every failed write
+        if (this.quotaPromptShown) return;
+        this.quotaPromptShown = true;
+
+        if (!confirm('Storage full. Open the storage panel to free up space?')) {
+            return;
+        }
+
+        const settingsTab = document.querySelector('.sidebar-tab[data-tab="settings"]');
+        if (settingsTab) {
+            settingsTab.click();
+        }
+
+        this.render();
+        this.section.scrollIntoView({ behavior: 'smooth' });
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * SettingsTemplatesPanel.js
+ *
+ * Task templates panel of the settings view. Lists the saved templates,
+ * lets the user delete them and moves them in and out of the app as JSON.
+ */
+
+export class SettingsTemplatesPanel {
+    /**
+     * Create a new SettingsTemplatesPanel
+     * @param {SettingsView} settingsView Reference to the parent SettingsView
+     */
+    constructor(settingsView) {
+        this.settingsView = settingsView;
+        this.section = null;
+    }
+
+    /**
+     * Get the template controller of the app
+     * @returns {TemplateController|null} Template controller, or null before the app is ready
+     */
+    get templateController() {
+        const app = this.settingsView.app;
+        return app ? app.templateController : null;
+    }
+
+    /**
+     * Add the templates panel above the save button, or refresh it
+     */
+    render() {
+        if (!this.templateController) return;
+
+        if (!this.section) {
+            this.createSection();
+        }
+
+        this.renderList();
+    }
+
+    /**
+     * Create the panel element
+     */
+    createSection() {
+        this.section = document.createElement('div');
+        this.section.id = 'templates-section';
+        this.section.className = 'form-group mt-4';
+
+        this.section.innerHTML = `
+            <label>Task Templates</label>
+            <div class="mt-2" id="template-list"></div>
+            <div class="d-flex gap-2 mt-2">
+                <button class="btn btn-sm btn-outline-primary" type="button" id="export-templates-btn">Export JSON</button>
+                <button class="btn btn-sm btn-outline-primary" type="button" id="import-templates-btn">Import JSON</button>
+                <input type="file" id="import-templates-file" accept=".json,application/json" style="display: none;">
+            </div>
+            <small class="text-muted">Save a template with "Save as Template" in the task form.</small>
+        `;
+
+        const fileInput = this.section.querySelector('#import-templates-file');
+        this.section.querySelector('#export-templates-btn').addEventListener('click', () => this.exportTemplates());
+        this.section.querySelector('#import-templates-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importTemplates(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        const form = this.settingsView.settingsForm;
+        form.insertBefore(this.section, form.querySelector('button[type="submit"]').parentNode);
+    }
+
+    /**
+     * Render one row per template
+     */
+    renderList() {
+        const list = this.section.querySelector('#template-list');
+        const templates = this.templateController.getAllTemplates();
+
+        list.innerHTML = '';
+
+        if (templates.length === 0) {
+            list.innerHTML = '<small class="text-muted">No templates yet.</small>';
+            return;
+        }
+
+        templates.forEach(template => {
+            const row = document.createElement('div');
+            row.className = 'd-flex justify-content-between align-items-center mb-1';
+
+            const name = document.createElement('span');
+            name.textContent = template.name;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-sm btn-outline-danger';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteTemplate(template));
+
+            row.appendChild(name);
+            row.appendChild(deleteBtn);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Delete a template after confirming
+     * @param {TaskTemplate} template Template to delete
+     */
+    deleteTemplate(template) {
+        if (!confirm(`Delete the template "${template.name}"?`)) {
+            return;
+        }
+
+        this.templateController.deleteTemplate(template.id);
+        this.renderList();
+    }
+
+    /**
+     * Download all templates as a JSON file
+     */
+    exportTemplates() {
+        if (this.templateController.getAllTemplates().length === 0) {
+            alert('There are no templates to export.');
+            return;
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+        this.settingsView.dataManager.downloadFile(
+            this.templateController.exportTemplates(),
+            `pomodoro-templates-${date}.json`,
+            'application/json'
+        );
+    }
+
+    /**
+     * Add the templates of a JSON file made by "Export JSON"
+     * @param {File} file JSON file from the file input
+     */
+    async importTemplates(file) {
+        try {
+            const count = this.templateController.importTemplates(await file.text());
+            this.renderList();
+            alert(`Imported ${count} template${count === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.error('Error importing templates:', error);
+            alert(error.message);
+        }
+    }
+}
@@ -5,6 +5,17 @@
  * Responsible for rendering settings UI elements dynamically.
  */
 
+import { StorageManager, SnapshotReason } from '../../services/StorageManager.js';
+import { IdleMonitor } from '../../services/IdleMonitor.js';
+
+// Labels shown for each snapshot reason
+const SNAPSHOT_LABELS = {
+    [SnapshotReason.DAILY]: 'Daily',
+    [SnapshotReason.IMPORT]: 'Before import',
+    [SnapshotReason.CLEAR]: 'Before clearing data',
+    [SnapshotReason.RESTORE]: 'Before restore'
+};
+
 export class SettingsUIComponents {
     /**
      * Create a new SettingsUIComponents
@@ -54,15 +65,16 @@ export class SettingsUIComponents {
     }
     
     /**
-     * Add auto-pause option to settings form
+     * Add background mode option to settings form
      * @param {Settings} settings Settings object
      */
-    addAutoPauseOption(settings) {
+    addBackgroundModeOption(settings) {
         // Check if the option already exists
-        if (document.getElementById('auto-pause-inactive')) {
-            // Just update the value
-            document.getElementById('auto-pause-inactive').checked = 
-                settings.autoPauseOnInactiveTab !== false; // Default to true
+        if (document.getElementById('background-mode')) {
+            // Just update the values
+            document.getElementById('background-mode').checked = settings.backgroundMode;
+            document.getElementById('idle-timeout').value = settings.idleTimeout;
+            document.getElementById('idle-timeout-group').style.display = settings.backgroundMode ? 'block' : 'none';
             return;
         }
         
@@ -81,13 +93,108 @@ export class SettingsUIComponents {
         const checkDiv = document.createElement('div');
         checkDiv.className = 'form-check mt-2';
         checkDiv.innerHTML = `
-            <input class="form-check-input" type="checkbox" id="auto-pause-inactive" 
-                   ${settings.autoPauseOnInactiveTab !== false ? 'checked' : ''}>
-            <label class="form-check-label" for="auto-pause-inactive">
-                Auto-pause when tab is inactive
+            <input class="form-check-input" type="checkbox" id="background-mode" 
+                   ${settings.backgroundMode ? 'checked' : ''}>
+            <label class="form-check-label" for="background-mode">
+                Keep the timer running when the tab is hidden
             </label>
+            <div class="form-text">Otherwise the timer pauses when you switch tabs or apps.</div>
         `;
         group.appendChild(checkDiv);
+        
+        // Idle detection only applies in background mode
+        const idleDiv = document.createElement('div');
+        idleDiv.id = 'idle-timeout-group';
+        idleDiv.className = 'mt-2';
+        idleDiv.style.display = settings.backgroundMode ? 'block' : 'none';
+        idleDiv.innerHTML = `
+            <div class="input-group input-group-sm">
+                <span class="input-group-text">Ask about time away after</span>
+                <input type="number" class="form-control" id="idle-timeout" min="0" 
+                       value="${settings.idleTimeout}">
+                <span class="input-group-text">idle minutes</span>
+            </div>
+            <small class="form-text text-muted">Set to 0 to turn it off.</small>
+        `;
+        group.appendChild(idleDiv);
+        
+        const checkbox = checkDiv.querySelector('#background-mode');
+        checkbox.addEventListener('change', () => {
+            idleDiv.style.display = checkbox.checked ? 'block' : 'none';
+            
+            // The Idle Detection API may only be allowed from a click
+            if (checkbox.checked) {
+                IdleMonitor.requestPermission();
+            }
+        });
+    }
+    
+    /**
+     * Add session log option to settings form
+     * @param {Settings} settings Settings object
+     */
+    addSessionLogOption(settings) {
+        // Check if the option already exists
+        if (document.getElementById('prompt-session-log')) {
+            // Just update the value
+            document.getElementById('prompt-session-log').checked = 
+                settings.promptSessionLog !== false; // Default to true
+            return;
+        }
+        
+        // Add to the timer behavior group
+        const label = Array.from(this.settingsForm.querySelectorAll('label')).find(
+            label => label.textContent.includes('Timer Behavior')
+        );
+        
+        if (!label) {
+            return; // Auto-start option not added yet
+        }
+        
+        const checkDiv = document.createElement('div');
+        checkDiv.className = 'form-check mt-2';
+        checkDiv.innerHTML = `
+            <input class="form-check-input" type="checkbox" id="prompt-session-log" 
+                   ${settings.promptSessionLog !== false ? 'checked' : ''}>
+            <label class="form-check-label" for="prompt-session-log">
+                Ask for a session log after each focus session
+            </label>
+        `;
+        label.parentNode.appendChild(checkDiv);
+    }
+    
+    /**
+     * Add overtime option to settings form
+     * @param {Settings} settings Settings object
+     */
+    addOvertimeOption(settings) {
+        // Check if the option already exists
+        if (document.getElementById('allow-overtime')) {
+            // Just update the value
+            document.getElementById('allow-overtime').checked = settings.allowOvertime || false;
+            return;
+        }
+        
+        // Add to the timer behavior group
+        const label = Array.from(this.settingsForm.querySelectorAll('label')).find(
+            label => label.textContent.includes('Timer Behavior')
+        );
+        
+        if (!label) {
+            return; // Auto-start option not added yet
+        }
+        
+        const checkDiv = document.createElement('div');
+        checkDiv.className = 'form-check mt-2';
+        checkDiv.innerHTML = `
+            <input class="form-check-input" type="checkbox" id="allow-overtime" 
+                   ${settings.allowOvertime ? 'checked' : ''}>
+            <label class="form-check-label" for="allow-overtime">
+                Count overtime at the end of a focus session
+            </label>
+            <div class="form-text">The clock keeps running past zero until you finish the session; the extra time is counted.</div>
+        `;
+        label.parentNode.appendChild(checkDiv);
     }
     
     /**
@@ -161,4 +268,171 @@ export class SettingsUIComponents {
         // Add to form
         this.settingsForm.insertBefore(section, this.settingsForm.querySelector('button[type="submit"]').parentNode);
     }
+    
+    /**
+     * Add trash retention option to settings form
+     * @param {Settings} settings Settings object
+     */
+    addTrashRetentionOption(settings) {
+        // Check if the option already exists
+        if (document.getElementById('trash-retention-days')) {
+            // Just update the value
+            document.getElementById('trash-retention-days').value = settings.trashRetentionDays;
+            return;
+        }
+        
+        // Create the option group
+        const group = document.createElement('div');
+        group.className = 'form-group mt-4';
+        group.innerHTML = `
+            <label for="trash-retention-days">Trash</label>
+            <div class="input-group input-group-sm mt-2">
+                <span class="input-group-text">Delete tasks in trash after</span>
+                <input type="number" class="form-control" id="trash-retention-days" min="0" 
+                       value="${settings.trashRetentionDays}">
+                <span class="input-group-text">days</span>
+            </div>
+            <small class="form-text text-muted">Set to 0 to keep deleted tasks until you empty the trash.</small>
+        `;
+        
+        // Add to form
+        this.settingsForm.insertBefore(group, this.settingsForm.querySelector('button[type="submit"]').parentNode);
+    }
+    
+    /**
+     * Add export/import section below the settings form
+     */
+    addDataManagementSection() {
+        // Check if the section already exists
+        if (document.getElementById('data-management-section')) {
+            return;
+        }
+        
+        // Create the section
+        const section = document.createElement('div');
+        section.id = 'data-management-section';
+        section.className = 'form-group mt-4';
+        
+        // Create heading
+        const heading = document.createElement('label');
+        heading.textContent = 'Export / Import';
+        section.appendChild(heading);
+        
+        section.insertAdjacentHTML('beforeend', `
+            <div class="mt-2">
+                <label for="export-format" class="form-label">Export format</label>
+                <div class="input-group input-group-sm">
+                    <select class="form-select" id="export-format">
+                        <option value="json">Full backup (.json)</option>
+                        <option value="csv">Tasks and completed sessions (.csv)</option>
+                        <option value="ics">Calendar of focus sessions (.ics)</option>
+                    </select>
+                    <button type="button" class="btn btn-outline-primary" id="export-data-btn">Export</button>
+                </div>
+            </div>
+            <div class="mt-3">
+                <label for="import-mode" class="form-label">Import mode</label>
+                <select class="form-select form-select-sm" id="import-mode">
+                    <option value="merge">Merge with my data (preview changes first)</option>
+                    <option value="replace">Replace my data</option>
+                </select>
+                <input type="file" class="form-control form-control-sm mt-2" id="import-data-file" 
+                       accept=".json,.csv,.ics,application/json,text/csv,text/calendar">
+            </div>
+        `);
+        
+        const dataManager = this.settingsView.dataManager;
+        
+        section.querySelector('#export-data-btn').addEventListener('click', () => {
+            dataManager.exportData(section.querySelector('#export-format').value);
+        });
+        
+        const fileInput = section.querySelector('#import-data-file');
+        fileInput.addEventListener('change', async () => {
+            const mode = section.querySelector('#import-mode').value;
+            await dataManager.importFromFile(fileInput.files[0], mode);
+            
+            // Allow importing the same file again
+            fileInput.value = '';
+        });
+        
+        // Add after the form so these buttons never submit it
+        this.settingsForm.after(section);
+    }
+    
+    /**
+     * Add the snapshot list below the export/import section
+     */
+    addSnapshotsSection() {
+        // Check if the section already exists
+        if (document.getElementById('snapshots-section')) {
+            this.renderSnapshotList();
+            return;
+        }
+        
+        // Create the section
+        const section = document.createElement('div');
+        section.id = 'snapshots-section';
+        section.className = 'form-group mt-4';
+        
+        section.innerHTML = `
+            <label>Snapshots</label>
+            <small class="form-text text-muted d-block">
+                Copies of all your data, taken daily and before every import or restore.
+            </small>
+            <div class="task-list mt-2" id="snapshot-list"></div>
+        `;
+        
+        const dataSection = document.getElementById('data-management-section');
+        (dataSection || this.settingsForm).after(section);
+        
+        this.renderSnapshotList();
+    }
+    
+    /**
+     * Render the list of stored snapshots
+     */
+    renderSnapshotList() {
+        const list = document.getElementById('snapshot-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        const snapshots = StorageManager.getSnapshots();
+        
+        if (snapshots.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <p>No snapshots yet.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('div');
+            item.className = 'd-flex justify-content-between align-items-center mb-2';
+            
+            const info = document.createElement('div');
+            info.innerHTML = `
+                <div>${new Date(snapshot.createdAt).toLocaleString()}</div>
+                <small class="text-muted">
+                    ${SNAPSHOT_LABELS[snapshot.reason] || snapshot.reason} | 
+                    ${snapshot.taskCount} task${snapshot.taskCount === 1 ? '' : 's'}
+                </small>
+            `;
+            
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'btn btn-sm btn-outline-warning';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => {
+                this.settingsView.dataManager.restoreSnapshot(snapshot);
+            });
+            
+            item.appendChild(info);
+            item.appendChild(restoreBtn);
+            list.appendChild(item);
+        });
+    }
 }
\ No newline at end of file
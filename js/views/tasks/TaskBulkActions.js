@@ -0,0 +1,298 @@
+/**
+ * TaskBulkActions.js
+ *
+ * Multi-select of the ongoing task list and the actions that run on all
+ * selected tasks at once. Every action goes through one TaskController call,
+ * so it is undone in one step.
+ */
+
+import { NO_PROJECT } from '../../models/TaskFilter.js';
+
+/**
+ * TaskBulkActions class for selecting tasks and acting on them together
+ */
+export class TaskBulkActions {
+    /**
+     * Create a new TaskBulkActions
+     * @param {TaskView} taskView Reference to the parent TaskView
+     */
+    constructor(taskView) {
+        this.taskView = taskView;
+        this.app = taskView.app;
+
+        // Whether the task list is in select mode
+        this.isSelecting = false;
+
+        // IDs of the selected tasks
+        this.selectedIds = new Set();
+
+        // IDs of the tasks shown in the list, for "Select all"
+        this.visibleIds = [];
+
+        this.elements = {
+            toggleBtn: document.getElementById('bulk-select-btn'),
+            bar: document.getElementById('bulk-actions'),
+            count: document.getElementById('bulk-selected-count'),
+            selectAllBtn: document.getElementById('bulk-select-all-btn'),
+            rescheduleBtn: document.getElementById('bulk-reschedule-btn'),
+            priority: document.getElementById('bulk-priority'),
+            project: document.getElementById('bulk-project'),
+            tagBtn: document.getElementById('bulk-tag-btn'),
+            completeBtn: document.getElementById('bulk-complete-btn'),
+            deleteBtn: document.getElementById('bulk-delete-btn')
+        };
+    }
+
+    /**
+     * Initialize the select mode and action listeners
+     */
+    initListeners() {
+        const { toggleBtn, selectAllBtn, rescheduleBtn, priority, project, tagBtn, completeBtn, deleteBtn } = this.elements;
+        if (!toggleBtn) return;
+
+        toggleBtn.addEventListener('click', () => this.setSelecting(!this.isSelecting));
+        selectAllBtn.addEventListener('click', () => this.toggleSelectAll());
+        rescheduleBtn.addEventListener('click', () => this.reschedule());
+        tagBtn.addEventListener('click', () => this.addTag());
+        completeBtn.addEventListener('click', () => this.complete());
+        deleteBtn.addEventListener('click', () => this.delete());
+
+        priority.addEventListener('change', () => {
+            if (priority.value) {
+                this.setPriority(priority.value);
+            }
+            priority.value = '';
+        });
+
+        project.addEventListener('change', () => {
+            if (project.value) {
+                this.setProject(project.value === NO_PROJECT ? null : project.value);
+            }
+            project.value = '';
+        });
+    }
+
+    /**
+     * Turn select mode on or off
+     * @param {boolean} isSelecting True to select tasks
+     */
+    setSelecting(isSelecting) {
+        this.isSelecting = isSelecting;
+        this.selectedIds.clear();
+
+        this.elements.toggleBtn.textContent = isSelecting ? 'Done' : 'Select';
+        this.taskView.refreshTaskLists();
+    }
+
+    /**
+     * Check if a task is selected
+     * @param {string} taskId Task ID
+     * @returns {boolean} True if selected
+     */
+    isSelected(taskId) {
+        return this.selectedIds.has(taskId);
+    }
+
+    /**
+     * Select or unselect a task
+     * @param {string} taskId Task ID
+     */
+    toggleTask(taskId) {
+        if (this.selectedIds.has(taskId)) {
+            this.selectedIds.delete(taskId);
+        } else {
+            this.selectedIds.add(taskId);
+        }
+
+        this.taskView.refreshTaskLists();
+    }
+
+    /**
+     * Select every task in the list, or none if all are selected already
+     */
+    toggleSelectAll() {
+        const allSelected = this.visibleIds.length > 0 && this.visibleIds.every(id => this.selectedIds.has(id));
+
+        this.selectedIds.clear();
+        if (!allSelected) {
+            this.visibleIds.forEach(id => this.selectedIds.add(id));
+        }
+
+        this.taskView.refreshTaskLists();
+    }
+
+    /**
+     * Update the action bar for the tasks now shown in the list.
+     * Tasks that are no longer shown are unselected, so an action never
+     * touches a task the user can't see.
+     * @param {Array} taskIds IDs of the tasks shown in the list
+     */
+    update(taskIds) {
+        const { bar, count, selectAllBtn, project } = this.elements;
+        if (!bar) return;
+
+        this.visibleIds = [...new Set(taskIds)];
+        this.selectedIds.forEach(id => {
+            if (!this.visibleIds.includes(id)) {
+                this.selectedIds.delete(id);
+            }
+        });
+
+        bar.style.display = this.isSelecting ? 'block' : 'none';
+        if (!this.isSelecting) return;
+
+        const selectedCount = this.selectedIds.size;
+        count.textContent = `${selectedCount} selected`;
+
+        const allSelected = this.visibleIds.length > 0 && selectedCount === this.visibleIds.length;
+        selectAllBtn.textContent = allSelected ? 'Select none' : 'Select all';
+
+        bar.querySelectorAll('button:not(#bulk-select-all-btn), select').forEach(control => {
+            control.disabled = selectedCount === 0;
+        });
+
+        // Projects change, so the menu is rebuilt each time
+        const projects = this.app.projectController ? this.app.projectController.getAllProjects() : [];
+        project.innerHTML = '';
+        project.add(new Option('Project...', ''));
+        projects.forEach(p => project.add(new Option(p.name, p.id)));
+        project.add(new Option('No project', NO_PROJECT));
+    }
+
+    /**
+     * Get the selected task IDs
+     * @returns {Array} Task IDs in list order
+     */
+    getSelectedIds() {
+        return this.visibleIds.filter(id => this.selectedIds.has(id));
+    }
+
+    /**
+     * Ask how to reschedule the selected tasks and do it
+     */
+    reschedule() {
+        const taskIds = this.getSelectedIds();
+        if (taskIds.length === 0) return;
+
+        const answer = prompt(
+            `Reschedule ${taskIds.length} task${taskIds.length === 1 ? '' : 's'}.\n` +
+            'Enter a number of days to shift them by (e.g. 1 or -2),\n' +
+            'or a date to move them to (YYYY-MM-DD):'
+        );
+        if (answer === null) return;
+
+        const value = answer.trim();
+        let change;
+
+        if (/^[+-]?\d+$/.test(value)) {
+            change = { shiftDays: parseInt(value, 10) };
+        } else if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime())) {
+            change = { date: value };
+        } else {
+            alert('Please enter a number of days or a date as YYYY-MM-DD.');
+            return;
+        }
+
+        const count = this.app.taskController.bulkReschedule(taskIds, change);
+        if (count < taskIds.length) {
+            alert(`${taskIds.length - count} of the selected tasks have no dates to shift and were left as they are.`);
+        }
+
+        this.app.refreshTaskViews();
+    }
+
+    /**
+     * Set the priority of the selected tasks
+     * @param {string} priority One of TaskPriority
+     */
+    setPriority(priority) {
+        const taskIds = this.getSelectedIds();
+        if (taskIds.length === 0) return;
+
+        this.app.taskController.bulkSetPriority(taskIds, priority);
+        this.app.refreshTaskViews();
+    }
+
+    /**
+     * Move the selected tasks to a project
+     * @param {string|null} projectId Project ID, or null for no project
+     */
+    setProject(projectId) {
+        const taskIds = this.getSelectedIds();
+        if (taskIds.length === 0) return;
+
+        this.app.taskController.bulkSetProject(taskIds, projectId);
+        this.app.refreshTaskViews();
+    }
+
+    /**
+     * Ask for a tag and add it to the selected tasks
+     */
+    addTag() {
+        const taskIds = this.getSelectedIds();
+        if (taskIds.length === 0) return;
+
+        const answer = prompt('Tag to add to the selected tasks:');
+        if (answer === null) return;
+
+        const tag = answer.replace(/,/g, ' ').trim().replace(/^#+/, '').trim();
+        if (!tag) {
+            alert('Tag is required.');
+            return;
+        }
+
+        // Reuse the spelling of an existing tag
+        const existing = this.app.taskController.getAllTags().find(t => t.toLowerCase() === tag.toLowerCase());
+
+        this.app.taskController.bulkAddTag(taskIds, existing || tag);
+        this.app.refreshTaskViews();
+    }
+
+    /**
+     * Mark the selected tasks as completed
+     */
+    complete() {
+        const taskIds = this.getSelectedIds();
+        if (taskIds.length === 0) return;
+
+        if (!confirm(`Mark ${taskIds.length} task${taskIds.length === 1 ? '' : 's'} as completed?`)) {
+            return;
+        }
+
+        this.releaseActiveTask(taskIds);
+        this.app.taskController.bulkComplete(taskIds);
+        this.selectedIds.clear();
+        this.app.refreshTaskViews();
+    }
+
+    /**
+     * Move the selected tasks to the trash
+     */
+    delete() {
+        const taskIds = this.getSelectedIds();
+        if (taskIds.length === 0) return;
+
+        if (!confirm(`Move ${taskIds.length} task${taskIds.length === 1 ? '' : 's'} to the trash?`)) {
+            return;
+        }
+
+        this.releaseActiveTask(taskIds);
+        this.app.taskController.bulkDelete(taskIds);
+        this.selectedIds.clear();
+        this.app.refreshTaskViews();
+    }
+
+    /**
+     * Stop the timer if it is on one of the tasks about to be completed or deleted
+     * @param {Array} taskIds Task IDs
+     */
+    releaseActiveTask(taskIds) {
+        const timerController = this.app.timerController;
+        if (!timerController || !timerController.activeTask || !taskIds.includes(timerController.activeTask.id)) {
+            return;
+        }
+
+        timerController.stopTimer();
+        timerController.sessionManager.setActiveTask(null);
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * TaskChecklistEditor.js
+ *
+ * Checklist editor of the task modal. Keeps an ordered list of subtasks,
+ * each optionally assigned to one of the task's focus sessions.
+ */
+
+import { SessionType } from '../../models/Task.js';
+import { remapSubtaskSessions } from '../../models/SessionEdits.js';
+
+/**
+ * Generates a unique ID for a checklist item
+ * @returns {string} Unique ID
+ */
+function generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * TaskChecklistEditor class for editing the checklist of a task
+ */
+export class TaskChecklistEditor {
+    /**
+     * Create a new TaskChecklistEditor
+     * @param {TaskFormManager} formManager Reference to the parent TaskFormManager
+     */
+    constructor(formManager) {
+        this.formManager = formManager;
+
+        // Working copy of the checklist items
+        this.subtasks = [];
+    }
+
+    /**
+     * Initialize the add item controls
+     */
+    initListeners() {
+        const input = document.getElementById('new-checklist-item');
+        const addBtn = document.getElementById('add-checklist-item-btn');
+
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addItem());
+        }
+
+        if (input) {
+            input.addEventListener('keydown', (e) => {
+                // Enter adds the item instead of submitting the task form
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.addItem();
+                }
+            });
+        }
+    }
+
+    /**
+     * Load the checklist of a task into the editor
+     * @param {Task|null} task Task being edited, or null for a new task
+     */
+    loadTask(task) {
+        this.subtasks = task ? task.subtasks.map(subtask => ({ ...subtask })) : [];
+
+        document.getElementById('new-checklist-item').value = '';
+        document.getElementById('checklist-counts-progress').checked = task ? task.checklistCountsToProgress : false;
+
+        this.render();
+    }
+
+    /**
+     * Get the checklist to save with the task
+     * @returns {Array} Checklist items
+     */
+    getSubtasks() {
+        return this.subtasks
+            .map(subtask => ({ ...subtask, text: subtask.text.trim() }))
+            .filter(subtask => subtask.text);
+    }
+
+    /**
+     * Keep the items with their focus sessions after the sessions were edited
+     * @param {Array} oldSessions Sessions before the edit
+     * @param {Array} newSessions Sessions after the edit
+     */
+    remapSessions(oldSessions, newSessions) {
+        this.subtasks = remapSubtaskSessions(this.subtasks, oldSessions, newSessions);
+    }
+
+    /**
+     * Add the item typed in the new item field
+     */
+    addItem() {
+        const input = document.getElementById('new-checklist-item');
+        const text = input.value.trim();
+
+        if (!text) return;
+
+        this.subtasks.push({
+            id: generateUniqueId(),
+            text,
+            done: false,
+            focusSession: null
+        });
+
+        input.value = '';
+        this.render();
+    }
+
+    /**
+     * Move an item up or down
+     * @param {number} index Item index
+     * @param {number} offset -1 to move up, 1 to move down
+     */
+    moveItem(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.subtasks.length) return;
+
+        const [item] = this.subtasks.splice(index, 1);
+        this.subtasks.splice(target, 0, item);
+        this.render();
+    }
+
+    /**
+     * Remove an item
+     * @param {number} index Item index
+     */
+    removeItem(index) {
+        this.subtasks.splice(index, 1);
+        this.render();
+    }
+
+    /**
+     * Get the number of focus sessions items can be assigned to
+     * @returns {number} Number of focus sessions in the session editor
+     */
+    getFocusSessionCount() {
+        return this.formManager.sessionEditor.sessions.filter(s => s.type === SessionType.FOCUS).length;
+    }
+
+    /**
+     * Render the checklist items
+     */
+    render() {
+        const container = document.getElementById('task-checklist');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.subtasks.length === 0) {
+            container.innerHTML = '<small class="text-muted">No checklist items yet.</small>';
+            return;
+        }
+
+        const focusCount = this.getFocusSessionCount();
+
+        this.subtasks.forEach((subtask, index) => {
+            container.appendChild(this.createItemRow(subtask, index, focusCount));
+        });
+    }
+
+    /**
+     * Create the row of a checklist item
+     * @param {Object} subtask Checklist item
+     * @param {number} index Item index
+     * @param {number} focusCount Number of focus sessions of the task
+     * @returns {HTMLElement} Row element
+     */
+    createItemRow(subtask, index, focusCount) {
+        const row = document.createElement('div');
+        row.className = 'input-group input-group-sm mb-1';
+
+        const checkWrapper = document.createElement('div');
+        checkWrapper.className = 'input-group-text';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'form-check-input mt-0';
+        checkbox.checked = subtask.done;
+        checkbox.addEventListener('change', () => {
+            subtask.done = checkbox.checked;
+        });
+        checkWrapper.appendChild(checkbox);
+        row.appendChild(checkWrapper);
+
+        const textInput = document.createElement('input');
+        textInput.type = 'text';
+        textInput.className = 'form-control';
+        textInput.value = subtask.text;
+        textInput.addEventListener('input', () => {
+            subtask.text = textInput.value;
+        });
+        row.appendChild(textInput);
+
+        // Session select; keep an assignment to a session that no longer exists
+        const sessionSelect = document.createElement('select');
+        sessionSelect.className = 'form-select';
+        sessionSelect.style.maxWidth = '130px';
+        sessionSelect.add(new Option('Any session', ''));
+        for (let i = 1; i <= Math.max(focusCount, subtask.focusSession || 0); i++) {
+            sessionSelect.add(new Option(`Session ${i}`, String(i)));
+        }
+        sessionSelect.value = subtask.focusSession ? String(subtask.focusSession) : '';
+        sessionSelect.addEventListener('change', () => {
+            subtask.focusSession = sessionSelect.value ? parseInt(sessionSelect.value) : null;
+        });
+        row.appendChild(sessionSelect);
+
+        row.appendChild(this.createButton('↑', 'Move up', index === 0, () => this.moveItem(index, -1)));
+        row.appendChild(this.createButton('↓', 'Move down', index === this.subtasks.length - 1, () => this.moveItem(index, 1)));
+        row.appendChild(this.createButton('✕', 'Remove', false, () => this.removeItem(index)));
+
+        return row;
+    }
+
+    /**
+     * Create a small row button
+     * @param {string} text Button text
+     * @param {string} title Button tooltip
+     * @param {boolean} disabled Whether the button is disabled
+     * @param {Function} onClick Click handler
+     * @returns {HTMLElement} Button element
+     */
+    createButton(text, title, disabled, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-outline-secondary';
+        button.textContent = text;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
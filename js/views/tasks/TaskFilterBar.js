@@ -0,0 +1,126 @@
+/**
+ * TaskFilterBar.js
+ *
+ * Filter and group controls of the tasks tab. Keeps the current filter
+ * choices and refreshes the task list when they change.
+ */
+
+import { TaskGroupBy, NO_PROJECT, EMPTY_FILTERS } from '../../models/TaskFilter.js';
+
+/**
+ * TaskFilterBar class for the task list filter controls
+ */
+export class TaskFilterBar {
+    /**
+     * Create a new TaskFilterBar
+     * @param {TaskView} taskView Reference to the parent TaskView
+     */
+    constructor(taskView) {
+        this.taskView = taskView;
+        this.app = taskView.app;
+
+        // Current filter choices
+        this.filters = { ...EMPTY_FILTERS };
+        this.groupBy = TaskGroupBy.NONE;
+
+        this.elements = {
+            project: document.getElementById('filter-project'),
+            tag: document.getElementById('filter-tag'),
+            priority: document.getElementById('filter-priority'),
+            status: document.getElementById('filter-status'),
+            groupBy: document.getElementById('group-by'),
+            clear: document.getElementById('clear-filters-btn')
+        };
+    }
+
+    /**
+     * Initialize the filter control listeners
+     */
+    initListeners() {
+        const { project, tag, priority, status, groupBy, clear } = this.elements;
+        if (!project) return;
+
+        project.addEventListener('change', () => this.setFilter('projectId', project.value));
+        tag.addEventListener('change', () => this.setFilter('tag', tag.value));
+        priority.addEventListener('change', () => this.setFilter('priority', priority.value));
+        status.addEventListener('change', () => this.setFilter('status', status.value));
+
+        groupBy.addEventListener('change', () => {
+            this.groupBy = groupBy.value;
+            this.taskView.refreshTaskLists();
+        });
+
+        if (clear) {
+            clear.addEventListener('click', () => this.clearFilters());
+        }
+    }
+
+    /**
+     * Change one filter and refresh the task list
+     * @param {string} key Filter key
+     * @param {string} value Filter value ('' for any)
+     */
+    setFilter(key, value) {
+        this.filters[key] = value;
+        this.taskView.refreshTaskLists();
+    }
+
+    /**
+     * Reset all filters and refresh the task list
+     */
+    clearFilters() {
+        this.filters = { ...EMPTY_FILTERS };
+
+        this.elements.priority.value = '';
+        this.elements.status.value = '';
+        this.taskView.refreshTaskLists();
+    }
+
+    /**
+     * Check if any filter is set
+     * @returns {boolean} True if the list is filtered
+     */
+    isFiltered() {
+        return Object.values(this.filters).some(value => value);
+    }
+
+    /**
+     * Refresh the project and tag options, which change as tasks and projects do
+     */
+    refreshOptions() {
+        const { project, tag, clear } = this.elements;
+        if (!project) return;
+
+        const projects = this.app.projectController ? this.app.projectController.getAllProjects() : [];
+        this.fillSelect(project, 'All projects', [
+            ...projects.map(p => ({ value: p.id, label: p.name })),
+            { value: NO_PROJECT, label: 'No project' }
+        ], 'projectId');
+
+        const tags = this.app.taskController.getAllTags();
+        this.fillSelect(tag, 'All tags', tags.map(t => ({ value: t, label: `#${t}` })), 'tag');
+
+        if (clear) {
+            clear.style.display = this.isFiltered() ? 'inline-block' : 'none';
+        }
+    }
+
+    /**
+     * Replace the options of a filter select, dropping a choice that no longer exists
+     * @param {HTMLSelectElement} select Select element
+     * @param {string} anyLabel Label of the "any" option
+     * @param {Array} options Array of { value, label }
+     * @param {string} filterKey Filter the select controls
+     */
+    fillSelect(select, anyLabel, options, filterKey) {
+        select.innerHTML = '';
+        select.add(new Option(anyLabel, ''));
+        options.forEach(option => select.add(new Option(option.label, option.value)));
+
+        if (!options.some(option => option.value === this.filters[filterKey])) {
+            this.filters[filterKey] = '';
+        }
+
+        select.value = this.filters[filterKey];
+    }
+}
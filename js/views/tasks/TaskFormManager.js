@@ -4,7 +4,14 @@
  * Manages the task form and modal interactions.
  * Handles form validation, data retrieval, and task creation/editing.
  */
+import { TaskStatus } from '../../models/Task.js';
+import { SessionPlan, FinalSessionRule, DEFAULT_SESSION_PLAN } from '../../models/SessionPlan.js';
+import { TaskSessionEditor } from './TaskSessionEditor.js';
+import { TaskChecklistEditor } from './TaskChecklistEditor.js';
+import { TaskTagInput } from './TaskTagInput.js';
+
 const bootstrap = window.bootstrap;
+
 /**
  * TaskFormManager class for handling task form operations
  */
@@ -17,6 +24,18 @@ export class TaskFormManager {
         this.taskView = taskView;
         this.app = taskView.app;
         this.updatedSettings = null;
+        this.sessionEditor = new TaskSessionEditor(this);
+        this.checklistEditor = new TaskChecklistEditor(this);
+        this.tagInput = new TaskTagInput(this);
+
+        // Checklist items can be assigned to any of the edited focus sessions
+        // and stay with their session when it is moved, split or merged
+        this.sessionEditor.onChange = (sessions, previous) => {
+            if (previous) {
+                this.checklistEditor.remapSessions(previous, sessions);
+            }
+            this.checklistEditor.render();
+        };
     }
 
     /**
@@ -108,6 +127,54 @@ export class TaskFormManager {
             });
         }
         
+        // Keep the session plan preview in sync with the fields it depends on
+        const planInputIds = [
+            'task-duration-hours', 'task-duration-minutes', 'custom-focus-time', 'custom-break-time',
+            'procrastination-mode', 'long-break-time', 'long-break-interval', 'warm-up-time',
+            'cool-down-time', 'final-session-rule', 'merge-threshold'
+        ];
+        planInputIds.forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.renderSessionPlanPreview());
+                input.addEventListener('change', () => this.renderSessionPlanPreview());
+            }
+        });
+        timerPresetRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.renderSessionPlanPreview());
+        });
+        
+        this.checklistEditor.initListeners();
+        this.tagInput.initListeners();
+        
+        // Start a new task from a template
+        const templateSelect = document.getElementById('task-template-select');
+        if (templateSelect) {
+            templateSelect.addEventListener('change', () => {
+                const template = this.app.templateController.getTemplateById(templateSelect.value);
+                this.showTaskModal(null, template);
+            });
+        }
+        
+        const saveTemplateBtn = document.getElementById('save-template-btn');
+        if (saveTemplateBtn) {
+            saveTemplateBtn.addEventListener('click', () => this.saveAsTemplate());
+        }
+        
+        const newProjectBtn = document.getElementById('new-project-btn');
+        if (newProjectBtn) {
+            newProjectBtn.addEventListener('click', () => this.createProjectFromForm());
+        }
+        
+        // The merge threshold only applies when the last session is shortened
+        const finalRuleSelect = document.getElementById('final-session-rule');
+        if (finalRuleSelect) {
+            finalRuleSelect.addEventListener('change', () => {
+                document.getElementById('merge-threshold-group').style.display = 
+                    finalRuleSelect.value === FinalSessionRule.PROPORTIONAL ? 'block' : 'none';
+            });
+        }
+        
         console.log('Task form event listeners setup complete');
     }
 
@@ -162,6 +229,8 @@ export class TaskFormManager {
         
         // Update reminder value based on settings
         this.updateReminderDropdown(settings.defaultReminderTime);
+        
+        this.renderSessionPlanPreview();
     }
 
     /**
@@ -207,8 +276,9 @@ export class TaskFormManager {
     /**
      * Show the task creation/edit modal
      * @param {Object} taskData Optional task data for editing
+     * @param {TaskTemplate} template Optional template to fill a new task from
      */
-    showTaskModal(taskData = null) {
+    showTaskModal(taskData = null, template = null) {
         // Get the modal element
         const modal = document.getElementById('task-modal');
         if (!modal) return;
@@ -251,6 +321,8 @@ export class TaskFormManager {
                 document.getElementById('custom-break-time').value = breakDuration;
             }
             
+            this.setSessionPlanFields(DEFAULT_SESSION_PLAN);
+            
             // Set reminder value based on settings
             const reminderSelect = document.getElementById('task-reminder');
             if (settings.defaultReminderTime === null) {
@@ -266,91 +338,18 @@ export class TaskFormManager {
         if (taskData) {
             // Set form fields with task data
             document.getElementById('task-id').value = taskData.id;
-            document.getElementById('task-name').value = taskData.name;
-            
-            if (taskData.dueDate) {
-                document.getElementById('task-due-date').value = taskData.dueDate;
-            }
-            
-            if (taskData.dueTime) {
-                document.getElementById('task-due-time').value = taskData.dueTime;
-            }
-            
-            if (taskData.startDate) {
-                document.getElementById('task-start-date').value = taskData.startDate;
-            }
-            
-            if (taskData.startTime) {
-                document.getElementById('task-start-time').value = taskData.startTime;
-            }
-            
-            // Split duration into hours and minutes
-            const totalHours = taskData.estimatedDuration;
-            const hours = Math.floor(totalHours);
-            const minutes = Math.round((totalHours - hours) * 60);
-            
-            document.getElementById('task-duration-hours').value = hours;
-            document.getElementById('task-duration-minutes').value = minutes;
-            
-            document.getElementById('task-priority').value = taskData.priority;
-            
-            // Set timer settings
-            if (taskData.timerSettings?.useCustomTimer) {
-                document.getElementById('timer-custom').checked = true;
-                document.getElementById('custom-timer-inputs').style.display = 'block';
-                document.getElementById('custom-focus-time').value = taskData.timerSettings.focusDuration;
-                document.getElementById('custom-break-time').value = taskData.timerSettings.breakDuration;
-            } else {
-                // Set preset radio button based on timer settings
-                const focusDuration = taskData.timerSettings.focusDuration;
-                const breakDuration = taskData.timerSettings.breakDuration;
-                
-                if (focusDuration === 25 && breakDuration === 5) {
-                    document.getElementById('timer-default').checked = true;
-                } else if (focusDuration === 15 && breakDuration === 3) {
-                    document.getElementById('timer-short').checked = true;
-                } else if (focusDuration === 50 && breakDuration === 10) {
-                    document.getElementById('timer-long').checked = true;
-                } else {
-                    // Use custom timer preset for any non-standard settings
-                    document.getElementById('timer-custom').checked = true;
-                    document.getElementById('custom-timer-inputs').style.display = 'block';
-                    document.getElementById('custom-focus-time').value = focusDuration;
-                    document.getElementById('custom-break-time').value = breakDuration;
-                }
-            }
-            
-            document.getElementById('procrastination-mode').checked = taskData.procrastinationMode;
-            
-            if (taskData.isRecurring) {
-                document.getElementById('task-recurring').checked = true;
-                document.getElementById('recurring-options').style.display = 'block';
-                
-                // Check the appropriate day checkboxes
-                if (taskData.recurringDays && taskData.recurringDays.length > 0) {
-                    taskData.recurringDays.forEach(day => {
-                        const checkbox = document.getElementById(`day-${day}`);
-                        if (checkbox) checkbox.checked = true;
-                    });
-                }
-            }
-            
-            // Set reminder value
-            const reminderSelect = document.getElementById('task-reminder');
-            if (taskData.reminderTime === null) {
-                reminderSelect.value = 'none';
-            } else if (taskData.reminderTime === this.app.settings.defaultReminderTime) {
-                reminderSelect.value = 'default';
-            } else if ([15, 30, 60, 120].includes(taskData.reminderTime)) {
-                // Find the option that matches the reminder time
-                reminderSelect.value = taskData.reminderTime.toString();
-            } else {
-                // Default to "default" if no match
-                reminderSelect.value = 'default';
-            }
+            this.fillTaskForm(taskData);
         }
         
-        if (!taskData) {
+        // Template fields replace the defaults of a new task
+        const templateData = !taskData && template ? template.toTaskData() : null;
+        if (templateData) {
+            this.fillTaskForm(templateData);
+        }
+        
+        this.populateTemplateOptions(taskData, template);
+        
+        if (!taskData && !templateData) {
             // Apply any updated settings that were saved while the modal was closed
             const settings = this.updatedSettings || (this.app.settings ? this.app.settings.toObject() : null);
 
@@ -359,114 +358,430 @@ export class TaskFormManager {
             }
         }
 
+        const formData = taskData || templateData;
+        this.populateProjectOptions(formData ? formData.projectId : null);
+        this.tagInput.loadTask(formData);
+        this.populateBlockedByOptions(taskData);
+        this.checklistEditor.loadTask(formData);
+
+        // Show the task's own sessions when editing, generated ones for a new task
+        this.sessionEditor.loadTask(taskData);
+        if (!taskData) {
+            this.renderSessionPlanPreview();
+        }
+
         // Show the modal
         modalInstance.show();
     }
 
     /**
-     * Save a task from the modal form
+     * Set the form fields from task data
+     * @param {Object} taskData Task being edited, or the task fields of a template
      */
-    // Modified saveTask method with better debugging and error handling
-    saveTask() {
-        console.log('Save Task button clicked');
+    fillTaskForm(taskData) {
+        document.getElementById('task-name').value = taskData.name;
+        document.getElementById('task-notes').value = taskData.notes || '';
         
-        try {
-            // Get common form values
-            const taskId = document.getElementById('task-id').value;
-            console.log('Task ID:', taskId);
+        if (taskData.dueDate) {
+            document.getElementById('task-due-date').value = taskData.dueDate;
+        }
+        
+        if (taskData.dueTime) {
+            document.getElementById('task-due-time').value = taskData.dueTime;
+        }
+        
+        if (taskData.startDate) {
+            document.getElementById('task-start-date').value = taskData.startDate;
+        }
+        
+        if (taskData.startTime) {
+            document.getElementById('task-start-time').value = taskData.startTime;
+        }
+        
+        // Split duration into hours and minutes
+        const totalHours = taskData.estimatedDuration;
+        const hours = Math.floor(totalHours);
+        const minutes = Math.round((totalHours - hours) * 60);
+        
+        document.getElementById('task-duration-hours').value = hours;
+        document.getElementById('task-duration-minutes').value = minutes;
+        
+        document.getElementById('task-priority').value = taskData.priority;
+        
+        // Set timer settings
+        if (taskData.timerSettings?.useCustomTimer) {
+            document.getElementById('timer-custom').checked = true;
+            document.getElementById('custom-timer-inputs').style.display = 'block';
+            document.getElementById('custom-focus-time').value = taskData.timerSettings.focusDuration;
+            document.getElementById('custom-break-time').value = taskData.timerSettings.breakDuration;
+        } else {
+            // Set preset radio button based on timer settings
+            const focusDuration = taskData.timerSettings.focusDuration;
+            const breakDuration = taskData.timerSettings.breakDuration;
             
-            const name = document.getElementById('task-name').value.trim();
-            const dueDate = document.getElementById('task-due-date').value;
-            const dueTime = document.getElementById('task-due-time').value;
-            const startDate = document.getElementById('task-start-date').value;
-            const startTime = document.getElementById('task-start-time').value;
-
-            const durationHours = parseFloat(document.getElementById('task-duration-hours').value) || 0;
-            const durationMinutes = parseFloat(document.getElementById('task-duration-minutes').value) || 0;
-            const estimatedDuration = durationHours + (durationMinutes / 60); // Convert to hours
-
-            const priority = document.getElementById('task-priority').value;
-
-            // --- VALIDATIONS ---
-            if (!name) {
-                alert('Task name is required.');
-                return;
+            if (focusDuration === 25 && breakDuration === 5) {
+                document.getElementById('timer-default').checked = true;
+            } else if (focusDuration === 15 && breakDuration === 3) {
+                document.getElementById('timer-short').checked = true;
+            } else if (focusDuration === 50 && breakDuration === 10) {
+                document.getElementById('timer-long').checked = true;
+            } else {
+                // Use custom timer preset for any non-standard settings
+                document.getElementById('timer-custom').checked = true;
+                document.getElementById('custom-timer-inputs').style.display = 'block';
+                document.getElementById('custom-focus-time').value = focusDuration;
+                document.getElementById('custom-break-time').value = breakDuration;
             }
-            if (estimatedDuration <= 0) {
-                alert('Please enter a valid estimated duration (at least 1 minute).');
-                return;
+        }
+        
+        document.getElementById('procrastination-mode').checked = taskData.procrastinationMode;
+        
+        this.setSessionPlanFields(taskData.sessionPlan || DEFAULT_SESSION_PLAN);
+        
+        if (taskData.isRecurring) {
+            document.getElementById('task-recurring').checked = true;
+            document.getElementById('recurring-options').style.display = 'block';
+            
+            // Check the appropriate day checkboxes
+            if (taskData.recurringDays && taskData.recurringDays.length > 0) {
+                taskData.recurringDays.forEach(day => {
+                    const checkbox = document.getElementById(`day-${day}`);
+                    if (checkbox) checkbox.checked = true;
+                });
             }
+        }
+        
+        // Set reminder value
+        const reminderSelect = document.getElementById('task-reminder');
+        if (taskData.reminderTime === null) {
+            reminderSelect.value = 'none';
+        } else if (taskData.reminderTime === this.app.settings.defaultReminderTime) {
+            reminderSelect.value = 'default';
+        } else if ([15, 30, 60, 120].includes(taskData.reminderTime)) {
+            // Find the option that matches the reminder time
+            reminderSelect.value = taskData.reminderTime.toString();
+        } else {
+            // Default to "default" if no match
+            reminderSelect.value = 'default';
+        }
+    }
 
-            // Get timer settings
-            const timerPreset = document.querySelector('input[name="timer-preset"]:checked').value;
-            let focusDuration, breakDuration, useCustomTimer;
-
-            if (timerPreset === 'custom') {
-                useCustomTimer = true;
-                focusDuration = parseInt(document.getElementById('custom-focus-time').value);
-                breakDuration = parseInt(document.getElementById('custom-break-time').value);
+    /**
+     * Fill the "New from template" select, shown only when adding a task
+     * @param {Object} taskData Task being edited, or null for a new task
+     * @param {TaskTemplate|null} selected Template the form was filled from
+     */
+    populateTemplateOptions(taskData, selected) {
+        const group = document.getElementById('task-template-group');
+        const select = document.getElementById('task-template-select');
+        if (!group || !select) return;
+        
+        const templates = this.app.templateController.getAllTemplates();
+        group.style.display = !taskData && templates.length > 0 ? 'block' : 'none';
+        
+        select.innerHTML = '';
+        select.add(new Option('Blank task', ''));
+        templates.forEach(template => select.add(new Option(template.name, template.id)));
+        
+        select.value = selected ? selected.id : '';
+    }
 
-                if (isNaN(focusDuration) || focusDuration <= 0 || isNaN(breakDuration) || breakDuration <= 0) {
-                    alert('Please enter valid custom focus and break durations (must be greater than 0).');
-                    return;
-                }
-            } else {
-                useCustomTimer = false;
-                switch (timerPreset) {
-                    case 'short':
-                        focusDuration = 15; breakDuration = 3; break;
-                    case 'long':
-                        focusDuration = 50; breakDuration = 10; break;
-                    default: // 'default'
-                        focusDuration = 25; breakDuration = 5; break;
-                }
+    /**
+     * Ask for a name and save the form as a template
+     */
+    saveAsTemplate() {
+        const taskData = this.getTaskDataFromForm();
+        if (!taskData) return;
+        
+        // The form has no focus mode field, so keep the edited task's setting
+        const taskId = document.getElementById('task-id').value;
+        const originalTask = taskId ? this.app.taskController.getTaskById(taskId) : null;
+        if (originalTask) {
+            taskData.useFocusMode = originalTask.useFocusMode;
+        }
+        
+        const name = prompt('Template name:', taskData.name);
+        if (name === null) return;
+        
+        const templateController = this.app.templateController;
+        const existing = name.trim() ? templateController.getTemplateByName(name) : null;
+        if (existing && !confirm(`Replace the template "${existing.name}"?`)) {
+            return;
+        }
+        
+        try {
+            const template = templateController.saveTemplate(name, taskData);
+            console.log('Template saved:', template);
+            
+            if (this.app.settingsView) {
+                this.app.settingsView.templatesPanel.render();
             }
+            alert(`Saved the template "${template.name}".`);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
 
-            // Get reminder setting
-            const reminderValue = document.getElementById('task-reminder').value;
-            let reminderTime;
-            if (reminderValue === 'none') {
-                reminderTime = null;
-            } else if (reminderValue === 'default') {
-                reminderTime = this.app.settings.defaultReminderTime;
-            } else {
-                reminderTime = parseInt(reminderValue);
+    /**
+     * Fill the project select
+     * @param {string|null} selectedId ID of the project to select
+     */
+    populateProjectOptions(selectedId) {
+        const select = document.getElementById('task-project');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        select.add(new Option('No project', ''));
+        this.app.projectController.getAllProjects().forEach(project => {
+            select.add(new Option(project.name, project.id));
+        });
+        
+        select.value = selectedId || '';
+    }
+
+    /**
+     * Ask for a name and add a new project to the task form
+     */
+    createProjectFromForm() {
+        const name = prompt('Project name:');
+        if (name === null) return;
+        
+        try {
+            const project = this.app.projectController.createProject({ name });
+            this.populateProjectOptions(project.id);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Fill the "Blocked By" list with the tasks this task can wait for
+     * @param {Object} taskData Task being edited, or null for a new task
+     */
+    populateBlockedByOptions(taskData) {
+        const select = document.getElementById('task-blocked-by');
+        if (!select) return;
+        
+        const blockedBy = taskData ? taskData.blockedBy : [];
+        select.innerHTML = '';
+        
+        // Completed tasks are only listed if they are already selected
+        this.app.taskController.getAllTasks()
+            .filter(task => (!taskData || task.id !== taskData.id) &&
+                (task.status !== TaskStatus.COMPLETED || blockedBy.includes(task.id)))
+            .forEach(task => {
+                const option = new Option(task.name, task.id);
+                option.selected = blockedBy.includes(task.id);
+                select.add(option);
+            });
+    }
+
+    /**
+     * Fill the session plan fields of the task form
+     * @param {Object} plan Session plan data
+     */
+    setSessionPlanFields(plan) {
+        const sessionPlan = SessionPlan.fromObject(plan);
+        
+        document.getElementById('long-break-time').value = sessionPlan.longBreakDuration;
+        document.getElementById('long-break-interval').value = sessionPlan.longBreakInterval;
+        document.getElementById('warm-up-time').value = sessionPlan.warmUpDuration;
+        document.getElementById('cool-down-time').value = sessionPlan.coolDownDuration;
+        document.getElementById('final-session-rule').value = sessionPlan.finalSessionRule;
+        document.getElementById('merge-threshold').value = sessionPlan.mergeThreshold;
+        document.getElementById('merge-threshold-group').style.display = 
+            sessionPlan.finalSessionRule === FinalSessionRule.PROPORTIONAL ? 'block' : 'none';
+    }
+
+    /**
+     * Read the session plan fields of the task form
+     * @returns {Object} Plain session plan object
+     */
+    getSessionPlanFromForm() {
+        return new SessionPlan({
+            longBreakDuration: document.getElementById('long-break-time').value,
+            longBreakInterval: document.getElementById('long-break-interval').value,
+            warmUpDuration: document.getElementById('warm-up-time').value,
+            coolDownDuration: document.getElementById('cool-down-time').value,
+            finalSessionRule: document.getElementById('final-session-rule').value,
+            mergeThreshold: document.getElementById('merge-threshold').value
+        }).toObject();
+    }
+
+    /**
+     * Read the focus and break durations selected in the task form
+     * @returns {Object} { focusDuration, breakDuration } in minutes
+     */
+    getTimerDurationsFromForm() {
+        const checkedPreset = document.querySelector('input[name="timer-preset"]:checked');
+        
+        switch (checkedPreset ? checkedPreset.value : 'default') {
+            case 'custom':
+                return {
+                    focusDuration: parseInt(document.getElementById('custom-focus-time').value) || 25,
+                    breakDuration: parseInt(document.getElementById('custom-break-time').value) || 5
+                };
+            case 'short':
+                return { focusDuration: 15, breakDuration: 3 };
+            case 'long':
+                return { focusDuration: 50, breakDuration: 10 };
+            default:
+                return { focusDuration: 25, breakDuration: 5 };
+        }
+    }
+
+    /**
+     * Regenerate the sessions in the session editor from the current form values
+     */
+    renderSessionPlanPreview() {
+        const durationHours = parseFloat(document.getElementById('task-duration-hours').value) || 0;
+        const durationMinutes = parseFloat(document.getElementById('task-duration-minutes').value) || 0;
+        const estimatedMinutes = durationHours * 60 + durationMinutes;
+        
+        if (estimatedMinutes <= 0) {
+            this.sessionEditor.showGenerated(null);
+            return;
+        }
+        
+        const { focusDuration, breakDuration } = this.getTimerDurationsFromForm();
+        const sessions = new SessionPlan(this.getSessionPlanFromForm()).buildSessions({
+            estimatedMinutes,
+            focusDuration,
+            breakDuration,
+            leadingBreak: document.getElementById('procrastination-mode').checked
+        });
+        
+        this.sessionEditor.showGenerated(sessions);
+    }
+
+    /**
+     * Read and check the task form
+     * @returns {Object|null} Task data, or null if a field is invalid (the user has been told)
+     */
+    getTaskDataFromForm() {
+        const name = document.getElementById('task-name').value.trim();
+        const dueDate = document.getElementById('task-due-date').value;
+        const dueTime = document.getElementById('task-due-time').value;
+        const startDate = document.getElementById('task-start-date').value;
+        const startTime = document.getElementById('task-start-time').value;
+
+        const durationHours = parseFloat(document.getElementById('task-duration-hours').value) || 0;
+        const durationMinutes = parseFloat(document.getElementById('task-duration-minutes').value) || 0;
+        const estimatedDuration = durationHours + (durationMinutes / 60); // Convert to hours
+
+        const priority = document.getElementById('task-priority').value;
+
+        // --- VALIDATIONS ---
+        if (!name) {
+            alert('Task name is required.');
+            return null;
+        }
+        if (estimatedDuration <= 0) {
+            alert('Please enter a valid estimated duration (at least 1 minute).');
+            return null;
+        }
+
+        // Get timer settings
+        const timerPreset = document.querySelector('input[name="timer-preset"]:checked').value;
+        let focusDuration, breakDuration, useCustomTimer;
+
+        if (timerPreset === 'custom') {
+            useCustomTimer = true;
+            focusDuration = parseInt(document.getElementById('custom-focus-time').value);
+            breakDuration = parseInt(document.getElementById('custom-break-time').value);
+
+            if (isNaN(focusDuration) || focusDuration <= 0 || isNaN(breakDuration) || breakDuration <= 0) {
+                alert('Please enter valid custom focus and break durations (must be greater than 0).');
+                return null;
+            }
+        } else {
+            useCustomTimer = false;
+            switch (timerPreset) {
+                case 'short':
+                    focusDuration = 15; breakDuration = 3; break;
+                case 'long':
+                    focusDuration = 50; breakDuration = 10; break;
+                default: // 'default'
+                    focusDuration = 25; breakDuration = 5; break;
             }
+        }
 
-            const procrastinationMode = document.getElementById('procrastination-mode').checked;
-            const isRecurring = document.getElementById('task-recurring').checked;
-            const recurringDays = [];
-            if (isRecurring) {
-                for (let i = 0; i < 7; i++) {
-                    if (document.getElementById(`day-${i}`).checked) {
-                        recurringDays.push(i);
-                    }
-                }
-                if (recurringDays.length === 0) {
-                    alert('Please select at least one day for recurring tasks.');
-                    return;
+        // Get reminder setting
+        const reminderValue = document.getElementById('task-reminder').value;
+        let reminderTime;
+        if (reminderValue === 'none') {
+            reminderTime = null;
+        } else if (reminderValue === 'default') {
+            reminderTime = this.app.settings.defaultReminderTime;
+        } else {
+            reminderTime = parseInt(reminderValue);
+        }
+
+        const procrastinationMode = document.getElementById('procrastination-mode').checked;
+        const isRecurring = document.getElementById('task-recurring').checked;
+        const recurringDays = [];
+        if (isRecurring) {
+            for (let i = 0; i < 7; i++) {
+                if (document.getElementById(`day-${i}`).checked) {
+                    recurringDays.push(i);
                 }
             }
+            if (recurringDays.length === 0) {
+                alert('Please select at least one day for recurring tasks.');
+                return null;
+            }
+        }
+
+        // --- Construct taskData object ---
+        const taskData = {
+            name,
+            dueDate: dueDate || null,
+            dueTime: dueTime || null,
+            startDate: startDate || null,
+            startTime: startTime || null,
+            estimatedDuration: estimatedDuration,
+            priority,
+            timerSettings: {
+                focusDuration,
+                breakDuration,
+                useCustomTimer
+            },
+            reminderTime,
+            procrastinationMode,
+            sessionPlan: this.getSessionPlanFromForm(),
+            isRecurring,
+            recurringDays,
+            projectId: document.getElementById('task-project').value || null,
+            tags: this.tagInput.getTags(),
+            notes: document.getElementById('task-notes').value.trim(),
+            blockedBy: Array.from(document.getElementById('task-blocked-by').selectedOptions, option => option.value),
+            subtasks: this.checklistEditor.getSubtasks(),
+            checklistCountsToProgress: document.getElementById('checklist-counts-progress').checked
+        };
 
-            // --- Construct taskData object ---
-            const taskData = {
-                name,
-                dueDate: dueDate || null,
-                dueTime: dueTime || null,
-                startDate: startDate || null,
-                startTime: startTime || null,
-                estimatedDuration: estimatedDuration,
-                priority,
-                timerSettings: {
-                    focusDuration,
-                    breakDuration,
-                    useCustomTimer
-                },
-                reminderTime,
-                procrastinationMode,
-                isRecurring,
-                recurringDays
-            };
+        // Sessions changed in the session editor
+        const editedSessions = this.sessionEditor.getEditedSessions();
+        if (editedSessions) {
+            taskData.sessions = editedSessions;
+        }
+
+        return taskData;
+    }
+
+    /**
+     * Save a task from the modal form
+     */
+    // Modified saveTask method with better debugging and error handling
+    saveTask() {
+        console.log('Save Task button clicked');
+        
+        try {
+            // Get common form values
+            const taskId = document.getElementById('task-id').value;
+            console.log('Task ID:', taskId);
+            
+            const taskData = this.getTaskDataFromForm();
+            if (!taskData) return;
 
             console.log('Task data to save:', taskData);
 
@@ -477,12 +792,13 @@ export class TaskFormManager {
                 const originalTask = this.app.taskController.getTaskById(taskId);
 
                 if (originalTask && originalTask.status === 'ongoing') {
-                    const confirmMsg = 'Changing focus or break times for an ongoing task will restart the current timer session with the new durations. Continue?';
+                    const confirmMsg = 'Changing focus or break times or the session plan for an ongoing task will restart the current timer session with the new durations. Continue?';
                     const originalTimerSettings = originalTask.timerSettings;
                     const newTimerSettings = taskData.timerSettings;
 
                     if (newTimerSettings.focusDuration !== originalTimerSettings.focusDuration ||
-                        newTimerSettings.breakDuration !== originalTimerSettings.breakDuration) {
+                        newTimerSettings.breakDuration !== originalTimerSettings.breakDuration ||
+                        JSON.stringify(taskData.sessionPlan) !== JSON.stringify(originalTask.sessionPlan.toObject())) {
                         if (!confirm(confirmMsg)) {
                             return; // User cancelled
                         }
@@ -495,6 +811,14 @@ export class TaskFormManager {
             } else {
                 // Creating a new task
                 console.log('Creating new task');
+                
+                // The form has no focus mode field, so take it from the template
+                const templateSelect = document.getElementById('task-template-select');
+                const template = templateSelect ? this.app.templateController.getTemplateById(templateSelect.value) : null;
+                if (template) {
+                    taskData.useFocusMode = template.task.useFocusMode || false;
+                }
+                
                 const createdTask = this.app.taskController.createTask(taskData);
                 console.log('Task created:', createdTask);
             }
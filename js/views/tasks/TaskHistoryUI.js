@@ -0,0 +1,150 @@
+/**
+ * TaskHistoryUI.js
+ * 
+ * Undo/redo controls for task operations.
+ * Handles the Ctrl+Z / Ctrl+Shift+Z shortcuts and shows an undo toast
+ * after destructive actions (delete, complete, end task).
+ */
+
+export class TaskHistoryUI {
+    /**
+     * Create a new TaskHistoryUI
+     * @param {TaskView} taskView Reference to the parent TaskView
+     */
+    constructor(taskView) {
+        this.taskView = taskView;
+        this.app = taskView.app;
+        this.toastTimeout = null;
+    }
+
+    /**
+     * Set up keyboard shortcuts and the history listener
+     */
+    initHistoryListeners() {
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        
+        this.app.taskController.history.addListener((action, command) => {
+            if (action === 'record' && command.destructive) {
+                this.showUndoToast(command.label);
+            } else if (action !== 'record') {
+                this.hideUndoToast();
+            }
+        });
+    }
+
+    /**
+     * Handle undo/redo keyboard shortcuts
+     * @param {KeyboardEvent} event Keydown event
+     */
+    handleKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') {
+            return;
+        }
+        
+        // Leave text fields to the browser's own undo
+        const target = event.target;
+        if (target && (target.isContentEditable ||
+            ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+        
+        event.preventDefault();
+        
+        if (event.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    /**
+     * Undo the last task operation
+     */
+    undo() {
+        if (this.app.taskController.undo()) {
+            this.refreshAfterHistoryChange();
+        }
+    }
+
+    /**
+     * Redo the last undone task operation
+     */
+    redo() {
+        if (this.app.taskController.redo()) {
+            this.refreshAfterHistoryChange();
+        }
+    }
+
+    /**
+     * Refresh the views after undo or redo
+     */
+    refreshAfterHistoryChange() {
+        this.app.refreshTaskViews();
+
+        // Deleting a project is undoable too
+        if (this.app.settingsView && this.app.settingsView.projectsPanel) {
+            this.app.settingsView.projectsPanel.render();
+        }
+    }
+
+    /**
+     * Show a toast with an Undo button
+     * @param {string} label Description of the action that can be undone
+     */
+    showUndoToast(label) {
+        // Create toast if it doesn't exist
+        let toast = document.getElementById('undo-toast');
+        
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'undo-toast';
+            toast.className = 'toast-message d-flex align-items-center';
+            toast.style.position = 'fixed';
+            toast.style.bottom = '20px';
+            toast.style.left = '20px';
+            toast.style.backgroundColor = '#343a40';
+            toast.style.color = 'white';
+            toast.style.padding = '10px 20px';
+            toast.style.borderRadius = '5px';
+            toast.style.zIndex = '9999';
+            toast.style.opacity = '0';
+            toast.style.transition = 'opacity 0.3s ease';
+            
+            const message = document.createElement('span');
+            message.className = 'undo-toast-message';
+            toast.appendChild(message);
+            
+            const undoBtn = document.createElement('button');
+            undoBtn.type = 'button';
+            undoBtn.className = 'btn btn-sm btn-outline-light ms-3';
+            undoBtn.textContent = 'Undo';
+            undoBtn.addEventListener('click', () => {
+                this.hideUndoToast();
+                this.undo();
+            });
+            toast.appendChild(undoBtn);
+            
+            document.body.appendChild(toast);
+        }
+        
+        toast.querySelector('.undo-toast-message').textContent = `${label} done.`;
+        toast.style.pointerEvents = 'auto';
+        toast.style.opacity = '1';
+        
+        // Hide after 6 seconds
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => this.hideUndoToast(), 6000);
+    }
+
+    /**
+     * Hide the undo toast
+     */
+    hideUndoToast() {
+        const toast = document.getElementById('undo-toast');
+        if (!toast) return;
+        
+        clearTimeout(this.toastTimeout);
+        toast.style.opacity = '0';
+        toast.style.pointerEvents = 'none';
+    }
+}
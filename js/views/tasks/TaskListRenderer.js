@@ -6,6 +6,8 @@
  */
 
 import { TaskStatus } from '../../models/Task.js';
+import { filterTasks, groupTasks } from '../../models/TaskFilter.js';
+import { renderMarkdown } from '../../services/MarkdownRenderer.js';
 
 /**
  * TaskListRenderer class for rendering task lists
@@ -19,6 +21,9 @@ export class TaskListRenderer {
         this.taskView = taskView;
         this.app = taskView.app;
         this.elements = taskView.elements;
+        
+        // Tasks whose notes are expanded, kept open across refreshes
+        this.expandedNotes = new Set();
     }
     
     /**
@@ -51,25 +56,78 @@ export class TaskListRenderer {
         // Display pending and active tasks
         const ongoingTasks = [...activeAndPartialTasks, ...pendingTasks];
         
-        if (ongoingTasks.length === 0) {
+        // A search runs over all tasks, completed ones included
+        const searchBar = this.taskView.searchBar;
+        const sortBar = this.taskView.sortBar;
+        
+        // Smart lists have their own manual order; a search that isn't saved can't be reordered
+        let orderKey = 'ongoing';
+        if (searchBar.isActive()) {
+            orderKey = searchBar.activeSmartListId ? sortBar.getSmartListOrderKey(searchBar.activeSmartListId) : null;
+        }
+        
+        const listTasks = sortBar.sort(
+            searchBar.isActive() ? searchBar.search([...ongoingTasks, ...completedTasks]) : ongoingTasks,
+            'ongoing',
+            orderKey || 'ongoing'
+        );
+        
+        const listTitle = document.getElementById('task-list-title');
+        if (listTitle) {
+            listTitle.textContent = searchBar.getTitle() || 'Ongoing Tasks';
+        }
+        
+        // Apply the filter bar choices
+        const filterBar = this.taskView.filterBar;
+        filterBar.refreshOptions();
+        const visibleTasks = filterTasks(listTasks, filterBar.filters);
+        
+        if (searchBar.isActive() && visibleTasks.length === 0) {
+            this.elements.ongoingTasksContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>No tasks match the search.</p>
+                </div>
+            `;
+        } else if (ongoingTasks.length === 0) {
             this.elements.ongoingTasksContainer.innerHTML = `
                 <div class="empty-state">
                     <p>Damn you're free, maybe get busy?</p>
                 </div>
             `;
+        } else if (visibleTasks.length === 0) {
+            this.elements.ongoingTasksContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>No tasks match the filters.</p>
+                </div>
+            `;
         } else {
-            ongoingTasks.forEach(task => {
-                const taskElement = this.createTaskElement(task);
-                
-                // Add selected class if this is the selected task
-                if (selectedTaskId && task.id === selectedTaskId) {
-                    taskElement.classList.add('task-selected');
+            const projects = this.app.projectController ? this.app.projectController.getAllProjects() : [];
+            
+            groupTasks(visibleTasks, filterBar.groupBy, projects).forEach(group => {
+                if (group.label) {
+                    this.elements.ongoingTasksContainer.appendChild(this.createGroupHeader(group));
                 }
                 
-                this.elements.ongoingTasksContainer.appendChild(taskElement);
+                group.tasks.forEach(task => {
+                    const taskElement = this.createTaskElement(task, task.status === TaskStatus.COMPLETED, true);
+                    
+                    // Add selected class if this is the selected task
+                    if (selectedTaskId && task.id === selectedTaskId) {
+                        taskElement.classList.add('task-selected');
+                    }
+                    
+                    this.elements.ongoingTasksContainer.appendChild(taskElement);
+                });
             });
+            
+            if (sortBar.isManual('ongoing') && orderKey) {
+                sortBar.enableDragging(this.elements.ongoingTasksContainer, listTasks, orderKey);
+            }
         }
         
+        // Keep the bulk selection to the tasks on screen
+        this.taskView.bulkActions.update(visibleTasks.map(task => task.id));
+        
         // Display completed tasks
         if (completedTasks.length === 0) {
             this.elements.completedTasksContainer.innerHTML = `
@@ -78,19 +136,175 @@ export class TaskListRenderer {
                 </div>
             `;
         } else {
-            completedTasks.forEach(task => {
+            const sortedCompleted = sortBar.sort(completedTasks, 'completed', 'completed');
+            
+            sortedCompleted.forEach(task => {
                 this.elements.completedTasksContainer.appendChild(this.createTaskElement(task, true));
             });
+            
+            if (sortBar.isManual('completed')) {
+                sortBar.enableDragging(this.elements.completedTasksContainer, sortedCompleted, 'completed');
+            }
+        }
+    }
+    
+    /**
+     * Create the header of a task group
+     * @param {Object} group Group from groupTasks()
+     * @returns {HTMLElement} Header element
+     */
+    createGroupHeader(group) {
+        const header = document.createElement('div');
+        header.className = 'task-group-header';
+        
+        if (group.color) {
+            header.appendChild(this.createColorDot(group.color));
         }
+        
+        header.appendChild(document.createTextNode(`${group.label} (${group.tasks.length})`));
+        return header;
+    }
+    
+    /**
+     * Create a small colored dot
+     * @param {string} color CSS color
+     * @returns {HTMLElement} Dot element
+     */
+    createColorDot(color) {
+        const dot = document.createElement('span');
+        dot.style.display = 'inline-block';
+        dot.style.width = '10px';
+        dot.style.height = '10px';
+        dot.style.borderRadius = '50%';
+        dot.style.marginRight = '6px';
+        dot.style.backgroundColor = color;
+        return dot;
+    }
+    
+    /**
+     * Create the project and tag labels of a task
+     * @param {Object} task Task object
+     * @returns {HTMLElement|null} Labels element, or null if the task has neither
+     */
+    createTaskLabels(task) {
+        const project = this.app.projectController ? this.app.projectController.getTaskProject(task) : null;
+        if (!project && task.tags.length === 0) {
+            return null;
+        }
+        
+        const labels = document.createElement('div');
+        labels.className = 'task-item-labels';
+        
+        if (project) {
+            const projectLabel = document.createElement('span');
+            projectLabel.className = 'task-project-label';
+            projectLabel.appendChild(this.createColorDot(project.color));
+            projectLabel.appendChild(document.createTextNode(project.name));
+            labels.appendChild(projectLabel);
+        }
+        
+        task.tags.forEach(tag => {
+            const tagLabel = document.createElement('span');
+            tagLabel.className = 'badge bg-secondary me-1';
+            tagLabel.textContent = `#${tag}`;
+            labels.appendChild(tagLabel);
+        });
+        
+        return labels;
+    }
+    
+    /**
+     * Create the expandable notes and session logs of a task
+     * @param {Object} task Task object
+     * @returns {HTMLElement|null} Notes element, or null if the task has neither
+     */
+    createTaskNotes(task) {
+        const sessionLogs = task.getSessionLogs();
+        if (!task.notes && sessionLogs.length === 0) {
+            return null;
+        }
+        
+        const container = document.createElement('div');
+        container.className = 'task-item-notes-container';
+        
+        const isExpanded = this.expandedNotes.has(task.id);
+        const parts = [];
+        if (task.notes) parts.push('notes');
+        if (sessionLogs.length > 0) parts.push(`${sessionLogs.length} session log${sessionLogs.length === 1 ? '' : 's'}`);
+        
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'btn btn-link btn-sm p-0 task-notes-toggle';
+        toggleBtn.textContent = `${isExpanded ? 'Hide' : 'Show'} ${parts.join(' and ')}`;
+        toggleBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (isExpanded) {
+                this.expandedNotes.delete(task.id);
+            } else {
+                this.expandedNotes.add(task.id);
+            }
+            this.taskView.refreshTaskLists();
+        });
+        container.appendChild(toggleBtn);
+        
+        if (!isExpanded) {
+            return container;
+        }
+        
+        const notes = document.createElement('div');
+        notes.className = 'task-item-notes';
+        
+        if (task.notes) {
+            const body = document.createElement('div');
+            body.className = 'markdown-body';
+            body.innerHTML = renderMarkdown(task.notes);
+            notes.appendChild(body);
+        }
+        
+        if (sessionLogs.length > 0) {
+            const title = document.createElement('div');
+            title.className = 'task-session-logs-title';
+            title.textContent = 'Session logs';
+            notes.appendChild(title);
+            
+            sessionLogs.forEach(({ session, focusNumber }) => {
+                const entry = document.createElement('div');
+                entry.className = 'task-session-log';
+                
+                const heading = document.createElement('div');
+                heading.className = 'text-muted';
+                heading.textContent = `Focus session ${focusNumber}`;
+                if (session.loggedAt) {
+                    heading.textContent += ` - ${new Date(session.loggedAt).toLocaleString()}`;
+                }
+                
+                const body = document.createElement('div');
+                body.className = 'markdown-body';
+                body.innerHTML = renderMarkdown(session.log);
+                
+                entry.appendChild(heading);
+                entry.appendChild(body);
+                notes.appendChild(entry);
+            });
+        }
+        
+        // Links in the notes open without selecting the task
+        notes.addEventListener('click', (e) => e.stopPropagation());
+        
+        container.appendChild(notes);
+        return container;
     }
     
     /**
      * Create a task list element
      * @param {Object} task Task object
      * @param {boolean} isCompleted Whether this is for the completed list
+     * @param {boolean} selectable Whether the task can be picked for bulk actions
      * @returns {HTMLElement} Task element
      */
-    createTaskElement(task, isCompleted = false) {
+    createTaskElement(task, isCompleted = false, selectable = false) {
+        const bulkActions = this.taskView.bulkActions;
+        const isSelecting = selectable && bulkActions.isSelecting;
+        
         const taskItem = document.createElement('div');
         taskItem.className = 'task-item';
         taskItem.dataset.id = task.id;
@@ -103,6 +317,8 @@ export class TaskListRenderer {
             taskItem.classList.add('task-missed');
         } else if (task.status === TaskStatus.PARTIAL) {
             taskItem.classList.add('task-partial');
+        } else if (task.status === TaskStatus.BLOCKED) {
+            taskItem.classList.add('task-blocked');
         }
         
         // Create task header
@@ -117,6 +333,20 @@ export class TaskListRenderer {
         taskPriority.className = `task-item-priority priority-${task.priority}`;
         taskPriority.textContent = task.priority.charAt(0).toUpperCase() + task.priority.slice(1);
         
+        // Checkbox for bulk actions
+        if (isSelecting) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input me-2';
+            checkbox.checked = bulkActions.isSelected(task.id);
+            checkbox.setAttribute('aria-label', `Select ${task.name}`);
+            taskHeader.appendChild(checkbox);
+            
+            if (checkbox.checked) {
+                taskItem.classList.add('task-bulk-selected');
+            }
+        }
+        
         taskHeader.appendChild(taskName);
         taskHeader.appendChild(taskPriority);
         
@@ -133,7 +363,7 @@ export class TaskListRenderer {
         // In TaskListRenderer.js, modify the delete button event handler:
         deleteBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            if (confirm('Are you sure you want to delete this task?')) {
+            if (confirm('Move this task to the trash?')) {
                 // Store the ID of the task being deleted
                 const taskBeingDeletedId = task.id;
                 
@@ -164,7 +394,7 @@ export class TaskListRenderer {
                     }
                 }
                 
-                this.refreshTaskLists();
+                this.taskView.refreshTaskLists();
                 
                 // Refresh the calendar if it exists
                 if (this.app.calendarController) {
@@ -196,13 +426,29 @@ export class TaskListRenderer {
         
         taskDetails.textContent = detailsText;
         
+        // Name the unfinished prerequisites of a blocked task
+        if (task.status === TaskStatus.BLOCKED) {
+            const blockingNames = this.app.taskController.getBlockingTasks(task.id).map(t => t.name);
+            const blockedText = document.createElement('div');
+            blockedText.className = 'text-muted';
+            blockedText.textContent = `Blocked by: ${blockingNames.join(', ')}`;
+            taskDetails.appendChild(blockedText);
+        }
+        
         // Create progress indicator for ongoing tasks
         const taskProgress = document.createElement('div');
         taskProgress.className = 'task-item-progress';
         
         if (task.progress && task.progress.totalSessions > 0) {
             const percentage = task.getCompletionPercentage();
-            taskProgress.textContent = `Progress: ${task.progress.completedSessions}/${task.progress.totalSessions} sessions (${percentage}%)`;
+            taskProgress.textContent = `Progress: ${task.progress.completedSessions}/${task.progress.totalSessions} sessions`;
+            
+            if (task.subtasks.length > 0) {
+                const doneCount = task.subtasks.filter(subtask => subtask.done).length;
+                taskProgress.textContent += `, ${doneCount}/${task.subtasks.length} items`;
+            }
+            
+            taskProgress.textContent += ` (${percentage}%)`;
         }
         
         // Create action buttons
@@ -252,9 +498,9 @@ export class TaskListRenderer {
             deleteBtn.textContent = 'Delete';
             deleteBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                if (confirm('Are you sure you want to delete this task?')) {
+                if (confirm('Move this task to the trash?')) {
                     this.app.taskController.deleteTask(task.id);
-                    this.refreshTaskLists();
+                    this.taskView.refreshTaskLists();
                     
                     // Refresh the calendar if it exists
                     if (this.app.calendarController) {
@@ -271,11 +517,31 @@ export class TaskListRenderer {
         // Assemble task item
         taskItem.appendChild(taskHeader);
         taskItem.appendChild(taskDetails);
+        
+        const taskLabels = this.createTaskLabels(task);
+        if (taskLabels) {
+            taskItem.appendChild(taskLabels);
+        }
+        
         taskItem.appendChild(taskProgress);
+        
+        const taskNotes = this.createTaskNotes(task);
+        if (taskNotes) {
+            taskItem.appendChild(taskNotes);
+        }
+        
         taskItem.appendChild(taskActions);
         
         // Add click handler to show task details
         taskItem.addEventListener('click', (e) => {
+            // In select mode a click picks the task for bulk actions
+            if (isSelecting) {
+                if (e.target.tagName !== 'BUTTON') {
+                    bulkActions.toggleTask(task.id);
+                }
+                return;
+            }
+            
             // Don't select if clicking on a button in the task
             if (e.target.tagName !== 'BUTTON') {
                 this.taskView.selectTask(task.id);
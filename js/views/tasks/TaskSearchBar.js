@@ -0,0 +1,210 @@
+/**
+ * TaskSearchBar.js
+ *
+ * Search box and smart lists of the tasks tab. A search runs over all tasks,
+ * completed ones included; a smart list is a saved search with a name.
+ */
+
+import { StorageManager } from '../../services/StorageManager.js';
+import { parseTaskQuery, isEmptyQuery, matchesTaskQuery } from '../../models/TaskQuery.js';
+
+/**
+ * Generates a unique ID for a smart list
+ * @returns {string} Unique ID
+ */
+function generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * TaskSearchBar class for the task search box and smart lists
+ */
+export class TaskSearchBar {
+    /**
+     * Create a new TaskSearchBar
+     * @param {TaskView} taskView Reference to the parent TaskView
+     */
+    constructor(taskView) {
+        this.taskView = taskView;
+        this.app = taskView.app;
+
+        // Current query, parsed
+        this.query = '';
+        this.parsedQuery = parseTaskQuery('');
+
+        // Smart list whose query is in the search box
+        this.activeSmartListId = null;
+
+        this.elements = {
+            input: document.getElementById('task-search-input'),
+            saveBtn: document.getElementById('save-smart-list-btn'),
+            errors: document.getElementById('task-search-errors'),
+            smartLists: document.getElementById('smart-lists')
+        };
+    }
+
+    /**
+     * Initialize the search box listeners
+     */
+    initListeners() {
+        const { input, saveBtn } = this.elements;
+        if (!input) return;
+
+        input.addEventListener('input', () => this.setQuery(input.value));
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.setQuery('');
+            }
+        });
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveSmartList());
+        }
+
+        this.renderSmartLists();
+    }
+
+    /**
+     * Change the search query and refresh the task list
+     * @param {string} query Query string
+     * @param {string|null} smartListId Smart list the query comes from
+     */
+    setQuery(query, smartListId = null) {
+        this.query = query;
+        this.parsedQuery = parseTaskQuery(query);
+        this.activeSmartListId = smartListId;
+
+        const { input, saveBtn, errors } = this.elements;
+        if (input && input.value !== query) {
+            input.value = query;
+        }
+        if (saveBtn) {
+            saveBtn.disabled = !this.isActive();
+        }
+        if (errors) {
+            errors.textContent = this.parsedQuery.errors.join('. ');
+        }
+
+        this.renderSmartLists();
+        this.taskView.refreshTaskLists();
+    }
+
+    /**
+     * Check if a search is being shown
+     * @returns {boolean} True if the query has something to match
+     */
+    isActive() {
+        return !isEmptyQuery(this.parsedQuery);
+    }
+
+    /**
+     * Get the title of the task list for the current search
+     * @returns {string|null} Smart list name, "Search Results", or null without a search
+     */
+    getTitle() {
+        if (!this.isActive()) return null;
+
+        const smartList = this.getSmartLists().find(list => list.id === this.activeSmartListId);
+        return smartList ? smartList.name : 'Search Results';
+    }
+
+    /**
+     * Find the tasks matching the current query
+     * @param {Array} tasks Tasks to search
+     * @returns {Array} Matching tasks
+     */
+    search(tasks) {
+        const projects = this.app.projectController ? this.app.projectController.getAllProjects() : [];
+        return tasks.filter(task => matchesTaskQuery(task, this.parsedQuery, projects));
+    }
+
+    /**
+     * Get the saved smart lists
+     * @returns {Array} Array of { id, name, query }
+     */
+    getSmartLists() {
+        return StorageManager.getSmartLists();
+    }
+
+    /**
+     * Save the current query as a smart list
+     */
+    saveSmartList() {
+        if (!this.isActive()) return;
+
+        const name = prompt('Name this smart list:', this.query);
+        if (name === null) return;
+
+        if (!name.trim()) {
+            alert('Smart list name is required.');
+            return;
+        }
+
+        const smartList = { id: generateUniqueId(), name: name.trim(), query: this.query };
+        StorageManager.saveSmartLists([...this.getSmartLists(), smartList]);
+
+        this.setQuery(this.query, smartList.id);
+    }
+
+    /**
+     * Delete a smart list after confirming
+     * @param {Object} smartList Smart list to delete
+     */
+    deleteSmartList(smartList) {
+        if (!confirm(`Delete the smart list "${smartList.name}"?`)) {
+            return;
+        }
+
+        StorageManager.saveSmartLists(this.getSmartLists().filter(list => list.id !== smartList.id));
+        this.taskView.sortBar.clearOrder(this.taskView.sortBar.getSmartListOrderKey(smartList.id));
+
+        if (this.activeSmartListId === smartList.id) {
+            this.setQuery('');
+        } else {
+            this.renderSmartLists();
+        }
+    }
+
+    /**
+     * Render the smart list buttons
+     */
+    renderSmartLists() {
+        const container = this.elements.smartLists;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        this.getSmartLists().forEach(smartList => {
+            const isActive = smartList.id === this.activeSmartListId;
+
+            const group = document.createElement('div');
+            group.className = 'btn-group btn-group-sm me-1 mb-1';
+
+            const openBtn = document.createElement('button');
+            openBtn.type = 'button';
+            openBtn.className = `btn ${isActive ? 'btn-primary' : 'btn-outline-primary'}`;
+            openBtn.textContent = smartList.name;
+            openBtn.title = smartList.query;
+            openBtn.addEventListener('click', () => {
+                // Clicking the open smart list closes it
+                if (isActive) {
+                    this.setQuery('');
+                } else {
+                    this.setQuery(smartList.query, smartList.id);
+                }
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = `btn ${isActive ? 'btn-primary' : 'btn-outline-primary'}`;
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete smart list';
+            deleteBtn.addEventListener('click', () => this.deleteSmartList(smartList));
+
+            group.appendChild(openBtn);
+            group.appendChild(deleteBtn);
+            container.appendChild(group);
+        });
+    }
+}
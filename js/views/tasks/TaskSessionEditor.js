@@ -0,0 +1,387 @@
+/**
+ * TaskSessionEditor.js
+ *
+ * Session editor of the task modal. Shows the task's sessions as a bar and
+ * a list in which blocks can be inserted, split, merged and dragged into a
+ * new order. Completed sessions and the session under the timer are shown
+ * but locked.
+ */
+
+import { SessionKind, getSessionKind, getSessionLabel } from '../../models/SessionPlan.js';
+import {
+    getLockedSessionCount,
+    insertSession,
+    splitSession,
+    mergeSessions,
+    canMergeSessions,
+    moveSession
+} from '../../models/SessionEdits.js';
+
+// Colors of the session kinds
+const SESSION_COLORS = {
+    [SessionKind.FOCUS]: '#dc3545',
+    [SessionKind.SHORT_BREAK]: '#198754',
+    [SessionKind.LONG_BREAK]: '#0d6efd',
+    [SessionKind.WARM_UP]: '#ffc107',
+    [SessionKind.COOL_DOWN]: '#6f42c1'
+};
+
+/**
+ * TaskSessionEditor class for editing the sessions of a task
+ */
+export class TaskSessionEditor {
+    /**
+     * Create a new TaskSessionEditor
+     * @param {TaskFormManager} formManager Reference to the parent TaskFormManager
+     */
+    constructor(formManager) {
+        this.formManager = formManager;
+
+        // Working copy of the sessions shown in the editor
+        this.sessions = [];
+
+        // Leading sessions that can't be edited
+        this.lockedCount = 0;
+
+        // Whether the sessions differ from the ones the task was opened with
+        this.isDirty = false;
+
+        // Started tasks get recalculated sessions from TaskController on save
+        this.isReadOnly = false;
+
+        // Index of the session being dragged
+        this.dragIndex = null;
+
+        // Called whenever the sessions change
+        this.onChange = null;
+    }
+
+    /**
+     * Load the sessions of a task into the editor
+     * @param {Task|null} task Task being edited, or null for a new task
+     */
+    loadTask(task) {
+        this.sessions = task ? task.sessions.map(session => ({ ...session })) : [];
+        this.lockedCount = task ? getLockedSessionCount(task) : 0;
+        this.isDirty = false;
+        this.isReadOnly = false;
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Replace the sessions with ones generated from the session plan
+     * @param {Array|null} sessions Generated sessions, or null without an estimate
+     */
+    showGenerated(sessions) {
+        this.sessions = sessions || [];
+        this.isDirty = true;
+        this.isReadOnly = this.lockedCount > 0;
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Get the sessions to save with the task
+     * @returns {Array|null} Edited sessions, or null to keep or recalculate the task's own
+     */
+    getEditedSessions() {
+        if (!this.isDirty || this.isReadOnly || this.sessions.length === 0) {
+            return null;
+        }
+
+        return this.sessions.map(session => ({ ...session }));
+    }
+
+    /**
+     * Check if a session can be changed
+     * @param {number} index Session index
+     * @returns {boolean} True if the session is editable
+     */
+    isEditable(index) {
+        return !this.isReadOnly && index >= this.lockedCount;
+    }
+
+    /**
+     * Apply an edit to the working sessions
+     * @param {Function} edit Function that returns the new session list
+     */
+    applyEdit(edit) {
+        try {
+            const previous = this.sessions;
+            this.sessions = edit(previous);
+            this.isDirty = true;
+            this.render();
+            this.notifyChange(previous);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Tell the form that the sessions changed
+     * @param {Array|null} previous Sessions before a manual edit, or null if they were loaded or generated
+     */
+    notifyChange(previous = null) {
+        if (this.onChange) {
+            this.onChange(this.sessions, previous);
+        }
+    }
+
+    /**
+     * Render the editor
+     */
+    render() {
+        const container = document.getElementById('session-plan-preview');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.sessions.length === 0) {
+            container.innerHTML = '<small class="text-muted">Enter an estimated duration to preview the sessions.</small>';
+            return;
+        }
+
+        container.appendChild(this.createBar());
+        container.appendChild(this.createSummary());
+
+        if (this.isReadOnly) {
+            const note = document.createElement('div');
+            note.className = 'form-text';
+            note.textContent = 'The remaining sessions are recalculated when you save. Reopen the task to edit them.';
+            container.appendChild(note);
+            return;
+        }
+
+        container.appendChild(this.createSessionList());
+        container.appendChild(this.createAddButtons());
+    }
+
+    /**
+     * Create the bar with one segment per session, sized by its duration
+     * @returns {HTMLElement} Bar element
+     */
+    createBar() {
+        const bar = document.createElement('div');
+        bar.style.display = 'flex';
+        bar.style.height = '16px';
+        bar.style.borderRadius = '4px';
+        bar.style.overflow = 'hidden';
+
+        this.sessions.forEach(session => {
+            const segment = document.createElement('div');
+            segment.style.flex = `${session.duration} 0 0`;
+            segment.style.backgroundColor = SESSION_COLORS[getSessionKind(session)];
+            segment.style.borderRight = '1px solid #fff';
+            segment.style.opacity = session.completed ? '0.4' : '1';
+            segment.title = `${getSessionLabel(session)} - ${session.duration} min`;
+            bar.appendChild(segment);
+        });
+
+        return bar;
+    }
+
+    /**
+     * Create the summary line below the bar
+     * @returns {HTMLElement} Summary element
+     */
+    createSummary() {
+        const focusSessions = this.sessions.filter(s => getSessionKind(s) === SessionKind.FOCUS);
+        const focusCount = focusSessions.length;
+        const focusMinutes = focusSessions.reduce((sum, session) => sum + session.duration, 0);
+        const longBreakCount = this.sessions.filter(s => getSessionKind(s) === SessionKind.LONG_BREAK).length;
+
+        const totalMinutes = this.sessions.reduce((sum, session) => sum + session.duration, 0);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+
+        const summary = document.createElement('small');
+        summary.className = 'text-muted';
+        summary.textContent = `${focusCount} focus session${focusCount !== 1 ? 's' : ''} (${focusMinutes} min)` +
+            (longBreakCount > 0 ? `, ${longBreakCount} long break${longBreakCount !== 1 ? 's' : ''}` : '') +
+            ` - ${hours > 0 ? `${hours}h ` : ''}${minutes}m in total`;
+
+        return summary;
+    }
+
+    /**
+     * Create the list of sessions with their edit buttons
+     * @returns {HTMLElement} List element
+     */
+    createSessionList() {
+        const list = document.createElement('div');
+        list.className = 'session-editor-list mt-2';
+        list.style.maxHeight = '220px';
+        list.style.overflowY = 'auto';
+        list.style.border = '1px solid #dee2e6';
+        list.style.borderRadius = '4px';
+
+        this.sessions.forEach((session, index) => {
+            list.appendChild(this.createSessionRow(session, index));
+        });
+
+        return list;
+    }
+
+    /**
+     * Create the list row of a session
+     * @param {Object} session Session object
+     * @param {number} index Session index
+     * @returns {HTMLElement} Row element
+     */
+    createSessionRow(session, index) {
+        const editable = this.isEditable(index);
+
+        const row = document.createElement('div');
+        row.className = 'd-flex align-items-center justify-content-between px-2 py-1';
+        row.style.borderBottom = '1px solid #f1f1f1';
+        row.style.fontSize = '0.875rem';
+        row.dataset.index = index;
+
+        const info = document.createElement('div');
+        info.className = 'd-flex align-items-center';
+
+        if (editable) {
+            const handle = document.createElement('span');
+            handle.textContent = '☰';
+            handle.title = 'Drag to reorder';
+            handle.style.cursor = 'move';
+            handle.style.marginRight = '8px';
+            handle.style.color = '#6c757d';
+            info.appendChild(handle);
+        }
+
+        const dot = document.createElement('span');
+        dot.style.display = 'inline-block';
+        dot.style.width = '10px';
+        dot.style.height = '10px';
+        dot.style.borderRadius = '50%';
+        dot.style.marginRight = '8px';
+        dot.style.backgroundColor = SESSION_COLORS[getSessionKind(session)];
+        info.appendChild(dot);
+
+        const label = document.createElement('span');
+        label.textContent = `${getSessionLabel(session)} - ${session.duration} min`;
+        info.appendChild(label);
+
+        if (!editable) {
+            const locked = document.createElement('span');
+            locked.className = 'text-muted ms-2';
+            locked.textContent = session.completed ? '(done)' : '(locked)';
+            info.appendChild(locked);
+        }
+
+        row.appendChild(info);
+
+        if (editable) {
+            const actions = document.createElement('div');
+
+            const splitBtn = this.createButton('Split', () => {
+                this.applyEdit(sessions => splitSession(sessions, index));
+            });
+            splitBtn.disabled = session.duration < 2;
+            actions.appendChild(splitBtn);
+
+            if (canMergeSessions(this.sessions, index)) {
+                actions.appendChild(this.createButton('Merge ↓', () => {
+                    this.applyEdit(sessions => mergeSessions(sessions, index));
+                }));
+            }
+
+            row.appendChild(actions);
+            this.addDragHandlers(row, index);
+        }
+
+        return row;
+    }
+
+    /**
+     * Make a session row draggable and a drop target
+     * @param {HTMLElement} row Row element
+     * @param {number} index Session index
+     */
+    addDragHandlers(row, index) {
+        row.draggable = true;
+
+        row.addEventListener('dragstart', (e) => {
+            this.dragIndex = index;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(index));
+            row.style.opacity = '0.5';
+        });
+
+        row.addEventListener('dragend', () => {
+            this.dragIndex = null;
+            row.style.opacity = '1';
+        });
+
+        row.addEventListener('dragover', (e) => {
+            if (this.dragIndex === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+
+            // Show where the session will land: below the row when moving down, above it when moving up
+            row.style.boxShadow = this.dragIndex < index ? 'inset 0 -2px 0 #0d6efd' : 'inset 0 2px 0 #0d6efd';
+        });
+
+        row.addEventListener('dragleave', () => {
+            row.style.boxShadow = '';
+        });
+
+        row.addEventListener('drop', (e) => {
+            e.preventDefault();
+            row.style.boxShadow = '';
+
+            const fromIndex = this.dragIndex;
+            this.dragIndex = null;
+
+            if (fromIndex === null || fromIndex === index) return;
+
+            this.applyEdit(sessions => moveSession(sessions, fromIndex, index));
+        });
+    }
+
+    /**
+     * Create the buttons that add a focus session or a break at the end
+     * @returns {HTMLElement} Button group element
+     */
+    createAddButtons() {
+        const group = document.createElement('div');
+        group.className = 'mt-2';
+
+        const addFocusBtn = this.createButton('+ Focus', () => {
+            const { focusDuration } = this.formManager.getTimerDurationsFromForm();
+            this.applyEdit(sessions => insertSession(sessions, sessions.length, SessionKind.FOCUS, focusDuration));
+        });
+
+        const addBreakBtn = this.createButton('+ Break', () => {
+            const { breakDuration } = this.formManager.getTimerDurationsFromForm();
+            this.applyEdit(sessions => insertSession(sessions, sessions.length, SessionKind.SHORT_BREAK, breakDuration));
+        });
+
+        group.appendChild(addFocusBtn);
+        group.appendChild(addBreakBtn);
+
+        const hint = document.createElement('small');
+        hint.className = 'text-muted ms-2';
+        hint.textContent = 'Drag sessions to reorder them.';
+        group.appendChild(hint);
+
+        return group;
+    }
+
+    /**
+     * Create a small editor button
+     * @param {string} text Button text
+     * @param {Function} onClick Click handler
+     * @returns {HTMLElement} Button element
+     */
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-secondary ms-1';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
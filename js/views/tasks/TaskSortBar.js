@@ -0,0 +1,201 @@
+/**
+ * TaskSortBar.js
+ *
+ * Sort controls of the ongoing and completed task lists. The sort mode of
+ * each list is kept in the settings; in manual mode tasks are dragged into
+ * place and the order is stored per list.
+ */
+
+import { StorageManager } from '../../services/StorageManager.js';
+import { TaskSortMode, sortTasks, moveTaskInOrder } from '../../models/TaskSort.js';
+
+// Labels of the sort modes, in menu order
+const SORT_MODE_LABELS = {
+    [TaskSortMode.SCHEDULE]: 'Sort: Default',
+    [TaskSortMode.DUE_DATE]: 'Sort: Due date',
+    [TaskSortMode.PRIORITY]: 'Sort: Priority',
+    [TaskSortMode.DURATION]: 'Sort: Estimated duration',
+    [TaskSortMode.REMAINING]: 'Sort: Remaining sessions',
+    [TaskSortMode.CREATED]: 'Sort: Newest first',
+    [TaskSortMode.MANUAL]: 'Sort: Manual (drag to reorder)'
+};
+
+/**
+ * TaskSortBar class for sorting the task lists
+ */
+export class TaskSortBar {
+    /**
+     * Create a new TaskSortBar
+     * @param {TaskView} taskView Reference to the parent TaskView
+     */
+    constructor(taskView) {
+        this.taskView = taskView;
+        this.app = taskView.app;
+
+        // Sort mode selects by list
+        this.elements = {
+            ongoing: document.getElementById('ongoing-sort-mode'),
+            completed: document.getElementById('completed-sort-mode')
+        };
+
+        // ID of the task being dragged
+        this.draggedTaskId = null;
+    }
+
+    /**
+     * Fill the sort selects and initialize their listeners
+     */
+    initListeners() {
+        Object.entries(this.elements).forEach(([list, select]) => {
+            if (!select) return;
+
+            Object.entries(SORT_MODE_LABELS).forEach(([mode, label]) => select.add(new Option(label, mode)));
+            select.value = this.getMode(list);
+
+            select.addEventListener('change', () => this.setMode(list, select.value));
+        });
+    }
+
+    /**
+     * Get the sort mode of a list
+     * @param {string} list 'ongoing' or 'completed'
+     * @returns {string} One of TaskSortMode
+     */
+    getMode(list) {
+        const taskSort = StorageManager.getSettings().taskSort || {};
+        return taskSort[list] || TaskSortMode.SCHEDULE;
+    }
+
+    /**
+     * Change the sort mode of a list, remember it in the settings and refresh
+     * @param {string} list 'ongoing' or 'completed'
+     * @param {string} mode One of TaskSortMode
+     */
+    setMode(list, mode) {
+        const settings = StorageManager.getSettings();
+        settings.taskSort = { ...settings.taskSort, [list]: mode };
+        StorageManager.saveSettings(settings);
+
+        if (this.app.settings) {
+            this.app.settings.taskSort = { ...settings.taskSort };
+        }
+
+        this.taskView.refreshTaskLists();
+    }
+
+    /**
+     * Show the stored sort modes, e.g. after the settings changed in another tab
+     */
+    refreshModes() {
+        Object.entries(this.elements).forEach(([list, select]) => {
+            if (select) {
+                select.value = this.getMode(list);
+            }
+        });
+    }
+
+    /**
+     * Sort the tasks of a list
+     * @param {Array} tasks Tasks in the app's own order
+     * @param {string} list 'ongoing' or 'completed'
+     * @param {string} orderKey Key the manual order is stored under
+     * @returns {Array} Sorted tasks
+     */
+    sort(tasks, list, orderKey) {
+        return sortTasks(tasks, this.getMode(list), StorageManager.getTaskOrder()[orderKey] || []);
+    }
+
+    /**
+     * Check if a list is in manual order
+     * @param {string} list 'ongoing' or 'completed'
+     * @returns {boolean} True if tasks can be dragged into place
+     */
+    isManual(list) {
+        return this.getMode(list) === TaskSortMode.MANUAL;
+    }
+
+    /**
+     * Make the rendered task items of a list draggable
+     * @param {HTMLElement} container List container
+     * @param {Array} tasks All tasks of the list in their current order, hidden ones included
+     * @param {string} orderKey Key the manual order is stored under
+     */
+    enableDragging(container, tasks, orderKey) {
+        container.querySelectorAll('.task-item').forEach(item => {
+            item.draggable = true;
+            item.classList.add('task-draggable');
+
+            item.addEventListener('dragstart', (e) => {
+                this.draggedTaskId = item.dataset.id;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', item.dataset.id);
+                item.classList.add('task-dragging');
+            });
+
+            item.addEventListener('dragend', () => {
+                this.draggedTaskId = null;
+                item.classList.remove('task-dragging');
+            });
+
+            item.addEventListener('dragover', (e) => {
+                if (this.draggedTaskId) {
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                }
+            });
+
+            item.addEventListener('drop', (e) => {
+                if (!this.draggedTaskId) return;
+                e.preventDefault();
+
+                // Dropping on the lower half of a task places the dragged task after it
+                const rect = item.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+
+                this.moveTask(tasks, orderKey, this.draggedTaskId, item.dataset.id, after);
+            });
+        });
+    }
+
+    /**
+     * Move a task in the manual order of a list and save the order
+     * @param {Array} tasks All tasks of the list in their current order
+     * @param {string} orderKey Key the manual order is stored under
+     * @param {string} movedId ID of the dragged task
+     * @param {string} targetId ID of the task it was dropped on
+     * @param {boolean} after True to place it after the target
+     */
+    moveTask(tasks, orderKey, movedId, targetId, after) {
+        const taskIds = tasks.map(task => task.id);
+        const taskOrder = StorageManager.getTaskOrder();
+
+        // Only the tasks of the list are stored, so finished or deleted tasks drop out
+        StorageManager.saveTaskOrder({
+            ...taskOrder,
+            [orderKey]: moveTaskInOrder(taskIds, movedId, targetId, after)
+        });
+
+        this.taskView.refreshTaskLists();
+    }
+
+    /**
+     * Get the key the manual order of a smart list is stored under
+     * @param {string} smartListId Smart list ID
+     * @returns {string} Order key
+     */
+    getSmartListOrderKey(smartListId) {
+        return `smart-list:${smartListId}`;
+    }
+
+    /**
+     * Forget the manual order stored under a key
+     * @param {string} orderKey Key the manual order is stored under
+     */
+    clearOrder(orderKey) {
+        const taskOrder = StorageManager.getTaskOrder();
+        if (!(orderKey in taskOrder)) return;
+
+        const { [orderKey]: removed, ...rest } = taskOrder;
+        StorageManager.saveTaskOrder(rest);
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * TaskTagInput.js
+ *
+ * Tag entry of the task modal. Tags are shown as removable chips and the
+ * input suggests tags already used by other tasks.
+ */
+
+/**
+ * TaskTagInput class for editing the tags of a task
+ */
+export class TaskTagInput {
+    /**
+     * Create a new TaskTagInput
+     * @param {TaskFormManager} formManager Reference to the parent TaskFormManager
+     */
+    constructor(formManager) {
+        this.formManager = formManager;
+
+        // Tags of the task being edited
+        this.tags = [];
+    }
+
+    /**
+     * Initialize the tag input listeners
+     */
+    initListeners() {
+        const input = document.getElementById('task-tag-input');
+        if (!input) return;
+
+        input.addEventListener('keydown', (e) => {
+            // Enter or a comma adds the tag instead of submitting the task form
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.addTag(input.value);
+            } else if (e.key === 'Backspace' && !input.value && this.tags.length > 0) {
+                this.removeTag(this.tags[this.tags.length - 1]);
+            }
+        });
+
+        // Picking a suggestion or leaving the field adds what was typed
+        input.addEventListener('change', () => this.addTag(input.value));
+    }
+
+    /**
+     * Load the tags of a task into the input
+     * @param {Task|null} task Task being edited, or null for a new task
+     */
+    loadTask(task) {
+        this.tags = task ? [...task.tags] : [];
+        document.getElementById('task-tag-input').value = '';
+        this.render();
+    }
+
+    /**
+     * Get the tags to save with the task
+     * @returns {Array} Tags
+     */
+    getTags() {
+        // Include a tag that was typed but not confirmed yet
+        const pending = this.normalize(document.getElementById('task-tag-input').value);
+        return pending && !this.hasTag(pending) ? [...this.tags, pending] : [...this.tags];
+    }
+
+    /**
+     * Clean up typed tag text
+     * @param {string} text Typed text
+     * @returns {string} Tag without surrounding spaces, commas or a leading #
+     */
+    normalize(text) {
+        return text.replace(/,/g, ' ').trim().replace(/^#+/, '').trim();
+    }
+
+    /**
+     * Check if a tag was already added, ignoring case
+     * @param {string} tag Tag
+     * @returns {boolean} True if the tag is in the list
+     */
+    hasTag(tag) {
+        return this.tags.some(t => t.toLowerCase() === tag.toLowerCase());
+    }
+
+    /**
+     * Add a tag
+     * @param {string} text Typed tag text
+     */
+    addTag(text) {
+        const input = document.getElementById('task-tag-input');
+        const tag = this.normalize(text);
+
+        input.value = '';
+        if (!tag || this.hasTag(tag)) return;
+
+        // Reuse the spelling of an existing tag
+        const existing = this.formManager.app.taskController.getAllTags()
+            .find(t => t.toLowerCase() === tag.toLowerCase());
+
+        this.tags.push(existing || tag);
+        this.render();
+    }
+
+    /**
+     * Remove a tag
+     * @param {string} tag Tag
+     */
+    removeTag(tag) {
+        this.tags = this.tags.filter(t => t !== tag);
+        this.render();
+    }
+
+    /**
+     * Render the tag chips and the suggestions
+     */
+    render() {
+        const container = document.getElementById('task-tags');
+        const suggestions = document.getElementById('task-tag-suggestions');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'badge bg-secondary me-1';
+            chip.textContent = `#${tag} `;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-close btn-close-white';
+            removeBtn.style.fontSize = '0.5rem';
+            removeBtn.title = 'Remove tag';
+            removeBtn.addEventListener('click', () => this.removeTag(tag));
+
+            chip.appendChild(removeBtn);
+            container.appendChild(chip);
+        });
+
+        if (suggestions) {
+            suggestions.innerHTML = '';
+            this.formManager.app.taskController.getAllTags()
+                .filter(tag => !this.hasTag(tag))
+                .forEach(tag => suggestions.appendChild(new Option(tag)));
+        }
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * TrashListRenderer.js
+ * 
+ * Renders the Trash tab with deleted tasks.
+ * Deleted tasks can be restored or permanently deleted.
+ */
+
+/**
+ * TrashListRenderer class for rendering the trash list
+ */
+export class TrashListRenderer {
+    /**
+     * Create a new TrashListRenderer
+     * @param {TaskView} taskView Reference to the parent TaskView
+     */
+    constructor(taskView) {
+        this.taskView = taskView;
+        this.app = taskView.app;
+        this.container = document.getElementById('trash-tasks');
+        
+        // Empty trash button
+        const emptyTrashBtn = document.getElementById('empty-trash-btn');
+        if (emptyTrashBtn) {
+            emptyTrashBtn.addEventListener('click', () => {
+                if (this.app.taskController.getTrashedTasks().length === 0) {
+                    return;
+                }
+                
+                if (confirm('Permanently delete all tasks in the trash? This cannot be undone.')) {
+                    this.app.taskController.emptyTrash();
+                    this.refreshTrashList();
+                }
+            });
+        }
+    }
+    
+    /**
+     * Refresh the trash list
+     */
+    refreshTrashList() {
+        if (!this.container) {
+            return;
+        }
+        
+        this.container.innerHTML = '';
+        
+        const entries = this.app.taskController.getTrashedTasks();
+        
+        if (entries.length === 0) {
+            this.container.innerHTML = `
+                <div class="empty-state">
+                    <p>Trash is empty.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        entries.forEach(entry => {
+            this.container.appendChild(this.createTrashElement(entry.task, entry.deletedAt));
+        });
+    }
+    
+    /**
+     * Create a trash list element
+     * @param {Task} task Deleted task
+     * @param {string} deletedAt ISO date the task was deleted
+     * @returns {HTMLElement} Trash element
+     */
+    createTrashElement(task, deletedAt) {
+        const taskItem = document.createElement('div');
+        taskItem.className = 'task-item task-trashed';
+        taskItem.dataset.id = task.id;
+        
+        // Create task header
+        const taskHeader = document.createElement('div');
+        taskHeader.className = 'task-item-header';
+        
+        const taskName = document.createElement('div');
+        taskName.className = 'task-item-name';
+        taskName.textContent = task.name;
+        
+        const taskPriority = document.createElement('div');
+        taskPriority.className = `task-item-priority priority-${task.priority}`;
+        taskPriority.textContent = task.priority.charAt(0).toUpperCase() + task.priority.slice(1);
+        
+        taskHeader.appendChild(taskName);
+        taskHeader.appendChild(taskPriority);
+        
+        // Create deletion details
+        const taskDetails = document.createElement('div');
+        taskDetails.className = 'task-item-details';
+        taskDetails.textContent = `Deleted: ${new Date(deletedAt).toLocaleDateString()}`;
+        
+        const retentionDays = this.app.settings ? this.app.settings.trashRetentionDays : 0;
+        if (retentionDays > 0) {
+            const purgeDate = new Date(deletedAt);
+            purgeDate.setDate(purgeDate.getDate() + retentionDays);
+            
+            const daysLeft = Math.max(0, Math.ceil((purgeDate - new Date()) / (24 * 60 * 60 * 1000)));
+            taskDetails.textContent += ` | Purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+        }
+        
+        // Create action buttons
+        const taskActions = document.createElement('div');
+        taskActions.className = 'task-item-actions';
+        
+        // Restore button
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'btn btn-sm btn-outline-primary';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.addEventListener('click', () => {
+            this.app.taskController.restoreTask(task.id);
+            this.taskView.refreshTaskLists();
+            
+            // Refresh the calendar if it exists
+            if (this.app.calendarController) {
+                this.app.calendarController.refreshCalendar();
+            }
+        });
+        
+        // Permanent delete button
+        const purgeBtn = document.createElement('button');
+        purgeBtn.className = 'btn btn-sm btn-outline-danger';
+        purgeBtn.textContent = 'Delete Forever';
+        purgeBtn.addEventListener('click', () => {
+            if (confirm('Permanently delete this task? This cannot be undone.')) {
+                this.app.taskController.purgeTask(task.id);
+                this.refreshTrashList();
+            }
+        });
+        
+        taskActions.appendChild(restoreBtn);
+        taskActions.appendChild(purgeBtn);
+        
+        // Assemble task item
+        taskItem.appendChild(taskHeader);
+        taskItem.appendChild(taskDetails);
+        taskItem.appendChild(taskActions);
+        
+        return taskItem;
+    }
+}
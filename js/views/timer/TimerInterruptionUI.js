@@ -0,0 +1,125 @@
+/**
+ * TimerInterruptionUI.js
+ *
+ * Buttons and keyboard shortcuts for logging interruptions of a focus session,
+ * in the timer panel and the focus overlay. Logging asks for an optional note
+ * and leaves the timer running.
+ */
+
+import { InterruptionType } from '../../models/Task.js';
+
+// Keyboard shortcuts by interruption type
+const SHORTCUTS = {
+    i: InterruptionType.INTERNAL,
+    e: InterruptionType.EXTERNAL
+};
+
+/**
+ * TimerInterruptionUI class for logging interruptions
+ */
+export class TimerInterruptionUI {
+    /**
+     * Create a new TimerInterruptionUI
+     * @param {TimerView} timerView Reference to the parent TimerView
+     */
+    constructor(timerView) {
+        this.timerView = timerView;
+        this.app = timerView.app;
+
+        this.elements = {
+            controls: document.getElementById('interruption-controls'),
+            internalBtn: document.getElementById('interruption-internal-btn'),
+            externalBtn: document.getElementById('interruption-external-btn'),
+            count: document.getElementById('interruption-count'),
+            focusControls: document.getElementById('focus-interruption-controls'),
+            focusInternalBtn: document.getElementById('focus-interruption-internal-btn'),
+            focusExternalBtn: document.getElementById('focus-interruption-external-btn')
+        };
+    }
+
+    /**
+     * Initialize the button and keyboard listeners
+     */
+    initListeners() {
+        const { internalBtn, externalBtn, focusInternalBtn, focusExternalBtn } = this.elements;
+
+        [internalBtn, focusInternalBtn].forEach(button => {
+            if (button) button.addEventListener('click', () => this.logInterruption(InterruptionType.INTERNAL));
+        });
+
+        [externalBtn, focusExternalBtn].forEach(button => {
+            if (button) button.addEventListener('click', () => this.logInterruption(InterruptionType.EXTERNAL));
+        });
+
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+    }
+
+    /**
+     * Handle the I and E shortcuts
+     * @param {KeyboardEvent} event Keydown event
+     */
+    handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || !event.key) {
+            return;
+        }
+
+        const type = SHORTCUTS[event.key.toLowerCase()];
+        if (!type) return;
+
+        // Leave typing in text fields alone
+        const target = event.target;
+        if (target && (target.isContentEditable ||
+            ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        if (!this.app.timerController || !this.app.timerController.canLogInterruption()) {
+            return;
+        }
+
+        event.preventDefault();
+        this.logInterruption(type);
+    }
+
+    /**
+     * Ask for a note and log an interruption of the current focus session
+     * @param {string} type One of InterruptionType
+     */
+    logInterruption(type) {
+        const timerController = this.app.timerController;
+        if (!timerController || !timerController.canLogInterruption()) return;
+
+        const label = type === InterruptionType.INTERNAL ? 'internal' : 'external';
+        const note = prompt(`Log an ${label} interruption. Note (optional):`, '');
+        if (note === null) return;
+
+        if (timerController.logInterruption(type, note)) {
+            this.update();
+            this.app.refreshTaskViews();
+        }
+    }
+
+    /**
+     * Show the controls during a focus session, with the interruptions logged so far
+     */
+    update() {
+        const { controls, count, focusControls } = this.elements;
+        const timerController = this.app.timerController;
+        if (!controls || !timerController) return;
+
+        const canLog = timerController.canLogInterruption();
+        controls.style.display = canLog ? 'flex' : 'none';
+        if (focusControls) {
+            focusControls.style.display = canLog ? 'flex' : 'none';
+        }
+
+        if (!canLog) return;
+
+        const interruptions = timerController.getSessionInterruptions();
+        const internal = interruptions.filter(i => i.type === InterruptionType.INTERNAL).length;
+        const external = interruptions.length - internal;
+
+        count.textContent = interruptions.length === 0 ? '' :
+            `${interruptions.length} this session (${internal} internal, ${external} external)`;
+    }
+}